@@ -3,13 +3,163 @@ const qrcode = require('qrcode-terminal');
 const fs = require('fs');
 const path = require('path');
 const { PDFDocument } = require('pdf-lib');
-const { exec, spawn } = require('child_process');
 const mime = require('mime-types');
 const axios = require('axios');
+const { PrintQueue, JobStatus } = require('./lib/printQueue');
+const Store = require('./lib/store');
+const { createPrinterDriver } = require('./lib/printers');
+const PrinterManager = require('./lib/printerManager');
+const JobTracker = require('./lib/jobTracker');
+const DocumentConverter = require('./lib/converter');
+const { detectColorPages } = require('./lib/colorDetection');
+const { parsePageRanges, formatPageRanges, extractPages, mergePdfs } = require('./lib/pdfPages');
+const { parseScheduleTime } = require('./lib/schedule');
+const ThumbnailRenderer = require('./lib/thumbnail');
+const { PdfDecrypter, DecryptError } = require('./lib/pdfDecrypt');
+const { UrlDownloader, DownloadError, redactUrl } = require('./lib/urlDownloader');
+const { renderMessagesPdf } = require('./lib/messagePdf');
+const { PHOTO_LAYOUTS, PHOTO_PLACEMENTS, photoOptionsOf, renderPhotos } = require('./lib/photoLayout');
+const PricingEngine = require('./lib/pricing');
+const { Ledger, LedgerError, TransactionType } = require('./lib/ledger');
+const { QuotaManager, PERIODS: QUOTA_PERIODS, METRICS: QUOTA_METRICS } = require('./lib/quota');
+const { RoleManager } = require('./lib/roles');
+const { createPaymentProvider, PaymentWebhookServer, renderQrPng } = require('./lib/payments');
+const { ConfigManager, ConfigError } = require('./lib/config');
+const { FileScanner, Verdict, Quarantine } = require('./lib/security');
+const {
+    PAGES_PER_SHEET,
+    SCALING_MODES,
+    ORIENTATIONS,
+    layoutOf,
+    isDefaultLayout,
+    planSides,
+    imposePdf
+} = require('./lib/imposition');
+
+const JOB_DATE_FIELDS = ['createdAt', 'reopenedAt', 'scheduledAt', 'paymentRequestedAt', 'queuedAt', 'startedAt', 'completedAt', 'failedAt', 'cancelledAt'];
+const SPOOL_REASON_LABELS = {
+    'media-empty': 'Kertas habis',
+    'media-needed': 'Kertas perlu diisi',
+    'media-jam': 'Kertas macet',
+    'toner-empty': 'Toner habis',
+    'toner-low': 'Toner hampir habis',
+    'marker-supply-empty': 'Tinta habis',
+    'marker-supply-low': 'Tinta hampir habis',
+    'door-open': 'Penutup printer terbuka',
+    'cover-open': 'Penutup printer terbuka',
+    'paused': 'Printer dijeda',
+    'job-hold-until-specified': 'Ditahan oleh operator'
+};
+const TRANSACTION_LABELS = {
+    [TransactionType.TOPUP]: '➕ Top up',
+    [TransactionType.RESERVE]: '⏳ Ditahan',
+    [TransactionType.CAPTURE]: '✅ Dibayar',
+    [TransactionType.REFUND]: '↩️ Dikembalikan'
+};
+// Each /admin subcommand needs the permission `admin.<command>`.
+const ADMIN_COMMANDS = [
+    { command: 'stats', usage: '/admin stats', description: 'Statistik bot' },
+    { command: 'users', usage: '/admin users', description: 'Statistik user' },
+    { command: 'queue', usage: '/admin queue', description: 'Detail antrian' },
+    { command: 'printer', usage: '/admin printer check', description: 'Cek semua printer' },
+    { command: 'printer', usage: '/admin printer test [id]', description: 'Test print' },
+    { command: 'config', usage: '/admin config', description: 'Info konfigurasi' },
+    { command: 'config', usage: '/admin config get <path>', description: 'Lihat satu pengaturan' },
+    { command: 'config', usage: '/admin config set <path> <nilai>', description: 'Ubah pengaturan (contoh: printSettings.maxFileSize 20MB)' },
+    { command: 'config', usage: '/admin config audit [jumlah]', description: 'Riwayat perubahan konfigurasi' },
+    { command: 'config', usage: '/admin config reload', description: 'Muat ulang config.json' },
+    { command: 'role', usage: '/admin role [nomor] [role|default]', description: 'Lihat / ubah role user' },
+    { command: 'pricing', usage: '/admin pricing [reload]', description: 'Lihat / muat ulang tarif' },
+    { command: 'topup', usage: '/admin topup <nomor> <jumlah> [catatan]', description: 'Top up saldo user' },
+    { command: 'transactions', usage: '/admin transactions [nomor]', description: 'Export transaksi saldo (CSV)' },
+    { command: 'quota', usage: '/admin quota <nomor|grup>', description: 'Lihat pemakaian kuota' },
+    { command: 'quota', usage: '/admin quota grant <nomor|grup> <jumlah> [halaman|lembar] [harian|mingguan|bulanan]', description: 'Tambah kuota' },
+    { command: 'quota', usage: '/admin quota reset <nomor|grup> [harian|mingguan|bulanan]', description: 'Reset pemakaian kuota' },
+    { command: 'quarantine', usage: '/admin quarantine list', description: 'File yang ditahan pemeriksaan keamanan' },
+    { command: 'quarantine', usage: '/admin quarantine release <id>', description: 'Loloskan file & lanjutkan print' },
+    { command: 'quarantine', usage: '/admin quarantine delete <id>', description: 'Hapus file yang ditahan' },
+    { command: 'logs', usage: '/admin logs', description: 'Log terbaru' },
+    { command: 'broadcast', usage: '/admin broadcast <pesan>', description: 'Broadcast ke semua user' }
+];
+const SCAN_REJECT_MESSAGES = {
+    unrecognised: '❌ Isi file tidak dikenali. Pastikan file tidak rusak, atau kirim dalam format PDF.',
+    mismatch: '❌ Isi file tidak sesuai dengan jenisnya. Silakan kirim ulang file aslinya.',
+    damaged: '❌ PDF rusak dan tidak bisa dibaca. Silakan kirim ulang atau simpan ulang PDF-nya.',
+    scanUnavailable: '❌ Pemindaian virus sedang tidak tersedia. Silakan coba lagi nanti.',
+    unsafe: '❌ File tidak lolos pemeriksaan keamanan. Silakan gunakan file yang berbeda.'
+};
+const DOWNLOAD_ERROR_MESSAGES = {
+    [DownloadError.INVALID_URL]: '❌ Link tidak valid. Gunakan link yang diawali http:// atau https://.',
+    [DownloadError.BLOCKED]: '❌ Link ini tidak diizinkan.',
+    [DownloadError.TOO_MANY_REDIRECTS]: '❌ Link terlalu banyak dialihkan (redirect). Kirim link langsung ke file.',
+    [DownloadError.HTTP_STATUS]: '❌ File tidak bisa diunduh dari link tersebut. Pastikan link benar dan bisa dibuka tanpa login.',
+    [DownloadError.NOT_SHARED]: '🔒 File tidak bisa diunduh. Pastikan file dibagikan ke "Siapa saja yang memiliki link".',
+    [DownloadError.TIMEOUT]: '⏱️ Unduhan dari link terlalu lama dan dihentikan. Coba lagi nanti atau kirim filenya langsung.',
+    [DownloadError.FAILED]: '❌ Gagal mengunduh dari link. Periksa link-nya atau coba lagi nanti.'
+};
+const MAX_PASSWORD_ATTEMPTS = 3;
+const MAX_TEXT_MESSAGES = 50;
+const MAX_RELEASE_ATTEMPTS = 3;
+const SESSION_TIMEOUT = 15 * 60 * 1000;
+// Sections read once at startup; changing them only takes effect after a restart.
+const RESTART_SECTIONS = ['printers', 'storage', 'payments'];
+const QUOTA_PERIOD_LABELS = {
+    daily: 'harian',
+    weekly: 'mingguan',
+    monthly: 'bulanan'
+};
+const QUOTA_METRIC_LABELS = {
+    pages: 'halaman',
+    sheets: 'lembar'
+};
+const LAYOUT_CHOICES = {
+    pagesPerSheet: {
+        title: 'Halaman per Lembar',
+        choices: PAGES_PER_SHEET,
+        label: (value) => `${value} halaman per lembar`
+    },
+    scaling: {
+        title: 'Skala Halaman',
+        choices: SCALING_MODES,
+        label: (value) => ({ fit: 'Fit (muat di kertas)', fill: 'Fill (penuhi kertas, tepi terpotong)', actual: 'Ukuran asli' })[value]
+    },
+    orientation: {
+        title: 'Orientasi Kertas',
+        choices: ORIENTATIONS,
+        label: (value) => ({ auto: 'Otomatis', portrait: 'Potret', landscape: 'Lanskap' })[value]
+    }
+};
+const PHOTO_CHOICES = {
+    photoLayout: {
+        title: 'Tata Letak Foto',
+        choices: Object.keys(PHOTO_LAYOUTS),
+        label: (value) => ({
+            page: '1 foto per halaman',
+            '4r': 'Foto 4R (10×15 cm)',
+            '3r': 'Foto 3R (9×13 cm)',
+            'pas-2x3': 'Pas foto 2×3 cm',
+            'pas-3x4': 'Pas foto 3×4 cm',
+            'pas-4x6': 'Pas foto 4×6 cm',
+            'contact-4': 'Lembar kontak, 4 foto per halaman',
+            'contact-6': 'Lembar kontak, 6 foto per halaman',
+            'contact-9': 'Lembar kontak, 9 foto per halaman'
+        })[value]
+    },
+    photoPlacement: {
+        title: 'Penempatan Foto',
+        choices: PHOTO_PLACEMENTS,
+        label: (value) => ({
+            fit: 'Fit (foto utuh, ada tepi putih)',
+            fill: 'Fill (penuhi area, tepi foto terpotong)',
+            borderless: 'Tanpa margin (penuhi seluruh kertas)'
+        })[value]
+    }
+};
 
 class EnhancedWhatsAppPrintBot {
     constructor() {
         this.configPath = path.join(__dirname, 'config.json');
+        this.configManager = new ConfigManager(this.configPath, (level, message, data) => this.log(level, message, data));
         this.config = this.loadConfig();
         
         this.client = new Client({
@@ -30,48 +180,75 @@ class EnhancedWhatsAppPrintBot {
 
         this.printQueue = new Map();
         this.userSessions = new Map();
+        this.batches = new Map();
         this.userStats = new Map();
+        this.userSettings = new Map();
         this.rateLimit = new Map();
-        this.adminNumbers = new Set(this.config.bot.adminNumbers);
         this.printHistory = [];
-        this.printerStatus = { online: true, lastCheck: Date.now() };
+        this.printerManager = new PrinterManager(
+            PrinterManager.printerConfigsFrom(this.config),
+            printerConfig => this.createPrinterDriver(printerConfig)
+        );
+        this.jobQueue = new PrintQueue(job => this.runPrintJob(job), {
+            defaultPrinter: this.printerManager.defaultId
+        });
+        this.jobTracker = new JobTracker(this.config.printSettings.jobTracking || {});
+        this.converter = new DocumentConverter(this.config.conversion || {}, (level, message, data) => this.log(level, message, data));
+        this.thumbnails = new ThumbnailRenderer(this.config.thumbnails || {}, (level, message, data) => this.log(level, message, data));
+        this.pdfDecrypter = new PdfDecrypter(this.config.conversion || {}, (level, message, data) => this.log(level, message, data));
+        this.urlDownloader = new UrlDownloader(this.config.downloads, (level, message, data) => this.log(level, message, data));
+        this.pricing = new PricingEngine(this.config.pricing || {});
+
+        const storageConfig = this.config.storage || {};
+        this.store = new Store(path.join(__dirname, storageConfig.dataDir || 'data'), {
+            compactThreshold: storageConfig.compactThreshold,
+            onError: (error) => this.log('error', 'Storage error', { error: error.message })
+        });
+        this.roles = new RoleManager(this.store, {
+            ...(this.config.access || {}),
+            adminNumbers: this.config.bot.adminNumbers,
+            assignments: this.config.bot.userRoles,
+            allowedUsers: this.config.printSettings.allowedUsers
+        }, (level, message, data) => this.log(level, message, data));
+        this.ledger = new Ledger(this.store, (level, message, data) => this.log(level, message, data));
+        this.quota = new QuotaManager(this.store, this.config.quotas || {}, (level, message, data) => this.log(level, message, data));
+        this.fileScanner = new FileScanner(this.config.security, (level, message, data) => this.log(level, message, data));
+        this.quarantine = new Quarantine(path.resolve(__dirname, this.config.security.quarantineDir), this.store, (level, message, data) => this.log(level, message, data));
+        this.paymentProvider = null;
+        this.webhookServer = null;
+        this.recoveredJobs = [];
+        this.configAuditSequence = 0;
 
-        this.initBot();
         this.initLogging();
+        this.initPrintQueue();
+        this.loadPersistedState();
+        this.initPayments();
+        this.initConfigWatcher();
+        this.initBot();
         this.startPeriodicTasks();
     }
 
     loadConfig() {
         try {
-            if (fs.existsSync(this.configPath)) {
-                return JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+            const config = this.configManager.load();
+            const migration = this.configManager.migration;
+            if (migration) {
+                console.log(`🔧 config.json diperbarui dari versi ${migration.from}:`);
+                migration.applied.forEach(step => console.log(`   • ${step}`));
             }
+            return config;
         } catch (error) {
-            console.error('Error loading config:', error);
+            console.error('❌ Konfigurasi tidak valid, bot tidak dijalankan.');
+            console.error(error.message);
+            process.exit(1);
         }
+    }
 
-        return {
-            printSettings: {
-                allowedFormats: ['.pdf', '.doc', '.docx', '.jpg', '.jpeg', '.png', '.txt'],
-                maxFileSize: 10485760,
-                printerName: 'default',
-                defaultCopies: 1,
-                allowedUsers: [],
-                autoCleanup: true,
-                cleanupInterval: 1800000
-            },
-            bot: {
-                adminNumbers: [],
-                enableLogging: true,
-                responseLanguage: 'id'
-            },
-            security: {
-                enableRateLimit: true,
-                maxRequestsPerHour: 50,
-                enableFileValidation: true,
-                quarantineEnabled: false
-            }
-        };
+    createPrinterDriver(printerConfig) {
+        return createPrinterDriver({
+            ...printerConfig,
+            outputDir: path.resolve(__dirname, printerConfig.outputDir || 'output')
+        }, (level, message, data) => this.log(level, message, data));
     }
 
     initLogging() {
@@ -104,7 +281,7 @@ class EnhancedWhatsAppPrintBot {
             this.log('info', 'QR Code generated for WhatsApp login');
         });
 
-        this.client.on('ready', () => {
+        this.client.on('ready', async () => {
             console.log('🤖 Enhanced WhatsApp Print Bot siap digunakan!');
             console.log(`📱 Terhubung sebagai: ${this.client.info.pushname}`);
             console.log(`📞 Nomor: ${this.client.info.wid.user}`);
@@ -112,6 +289,13 @@ class EnhancedWhatsAppPrintBot {
                 name: this.client.info.pushname, 
                 number: this.client.info.wid.user 
             });
+
+            this.jobQueue.resume();
+            await this.refreshPrinterCapabilities();
+            await this.printerManager.checkAll();
+            await this.notifyRecoveredJobs();
+            // Jobs whose time came while the bot was offline.
+            await this.releaseScheduledJobs();
         });
 
         this.client.on('message', async (message) => {
@@ -131,41 +315,379 @@ class EnhancedWhatsAppPrintBot {
         this.client.initialize();
     }
 
+    initPrintQueue() {
+        this.jobQueue.on('transition', (job, from) => {
+            this.log('info', 'Print job status changed', { jobId: job.id, from, to: job.status });
+            this.settlePayment(job);
+            this.settleQuota(job, from);
+            this.saveJob(job);
+        });
+
+        this.jobQueue.on('started', async (job) => {
+            await this.notifyJob(job, `🖨️ *Print job Anda mulai dicetak*\n\n📄 File: ${job.originalName}\n🆔 Job ID: ${job.id}`);
+        });
+
+        this.jobQueue.on('completed', async (job) => {
+            this.recordCompletedJob(job);
+            await this.notifyJob(job, this.buildSuccessMessage(job));
+            this.scheduleJobCleanup(job.id);
+        });
+
+        this.jobQueue.on('failed', async (job, error) => {
+            this.addToHistory(job);
+
+            if (error) {
+                this.log('error', 'Print processing system error', {
+                    jobId: job.id,
+                    user: job.userNumber,
+                    error: error.message
+                });
+            } else {
+                this.log('error', 'Print job failed', { jobId: job.id, user: job.userNumber, reason: job.failureReason });
+            }
+
+            await this.notifyJob(job, this.buildFailureMessage(job, error) + this.describeRefund(job));
+            this.scheduleJobCleanup(job.id);
+        });
+    }
+
+    initPayments() {
+        const paymentsConfig = this.config.payments || {};
+        if (!paymentsConfig.enabled) return;
+
+        if (!paymentsConfig.webhookSecret) {
+            this.log('error', 'payments.webhookSecret is not set, pay-before-print disabled');
+            return;
+        }
+
+        const logger = (level, message, data) => this.log(level, message, data);
+        this.webhookServer = new PaymentWebhookServer(paymentsConfig.webhook || {}, event => this.handlePaymentEvent(event), logger);
+
+        try {
+            // Gateways call back on the public URL (required for every provider
+            // but mock); the server itself listens locally.
+            this.paymentProvider = createPaymentProvider({
+                ...paymentsConfig,
+                webhookUrl: paymentsConfig.publicUrl || this.webhookServer.url
+            }, logger);
+        } catch (error) {
+            this.log('error', 'Failed to create payment provider', { error: error.message });
+            return;
+        }
+
+        if (this.paymentProvider.type === 'mock') {
+            this.log('warn', 'Mock payment provider active: payments are simulated, do not use it for real customers', {
+                autoPayAfter: this.paymentProvider.autoPayAfter,
+                payLink: this.paymentProvider.allowPayLink
+            });
+        }
+
+        this.webhookServer.start(this.paymentProvider).catch(error => {
+            this.log('error', 'Failed to start payment webhook', { error: error.message });
+        });
+    }
+
+    initConfigWatcher() {
+        this.configManager.on('change', event => this.applyConfig(event));
+        this.configManager.on('invalid', event => this.reportInvalidConfig(event));
+        this.configManager.watch();
+    }
+
+    // Swaps in a config accepted by the ConfigManager. Sections listed in
+    // RESTART_SECTIONS are stored but keep running with the old values.
+    applyConfig({ config, changes, source, by }) {
+        const changed = section => changes.some(change => change.path === section || change.path.startsWith(`${section}.`));
+        const logger = (level, message, data) => this.log(level, message, data);
+        this.config = config;
+
+        if (changed('bot.enableLogging')) {
+            this.initLogging();
+        }
+        if (changed('access') || changed('bot') || changed('printSettings.allowedUsers')) {
+            this.roles.configure({
+                ...config.access,
+                adminNumbers: config.bot.adminNumbers,
+                assignments: config.bot.userRoles,
+                allowedUsers: config.printSettings.allowedUsers
+            });
+        }
+        if (changed('printSettings.jobTracking')) {
+            this.jobTracker = new JobTracker(config.printSettings.jobTracking);
+        }
+        if (changed('conversion')) {
+            this.converter = new DocumentConverter(config.conversion, logger);
+            this.pdfDecrypter = new PdfDecrypter(config.conversion, logger);
+        }
+        if (changed('thumbnails')) {
+            this.thumbnails = new ThumbnailRenderer(config.thumbnails, logger);
+        }
+        if (changed('downloads')) {
+            this.urlDownloader.configure(config.downloads);
+        }
+        if (changed('security.clamav')) {
+            this.fileScanner.configure(config.security);
+        }
+        if (changed('security.quarantineDir')) {
+            this.quarantine.dir = path.resolve(__dirname, config.security.quarantineDir);
+        }
+        this.quota.config = config.quotas;
+
+        if (changed('pricing')) {
+            this.pricing = new PricingEngine(config.pricing);
+
+            // Quotes the user has not confirmed yet follow the new prices.
+            let updated = 0;
+            for (const printJob of this.printQueue.values()) {
+                if (printJob.status !== JobStatus.PENDING) continue;
+                this.recalculateCost(printJob);
+                this.saveJob(printJob);
+                updated++;
+            }
+            this.log('info', 'Pricing reloaded', { pendingJobs: updated });
+        }
+
+        const entry = {
+            id: `${Date.now()}-${++this.configAuditSequence}`,
+            at: Date.now(),
+            source,
+            by,
+            changes,
+            restartRequired: this.restartSectionsOf(changes)
+        };
+        this.store.set('configAudit', entry.id, entry);
+    }
+
+    restartSectionsOf(changes) {
+        return RESTART_SECTIONS.filter(section => changes.some(change => change.path.split('.')[0] === section));
+    }
+
+    // Edits to config.json that fail validation are ignored; admins hear
+    // about it so the file does not silently drift from what is running.
+    async reportInvalidConfig({ errors, source }) {
+        if (source !== 'file') return;
+
+        await this.notifyAdmins(`⚠️ *config.json tidak valid*\n\nPerubahan terakhir diabaikan, konfigurasi lama tetap dipakai.\n\n${errors.map(error => `• ${error}`).join('\n')}`);
+    }
+
+    async notifyAdmins(text) {
+        if (!this.client.info) return;
+
+        for (const userNumber of this.roles.adminNumbers) {
+            await this.notifyUser(`${userNumber}@c.us`, text);
+        }
+    }
+
+    loadPersistedState() {
+        try {
+            this.store.load();
+        } catch (error) {
+            // Running on empty state would overwrite stats, settings and balances.
+            this.log('error', 'Failed to load persisted state', { error: error.message });
+            console.error('❌ Data tersimpan tidak bisa dibaca, bot tidak dijalankan.');
+            console.error(error.message);
+            process.exit(1);
+        }
+
+        for (const [userNumber, stats] of this.store.entries('users')) {
+            this.userStats.set(userNumber, stats);
+        }
+
+        for (const [userNumber, settings] of this.store.entries('settings')) {
+            this.userSettings.set(userNumber, settings);
+        }
+
+        for (const [userNumber, timestamps] of this.store.entries('rateLimit')) {
+            this.rateLimit.set(userNumber, timestamps);
+        }
+
+        this.printHistory = this.store.values('history')
+            .map(job => this.reviveJob(job))
+            .sort((a, b) => (b.completedAt || b.failedAt || b.createdAt) - (a.completedAt || a.failedAt || a.createdAt));
+
+        const jobs = this.store.values('jobs')
+            .map(job => this.reviveJob(job))
+            .sort((a, b) => (a.queuedAt || a.createdAt) - (b.queuedAt || b.createdAt));
+
+        const interrupted = jobs.filter(job => job.status === JobStatus.PRINTING);
+        const others = jobs.filter(job => job.status !== JobStatus.PRINTING);
+
+        for (const job of [...interrupted, ...others]) {
+            this.recoverJob(job);
+        }
+
+        this.log('info', 'Persisted state loaded', {
+            users: this.userStats.size,
+            jobs: jobs.length,
+            interrupted: interrupted.length,
+            history: this.printHistory.length
+        });
+    }
+
+    reviveJob(job) {
+        for (const field of JOB_DATE_FIELDS) {
+            if (job[field]) job[field] = new Date(job[field]);
+        }
+        return job;
+    }
+
+    recoverJob(job) {
+        this.printQueue.set(job.id, job);
+        const fileExists = fs.existsSync(job.filePath);
+
+        if (job.status === JobStatus.AWAITING_PAYMENT) {
+            // The gateway may still call back; unpaid jobs expire on their own.
+            if (!fileExists) {
+                this.jobQueue.transition(job, JobStatus.CANCELLED);
+                this.cleanupPrintJob(job.id);
+            }
+            return;
+        }
+
+        if (job.status === JobStatus.SCHEDULED) {
+            // The scheduler picks it up on its next round.
+            if (!fileExists) {
+                this.jobQueue.transition(job, JobStatus.CANCELLED);
+                this.recoveredJobs.push(job);
+                this.cleanupPrintJob(job.id);
+            }
+            return;
+        }
+
+        if (job.status === JobStatus.PENDING) {
+            if (!fileExists) {
+                this.cleanupPrintJob(job.id);
+                return;
+            }
+
+            this.userSessions.set(this.sessionKeyFor(job.chatId, job.userNumber), {
+                step: 'confirm_print',
+                printJobId: job.id,
+                lastActivity: Date.now()
+            });
+            return;
+        }
+
+        if (job.status === JobStatus.PRINTING) {
+            job.recovered = true;
+            this.jobQueue.transition(job, JobStatus.QUEUED);
+        }
+
+        if (job.status !== JobStatus.QUEUED) return;
+
+        if (!fileExists) {
+            job.failureReason = 'file_missing';
+            this.jobQueue.transition(job, JobStatus.FAILED);
+            this.addToHistory(job);
+            this.recoveredJobs.push(job);
+            this.scheduleJobCleanup(job.id);
+            return;
+        }
+
+        this.jobQueue.restore(job);
+        if (job.recovered) {
+            this.recoveredJobs.push(job);
+        }
+    }
+
+    async notifyRecoveredJobs() {
+        const recovered = this.recoveredJobs;
+        this.recoveredJobs = [];
+
+        for (const job of recovered) {
+            if ([JobStatus.FAILED, JobStatus.CANCELLED].includes(job.status)) {
+                await this.notifyJob(job, `❌ File untuk *${job.originalName}* tidak ditemukan setelah bot restart. Silakan kirim ulang file Anda.${this.describeRefund(job)}`);
+            } else if (job.spoolJobId) {
+                await this.notifyJob(job, `♻️ Bot sempat restart saat *${job.originalName}* sedang dicetak.\n\nStatus job di printer akan diperiksa ulang secara otomatis; dokumen hanya dicetak ulang jika printer tidak lagi mengenali job tersebut.`);
+            } else {
+                await this.notifyJob(job, `♻️ Bot sempat restart saat *${job.originalName}* sedang dicetak.\n\nJob Anda dimasukkan kembali ke antrian (posisi ${this.jobQueue.getPosition(job.id)}). Jika dokumen sudah tercetak, ketik /cancel ${job.id}.`);
+            }
+        }
+    }
+
+    saveJob(printJob) {
+        this.store.set('jobs', printJob.id, printJob);
+    }
+
+    addToHistory(printJob) {
+        this.printHistory.unshift({ ...printJob });
+        this.store.set('history', printJob.id, printJob);
+
+        if (this.printHistory.length > 100) {
+            const removed = this.printHistory.slice(100);
+            this.printHistory = this.printHistory.slice(0, 100);
+            removed.forEach(job => this.store.delete('history', job.id));
+        }
+    }
+
+    async notifyUser(chatId, text, options = {}) {
+        try {
+            await this.client.sendMessage(chatId, text, options);
+        } catch (error) {
+            this.log('error', 'Failed to notify user', { chatId, error: error.message });
+        }
+    }
+
+    // Group jobs are reported back to the group, mentioning the requester.
+    async notifyJob(printJob, text) {
+        if (!printJob.chatId.endsWith('@g.us')) {
+            await this.notifyUser(printJob.chatId, text);
+            return;
+        }
+        await this.notifyUser(printJob.chatId, `@${printJob.userNumber} ${text.trim()}`, { mentions: [`${printJob.userNumber}@c.us`] });
+    }
+
     async handleMessage(message) {
         const chatId = message.from;
         const isGroup = message.from.includes('@g.us');
-        const userNumber = message.from.replace('@c.us', '');
-        
-        if (isGroup && !message.mentionedIds.includes(this.client.info.wid._serialized)) {
+        const userNumber = this.senderOf(message);
+        const sessionKey = this.sessionKey(message);
+        const mentioned = message.mentionedIds.includes(this.client.info.wid._serialized);
+
+        // In groups the bot only reacts when mentioned, or to the replies of
+        // a member who is in the middle of a print dialog.
+        if (isGroup && !mentioned && !(this.userSessions.has(sessionKey) && !message.hasMedia)) {
             return;
         }
 
-        if (this.config.security.enableRateLimit && !this.isAdmin(userNumber)) {
+        if (this.config.security.enableRateLimit && !this.roles.can(userNumber, 'ratelimit.bypass')) {
             if (!this.checkRateLimit(userNumber)) {
                 await message.reply('⏳ Anda telah mencapai batas maksimal request per jam. Coba lagi nanti.');
                 return;
             }
         }
 
-        if (this.config.printSettings.allowedUsers.length > 0 && !this.isAdmin(userNumber)) {
-            if (!this.config.printSettings.allowedUsers.includes(userNumber)) {
-                await message.reply('❌ Maaf, Anda tidak memiliki akses ke layanan print ini.');
-                this.log('warn', 'Unauthorized access attempt', { user: userNumber });
-                return;
-            }
+        if (!this.roles.roleOf(userNumber)) {
+            await message.reply('❌ Maaf, Anda tidak memiliki akses ke layanan print ini.');
+            this.log('warn', 'Unauthorized access attempt', { user: userNumber });
+            return;
+        }
+
+        if (isGroup && !this.isGroupMember(chatId, userNumber)) {
+            await message.reply('❌ Anda tidak terdaftar sebagai anggota layanan print di grup ini.');
+            this.log('warn', 'Group member not allowed', { group: chatId, user: userNumber });
+            return;
         }
 
         this.log('info', 'Message received', { 
             from: userNumber, 
+            group: isGroup ? chatId : undefined,
             type: message.type, 
             hasMedia: message.hasMedia 
         });
 
         this.updateUserStats(userNumber);
 
-        const messageBody = message.body.toLowerCase().trim();
+        // While a PDF password is asked for, any text is the password, even
+        // one that starts with "/".
+        const session = this.userSessions.get(sessionKey);
+        if (session && session.step === 'pdf_password' && !message.hasMedia) {
+            await this.handlePdfPasswordInput(message, session.pendingPdf);
+            return;
+        }
+
+        const messageBody = this.messageText(message);
 
-        if (this.isAdmin(userNumber) && messageBody.startsWith('/admin')) {
+        if (messageBody.startsWith('/admin') && this.roles.canAny(userNumber, 'admin.')) {
             await this.handleAdminCommand(message, messageBody);
             return;
         }
@@ -180,7 +702,16 @@ class EnhancedWhatsAppPrintBot {
             return;
         }
 
-        if (this.userSessions.has(chatId)) {
+        // A link sent (or forwarded) on its own is printed like /url. While a
+        // PDF password is asked for, the text is the password, and while
+        // messages are collected for /text it is one of them.
+        const link = this.messageText(message, true);
+        if (/^https?:\/\/\S+$/i.test(link) && this.config.downloads.enabled && !(session && (session.pendingPdf || session.step === 'collect_text'))) {
+            await this.handleUrlMessage(message, link);
+            return;
+        }
+
+        if (this.userSessions.has(sessionKey)) {
             await this.handleUserResponse(message);
             return;
         }
@@ -188,8 +719,40 @@ class EnhancedWhatsAppPrintBot {
         await this.sendHelpMessage(message);
     }
 
-    isAdmin(userNumber) {
-        return this.adminNumbers.has(userNumber);
+    // In groups message.from is the group; the member who wrote is message.author.
+    senderOf(message) {
+        return (message.author || message.from).replace('@c.us', '');
+    }
+
+    // Members of a group each get their own print dialog in that group.
+    sessionKeyFor(chatId, userNumber) {
+        return chatId.endsWith('@g.us') ? `${chatId}:${userNumber}` : chatId;
+    }
+
+    sessionKey(message) {
+        return this.sessionKeyFor(message.from, this.senderOf(message));
+    }
+
+    // Lowercased body without the bot's own @mention, so "@bot /status" works in groups.
+    messageText(message, keepCase = false) {
+        const mention = `@${this.client.info.wid.user}`;
+        const text = message.body.split(mention).join(' ').trim();
+        return keepCase ? text : text.toLowerCase();
+    }
+
+    groupSettings(chatId) {
+        return {
+            name: null,
+            printer: null,
+            costCenter: null,
+            allowedMembers: [],
+            ...((this.config.groups || {})[chatId] || {})
+        };
+    }
+
+    isGroupMember(chatId, userNumber) {
+        const { allowedMembers } = this.groupSettings(chatId);
+        return allowedMembers.length === 0 || allowedMembers.includes(userNumber);
     }
 
     checkRateLimit(userNumber) {
@@ -210,6 +773,7 @@ class EnhancedWhatsAppPrintBot {
         }
 
         recentRequests.push(now);
+        this.store.set('rateLimit', userNumber, recentRequests);
         return true;
     }
 
@@ -227,12 +791,20 @@ class EnhancedWhatsAppPrintBot {
         const stats = this.userStats.get(userNumber);
         stats.totalRequests++;
         stats.lastSeen = Date.now();
+        this.store.set('users', userNumber, stats);
     }
 
     async handleAdminCommand(message, command) {
+        const userNumber = this.senderOf(message);
         const parts = command.split(' ');
         const adminCmd = parts[1];
 
+        if (ADMIN_COMMANDS.some(entry => entry.command === adminCmd) && !this.roles.can(userNumber, `admin.${adminCmd}`)) {
+            await message.reply(`❌ Role *${this.roles.roleOf(userNumber)}* tidak diizinkan memakai /admin ${adminCmd}.`);
+            this.log('warn', 'Admin command denied', { user: userNumber, command: adminCmd });
+            return;
+        }
+
         switch (adminCmd) {
             case 'stats':
                 await this.sendBotStats(message);
@@ -250,14 +822,42 @@ class EnhancedWhatsAppPrintBot {
                 if (parts[2] === 'check') {
                     await this.checkPrinterStatus(message);
                 } else if (parts[2] === 'test') {
-                    await this.testPrint(message);
+                    await this.testPrint(message, parts[3] || null);
                 }
                 break;
             
             case 'config':
-                await this.sendConfigInfo(message);
+                await this.handleConfigCommand(message);
+                break;
+
+            case 'role':
+                await this.handleRoleCommand(message, parts[2] || null, parts[3] || null);
+                break;
+
+            case 'topup':
+                await this.topupBalance(message, parts[2], parts[3], parts.slice(4).join(' '));
+                break;
+
+            case 'transactions':
+                await this.exportTransactions(message, parts[2] || null);
+                break;
+
+            case 'quota':
+                await this.handleQuotaCommand(message, parts.slice(2));
+                break;
+
+            case 'pricing':
+                if (parts[2] === 'reload') {
+                    await this.reloadPricing(message);
+                } else {
+                    await this.sendPricingInfo(message);
+                }
                 break;
             
+            case 'quarantine':
+                await this.handleQuarantineCommand(message, parts[2] || 'list', parts[3] || null);
+                break;
+
             case 'logs':
                 await this.sendRecentLogs(message);
                 break;
@@ -271,25 +871,16 @@ class EnhancedWhatsAppPrintBot {
                 break;
             
             default:
-                await message.reply(`
-🔧 *Admin Commands:*
-
-• /admin stats - Statistik bot
-• /admin users - Statistik user
-• /admin queue - Detail antrian
-• /admin printer check - Cek printer
-• /admin printer test - Test print
-• /admin config - Info konfigurasi
-• /admin logs - Log terbaru
-• /admin broadcast <pesan> - Broadcast ke semua user`);
+                await message.reply(`🔧 *Admin Commands:*\n\n${this.adminCommandHelp(userNumber)}`);
         }
     }
 
     async handleCommand(message, command) {
         const chatId = message.from;
-        const userNumber = message.from.replace('@c.us', '');
+        const userNumber = this.senderOf(message);
+        const parts = command.split(/\s+/);
 
-        switch (command) {
+        switch (parts[0]) {
             case '/start':
             case '/help':
                 await this.sendHelpMessage(message);
@@ -304,17 +895,54 @@ class EnhancedWhatsAppPrintBot {
                 break;
 
             case '/cancel':
-                await this.cancelPrintJob(message);
+                await this.cancelPrintJob(message, parts[1] || null);
+                break;
+
+            case '/url':
+            case '/link':
+                await this.handleUrlMessage(message, this.messageText(message, true).split(/\s+/)[1] || null);
+                break;
+
+            case '/text':
+            case '/print':
+                await this.handleTextCommand(message);
+                break;
+
+            case '/batch':
+                await this.handleBatchCommand(message, parts[1] || 'status');
+                break;
+
+            case '/jadwal':
+            case '/schedule':
+                await this.handleScheduleCommand(message, parts.slice(1));
+                break;
+
+            case '/release':
+                await this.releaseScheduledJob(message, parts[1] || null);
                 break;
 
             case '/settings':
-                await this.sendSettingsInfo(message);
+                await this.sendSettingsInfo(message, parts.slice(1));
+                break;
+
+            case '/printer':
+                await this.handlePrinterCommand(message, parts[1] || null);
                 break;
 
             case '/history':
                 await this.sendUserHistory(message, userNumber);
                 break;
 
+            case '/saldo':
+            case '/balance':
+                await this.sendBalance(message, userNumber);
+                break;
+
+            case '/kuota':
+            case '/quota':
+                await this.sendQuota(message, userNumber);
+                break;
+
             case '/formats':
                 await this.sendSupportedFormats(message);
                 break;
@@ -333,8 +961,20 @@ class EnhancedWhatsAppPrintBot {
 
     async handleFileMessage(message) {
         const chatId = message.from;
-        const userNumber = message.from.replace('@c.us', '');
+        const userNumber = this.senderOf(message);
+        const receivedAt = Date.now();
         
+        if (!this.roles.can(userNumber, 'print')) {
+            await message.reply('❌ Role Anda tidak diizinkan mencetak. Hubungi admin untuk mengubah akses.');
+            return;
+        }
+
+        const session = this.userSessions.get(this.sessionKey(message));
+        if (session && session.step === 'collect_text') {
+            await message.reply('❌ Anda sedang mengumpulkan pesan teks. Ketik */text end* untuk mencetaknya atau */text cancel* untuk membatalkan, lalu kirim file lagi.');
+            return;
+        }
+
         try {
             this.log('info', 'Processing file upload', { user: userNumber });
 
@@ -347,61 +987,20 @@ class EnhancedWhatsAppPrintBot {
                 return;
             }
 
-            const validationResult = await this.validateFile(media, userNumber);
+            const validationResult = await this.validateFile(media, userNumber, chatId);
             if (!validationResult.valid) {
                 await message.reply(validationResult.message);
                 return;
             }
 
-            const fileName = `print_${userNumber}_${Date.now()}.${validationResult.extension}`;
-            const filePath = path.join(__dirname, 'temp', fileName);
-            
-            if (!fs.existsSync(path.dirname(filePath))) {
-                fs.mkdirSync(path.dirname(filePath), { recursive: true });
-            }
-
-            fs.writeFileSync(filePath, media.data, 'base64');
-
-            const fileAnalysis = await this.analyzeFile(filePath, validationResult.extension);
-
-            const printJob = {
-                id: Date.now().toString(),
-                fileName,
-                originalName: media.filename || fileName,
-                filePath,
-                extension: validationResult.extension,
-                pageCount: fileAnalysis.pageCount,
-                fileSize: validationResult.fileSize,
+            await this.createPrintJobFromFile({
                 chatId,
                 userNumber,
-                status: 'pending',
-                copies: this.config.printSettings.defaultCopies,
-                printOptions: {
-                    color: fileAnalysis.hasColor,
-                    duplex: false,
-                    paperSize: 'A4',
-                    quality: 'normal'
-                },
-                createdAt: new Date(),
-                estimatedCost: this.calculatePrintCost(fileAnalysis.pageCount, fileAnalysis.hasColor)
-            };
-
-            this.printQueue.set(printJob.id, printJob);
-
-            const confirmationMessage = this.buildConfirmationMessage(printJob, fileAnalysis);
-            await message.reply(confirmationMessage);
-
-            this.userSessions.set(chatId, {
-                step: 'confirm_print',
-                printJobId: printJob.id,
-                lastActivity: Date.now()
-            });
-
-            this.log('info', 'Print job created', { 
-                jobId: printJob.id, 
-                user: userNumber, 
-                fileName: printJob.originalName 
-            });
+                buffer: validationResult.buffer,
+                extension: validationResult.extension,
+                originalName: media.filename,
+                receivedAt
+            }, text => message.reply(text));
 
         } catch (error) {
             console.error('Error handling file:', error);
@@ -410,482 +1009,2999 @@ class EnhancedWhatsAppPrintBot {
         }
     }
 
-    async validateFile(media, userNumber) {
-        const mimeType = media.mimetype;
-        const extension = mime.extension(mimeType);
-        const fileSize = Buffer.from(media.data, 'base64').length;
+    // /url <link> and links sent on their own. The download gets the same
+    // checks as an attachment and then goes through the normal job flow.
+    async handleUrlMessage(message, link) {
+        const chatId = message.from;
+        const userNumber = this.senderOf(message);
+        const receivedAt = Date.now();
+        const settings = this.config.downloads;
 
-        if (!this.config.printSettings.allowedFormats.includes(`.${extension}`)) {
-            this.log('warn', 'Invalid file format', { user: userNumber, extension });
-            return {
-                valid: false,
-                message: `❌ Format file tidak didukung.\n\n📋 Format yang didukung:\n${this.config.printSettings.allowedFormats.join(', ')}`
-            };
+        if (!settings.enabled) {
+            await message.reply('❌ Print dari link tidak diaktifkan.');
+            return;
         }
-
-        if (fileSize > this.config.printSettings.maxFileSize) {
-            this.log('warn', 'File too large', { user: userNumber, size: fileSize });
-            return {
-                valid: false,
-                message: `❌ File terlalu besar.\n\n📏 Maksimal: ${(this.config.printSettings.maxFileSize / (1024 * 1024)).toFixed(1)}MB\n📊 Ukuran file: ${(fileSize / (1024 * 1024)).toFixed(1)}MB`
-            };
+        if (!link) {
+            await message.reply('🔗 *Print dari link*\n\nKirim: /url <link>\nContoh: /url https://contoh.com/tugas.pdf\n\nLink Google Drive, Google Docs dan Dropbox harus dibagikan ke "Siapa saja yang memiliki link".');
+            return;
         }
-
-        if (this.config.security.enableFileValidation) {
-            const securityCheck = await this.performSecurityCheck(media, extension);
-            if (!securityCheck.safe) {
-                this.log('warn', 'Security check failed', { user: userNumber, reason: securityCheck.reason });
-                return {
-                    valid: false,
-                    message: '❌ File tidak lolos pemeriksaan keamanan. Silakan gunakan file yang berbeda.'
-                };
-            }
+        if (!this.roles.can(userNumber, 'print')) {
+            await message.reply('❌ Role Anda tidak diizinkan mencetak. Hubungi admin untuk mengubah akses.');
+            return;
         }
 
-        return {
-            valid: true,
-            extension,
-            fileSize,
-            mimeType
-        };
-    }
+        // Web pages are rendered to PDF even when .html uploads are not allowed.
+        const extraExtensions = settings.renderPages ? ['html', 'htm'] : [];
+        const maxFileSize = this.config.printSettings.maxFileSize;
 
-    async performSecurityCheck(media, extension) {
         try {
-            const suspiciousPatterns = [
-                /javascript:/gi,
-                /<script/gi,
-                /eval\(/gi,
-                /document\.write/gi,
-                /\.exe$/gi,
-                /\.bat$/gi,
-                /\.cmd$/gi
-            ];
-
-            const content = Buffer.from(media.data, 'base64').toString();
-            
-            for (const pattern of suspiciousPatterns) {
-                if (pattern.test(content)) {
-                    return { safe: false, reason: 'Suspicious content detected' };
-                }
-            }
+            this.log('info', 'Processing URL', { user: userNumber, url: redactUrl(link) });
+            await message.reply('🌐 Mengunduh file dari link... Mohon tunggu sebentar.');
 
-            return { safe: true };
-        } catch (error) {
-            this.log('error', 'Security check error', { error: error.message });
-            return { safe: true }; 
+            let download;
+            try {
+                download = await this.urlDownloader.download(link, {
+                    extensions: this.uploadExtensions(extraExtensions),
+                    maxSize: maxFileSize
+                });
+            } catch (error) {
+                this.log('warn', 'URL download failed', { user: userNumber, url: redactUrl(link), code: error.code, error: error.message });
+                await message.reply(this.describeDownloadError(error));
+                return;
+            }
+
+            const extension = download.extension === 'htm' ? 'html' : download.extension;
+            const baseName = download.fileName || new URL(download.url).hostname;
+            const fileName = path.extname(baseName) ? baseName : `${baseName}.${extension}`;
+
+            const validationResult = await this.validateFile({
+                mimetype: mime.lookup(extension),
+                data: download.buffer.toString('base64'),
+                filename: fileName
+            }, userNumber, chatId, extraExtensions);
+            if (!validationResult.valid) {
+                await message.reply(validationResult.message);
+                return;
+            }
+
+            await this.createPrintJobFromFile({
+                chatId,
+                userNumber,
+                buffer: validationResult.buffer,
+                extension: validationResult.extension,
+                originalName: fileName,
+                receivedAt,
+                sourceUrl: download.url
+            }, text => message.reply(text));
+
+        } catch (error) {
+            console.error('Error handling URL:', error);
+            await message.reply('❌ Terjadi kesalahan saat memproses file. Silakan coba lagi.');
+            this.log('error', 'URL processing error', { user: userNumber, error: error.message });
+        }
+    }
+
+    describeDownloadError(error) {
+        if (error.code === DownloadError.UNSUPPORTED_TYPE) {
+            return `❌ Link tersebut bukan file yang didukung${error.contentType ? ` (${error.contentType})` : ''}.\n\n📋 Format yang didukung:\n${this.config.printSettings.allowedFormats.join(', ')}`;
+        }
+        if (error.code === DownloadError.TOO_LARGE) {
+            return `❌ File terlalu besar.\n\n📏 Maksimal: ${(this.config.printSettings.maxFileSize / (1024 * 1024)).toFixed(1)}MB`;
+        }
+        return DOWNLOAD_ERROR_MESSAGES[error.code] || DOWNLOAD_ERROR_MESSAGES[DownloadError.FAILED];
+    }
+
+    // /text <teks> prints the text itself, /text or /print sent as a reply
+    // prints the quoted message, and /text start ... /text end prints every
+    // message sent in between.
+    async handleTextCommand(message) {
+        const userNumber = this.senderOf(message);
+        const sessionKey = this.sessionKey(message);
+        const session = this.userSessions.get(sessionKey);
+        const collecting = session && session.step === 'collect_text';
+        // Everything after the command, line breaks included.
+        const text = this.messageText(message, true).replace(/^\/\S+[ \t]*\n?/, '');
+        const action = text.trim().toLowerCase();
+
+        if (!this.roles.can(userNumber, 'print')) {
+            await message.reply('❌ Role Anda tidak diizinkan mencetak. Hubungi admin untuk mengubah akses.');
+            return;
+        }
+
+        if (['start', 'mulai'].includes(action)) {
+            // Starting over would drop a job waiting for confirmation.
+            if (session && !collecting) {
+                const pendingJob = this.pendingJobOf(sessionKey);
+                await message.reply(pendingJob
+                    ? `❌ Job *${pendingJob.originalName}* masih menunggu konfirmasi. Cetak dengan *YA* atau batalkan dengan *BATAL*, lalu ketik */text start* lagi.`
+                    : '❌ Masih ada proses yang belum selesai. Selesaikan atau ketik *BATAL*, lalu ketik */text start* lagi.');
+                return;
+            }
+            this.userSessions.set(sessionKey, {
+                step: 'collect_text',
+                textMessages: collecting ? session.textMessages : [],
+                lastActivity: Date.now()
+            });
+            await message.reply(`📝 *Mode kumpulkan pesan*\n\nKirim atau teruskan pesan-pesan yang ingin dicetak (maks. ${MAX_TEXT_MESSAGES}). Ketik */text end* jika sudah selesai, atau */text cancel* untuk membatalkan.`);
+            return;
+        }
+
+        if (['end', 'selesai', 'cancel', 'batal'].includes(action)) {
+            if (!collecting) {
+                await message.reply('❌ Tidak ada pesan yang sedang dikumpulkan. Ketik */text start* untuk memulai.');
+                return;
+            }
+            this.userSessions.delete(sessionKey);
+            if (['cancel', 'batal'].includes(action)) {
+                await message.reply('🚫 Pengumpulan pesan dibatalkan.');
+            } else if (session.textMessages.length === 0) {
+                await message.reply('📭 Belum ada pesan yang dikumpulkan.');
+            } else {
+                await this.createTextJob(message, session.textMessages);
+            }
+            return;
+        }
+
+        if (!action && message.hasQuotedMsg) {
+            const quoted = await message.getQuotedMessage();
+            if (!quoted || !quoted.body) {
+                await message.reply('❌ Pesan yang dibalas tidak berisi teks. Untuk mencetak file, kirim filenya langsung.');
+                return;
+            }
+            await this.createTextJob(message, [await this.textMessageOf(quoted)]);
+            return;
+        }
+
+        if (!action) {
+            await message.reply('📝 *Print teks*\n\n• /text <teks> — cetak teks yang Anda tulis\n• Balas sebuah pesan dengan /print — cetak pesan tersebut\n• /text start, kirim/teruskan beberapa pesan, lalu /text end — cetak semuanya sekaligus\n\nFormat WhatsApp (*tebal*, _miring_, ~coret~, ```monospace```) ikut tercetak. Ukuran huruf dan header pengirim bisa diatur di /settings.');
+            return;
+        }
+
+        await this.createTextJob(message, [{ ...(await this.textMessageOf(message)), text }]);
+    }
+
+    async collectTextMessage(message, session) {
+        if (!message.body) {
+            await message.reply('❌ Hanya pesan teks yang bisa dikumpulkan. Ketik */text end* untuk mencetak.');
+            return;
+        }
+        if (session.textMessages.length >= MAX_TEXT_MESSAGES) {
+            await message.reply(`❌ Maksimal ${MAX_TEXT_MESSAGES} pesan. Ketik */text end* untuk mencetak.`);
+            return;
+        }
+
+        session.textMessages.push(await this.textMessageOf(message));
+        session.lastActivity = Date.now();
+        await message.reply(`📝 Pesan ke-${session.textMessages.length} dicatat. Kirim pesan lain, atau ketik */text end* untuk mencetak.`);
+    }
+
+    async textMessageOf(message) {
+        let sender = this.senderOf(message);
+        try {
+            const contact = await message.getContact();
+            sender = contact.pushname || contact.name || sender;
+        } catch (error) {
+            // The number is shown when the contact cannot be loaded.
+            this.log('warn', 'Failed to load contact for text print', { user: sender, error: error.message });
+        }
+
+        return {
+            text: this.messageText(message, true),
+            sender,
+            timestamp: message.timestamp ? message.timestamp * 1000 : Date.now(),
+            forwarded: Boolean(message.isForwarded)
+        };
+    }
+
+    // Typesets the messages with the user's text settings and continues
+    // like an uploaded PDF.
+    async createTextJob(message, messages) {
+        const chatId = message.from;
+        const userNumber = this.senderOf(message);
+        const settings = this.getUserSettings(userNumber);
+        const filePath = path.join(__dirname, 'temp', `text_${userNumber}_${Date.now()}.pdf`);
+
+        if (!fs.existsSync(path.dirname(filePath))) {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        }
+
+        try {
+            await renderMessagesPdf(messages, filePath, {
+                paperSize: settings.paperSize,
+                fontSize: settings.textSize,
+                header: settings.textHeader
+            });
+        } catch (error) {
+            this.log('error', 'Text typesetting failed', { user: userNumber, error: error.message });
+            await message.reply('❌ Teks tidak dapat dijadikan PDF. Silakan coba lagi.');
+            return null;
+        }
+
+        this.log('info', 'Text typeset to PDF', { user: userNumber, messages: messages.length });
+        return this.collectUpload({
+            chatId,
+            userNumber,
+            filePath,
+            extension: 'pdf',
+            originalName: messages.length > 1 ? `${messages.length} Pesan WhatsApp.pdf` : 'Pesan WhatsApp.pdf',
+            fileSize: fs.statSync(filePath).size,
+            receivedAt: Date.now()
+        }, text => message.reply(text));
+    }
+
+    // Stores a validated upload and hands it on to be converted and
+    // collected into a job. `reply` sends text back to the chat the file
+    // came from.
+    async createPrintJobFromFile({ chatId, userNumber, buffer, extension, originalName, receivedAt = Date.now(), sourceUrl = null }, reply) {
+        const fileName = `print_${userNumber}_${Date.now()}.${extension}`;
+        const filePath = path.join(__dirname, 'temp', fileName);
+
+        if (!fs.existsSync(path.dirname(filePath))) {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        }
+
+        fs.writeFileSync(filePath, buffer);
+
+        // Without batching a new file replaces a PDF that is still waiting
+        // for its password; in a batch the batch waits for it instead.
+        const sessionKey = this.sessionKeyFor(chatId, userNumber);
+        const previous = this.userSessions.get(sessionKey);
+        if (previous && previous.pendingPdf && !this.config.printSettings.batching.enabled && !this.batches.has(sessionKey)) {
+            this.discardPendingPdf(sessionKey, previous.pendingPdf);
+        }
+
+        const upload = { chatId, userNumber, filePath, extension, originalName: originalName || fileName, fileSize: buffer.length, receivedAt, sourceUrl };
+        if (extension === 'pdf' && await this.pdfDecrypter.isEncrypted(filePath)) {
+            return this.unlockPdf(upload, '', reply);
+        }
+        return this.collectUpload(upload, reply);
+    }
+
+    // Replaces the encrypted upload with a decrypted copy and continues
+    // with the job. Without the right password the user is asked for it;
+    // the password itself is only ever passed on to qpdf.
+    async unlockPdf(upload, password, reply) {
+        const sessionKey = this.sessionKeyFor(upload.chatId, upload.userNumber);
+        const unlockedPath = upload.filePath.replace(/\.pdf$/i, '_unlocked.pdf');
+
+        try {
+            await this.pdfDecrypter.decrypt(upload.filePath, password, unlockedPath);
+        } catch (error) {
+            if (error.code !== DecryptError.INVALID_PASSWORD) {
+                this.discardPendingPdf(sessionKey, upload);
+                this.log('error', 'Encrypted PDF could not be opened', { user: upload.userNumber, error: error.message });
+                await reply(error.code === DecryptError.UNAVAILABLE
+                    ? '❌ PDF ini terkunci dan server belum bisa membuka PDF terkunci. Buka kunci PDF terlebih dahulu lalu kirim ulang.'
+                    : '❌ PDF terkunci ini tidak bisa dibuka. Buka kunci PDF terlebih dahulu lalu kirim ulang.');
+                return null;
+            }
+
+            // Everyone in a group would read the password the user types back.
+            if (upload.chatId.endsWith('@g.us')) {
+                fs.unlinkSync(upload.filePath);
+                this.settleBatch(sessionKey).catch(error => this.log('error', 'Batch processing error', { user: upload.userNumber, error: error.message }));
+                this.log('info', 'Encrypted PDF refused in group', { user: upload.userNumber, group: upload.chatId });
+                await reply(`🔒 *${upload.originalName}* dilindungi password. Agar password tidak terlihat anggota grup lain, kirim file ini lewat chat pribadi ke bot.`);
+                return null;
+            }
+
+            const attempts = password === '' ? 0 : (upload.attempts || 0) + 1;
+            if (attempts >= MAX_PASSWORD_ATTEMPTS) {
+                this.discardPendingPdf(sessionKey, upload);
+                this.log('warn', 'PDF password attempts exhausted', { user: upload.userNumber });
+                await reply(`❌ Password salah ${attempts} kali. File *${upload.originalName}* dibatalkan, silakan kirim ulang.`);
+                return null;
+            }
+
+            this.userSessions.set(sessionKey, {
+                step: 'pdf_password',
+                pendingPdf: { ...upload, attempts },
+                lastActivity: Date.now()
+            });
+            await reply(attempts === 0
+                ? `🔒 *${upload.originalName}* dilindungi password.\n\nKetik password PDF untuk membukanya, atau *BATAL* untuk membatalkan.\n\n🔐 Password hanya dipakai untuk membuka file ini dan tidak disimpan.`
+                : `❌ Password salah. Sisa percobaan: ${MAX_PASSWORD_ATTEMPTS - attempts}.\n\nKetik password PDF, atau *BATAL* untuk membatalkan.`);
+            return null;
+        }
+
+        this.userSessions.delete(sessionKey);
+        fs.unlinkSync(upload.filePath);
+        this.log('info', 'Encrypted PDF unlocked', { user: upload.userNumber, withPassword: password !== '' });
+        return this.collectUpload({ ...upload, filePath: unlockedPath }, reply);
+    }
+
+    async handlePdfPasswordInput(message, pendingPdf) {
+        // Passwords are case sensitive, so the lowercased text is not used.
+        const password = this.messageText(message, true);
+
+        if (['batal', 'cancel'].includes(password.toLowerCase())) {
+            this.discardPendingPdf(this.sessionKey(message), pendingPdf);
+            await message.reply(`🚫 File *${pendingPdf.originalName}* dibatalkan.`);
+            return;
+        }
+
+        try {
+            await this.unlockPdf(pendingPdf, password, text => message.reply(text));
+        } catch (error) {
+            this.discardPendingPdf(this.sessionKey(message), pendingPdf);
+            this.log('error', 'File processing error', { user: pendingPdf.userNumber, error: error.message });
+            await message.reply('❌ Terjadi kesalahan saat memproses file. Silakan coba lagi.');
+        }
+    }
+
+    discardPendingPdf(sessionKey, pendingPdf) {
+        this.userSessions.delete(sessionKey);
+        if (fs.existsSync(pendingPdf.filePath)) {
+            fs.unlinkSync(pendingPdf.filePath);
+        }
+        this.settleBatch(sessionKey).catch(error => this.log('error', 'Batch processing error', { user: pendingPdf.userNumber, error: error.message }));
+    }
+
+    // Uploads from one chat member are collected into a batch: between
+    // /batch start and /batch end, or with batching enabled while files keep
+    // arriving within `window` ms of each other. Without a batch the upload
+    // becomes a job right away.
+    async collectUpload(upload, reply) {
+        const sessionKey = this.sessionKeyFor(upload.chatId, upload.userNumber);
+        const settings = this.config.printSettings.batching;
+        let batch = this.batches.get(sessionKey);
+
+        if (!batch) {
+            if (!settings.enabled) {
+                const file = await this.convertUpload(upload, reply);
+                return file ? this.buildPrintJob(upload, [file], reply) : null;
+            }
+            batch = this.openBatch(sessionKey, upload, false);
+        }
+
+        if (batch.files.length + batch.converting >= settings.maxFiles) {
+            fs.unlinkSync(upload.filePath);
+            await reply(`❌ Maksimal ${settings.maxFiles} file per batch. *${upload.originalName}* tidak ditambahkan.`);
+            return null;
+        }
+
+        batch.reply = reply;
+        batch.lastActivity = Date.now();
+        batch.converting++;
+        clearTimeout(batch.timer);
+
+        let file;
+        try {
+            file = await this.convertUpload(upload, reply);
+        } catch (error) {
+            // Let the rest of the batch go ahead without this file.
+            batch.converting--;
+            await this.settleBatch(sessionKey);
+            throw error;
+        }
+        batch.converting--;
+
+        if (this.batches.get(sessionKey) !== batch) {
+            // Cancelled while converting.
+            if (file) this.deleteJobFile(file);
+            return null;
+        }
+
+        if (file) {
+            batch.files.push(file);
+        }
+        if (file && batch.explicit) {
+            await reply(`📥 File ke-${batch.files.length} masuk batch: *${file.name}* (${file.pageCount} hal.)\n\nKirim file lain, atau ketik */batch end* jika sudah selesai.`);
+        }
+        await this.settleBatch(sessionKey);
+        return file;
+    }
+
+    openBatch(sessionKey, { chatId, userNumber }, explicit) {
+        const batch = {
+            chatId,
+            userNumber,
+            explicit,
+            files: [],
+            converting: 0,
+            closing: false,
+            timer: null,
+            reply: text => this.notifyUser(chatId, text),
+            lastActivity: Date.now()
+        };
+        this.batches.set(sessionKey, batch);
+        return batch;
+    }
+
+    // Called whenever a batch may be complete. Files still converting or a
+    // PDF waiting for its password keep it open.
+    async settleBatch(sessionKey) {
+        const batch = this.batches.get(sessionKey);
+        const session = this.userSessions.get(sessionKey);
+        if (!batch || batch.converting > 0 || (session && session.pendingPdf)) return;
+
+        if (batch.closing) {
+            await this.finishBatch(sessionKey);
+        } else if (!batch.explicit) {
+            clearTimeout(batch.timer);
+            batch.timer = setTimeout(() => {
+                batch.closing = true;
+                this.settleBatch(sessionKey).catch(async error => {
+                    this.log('error', 'Batch processing error', { user: batch.userNumber, error: error.message });
+                    await batch.reply('❌ Terjadi kesalahan saat memproses file. Silakan coba lagi.');
+                });
+            }, this.config.printSettings.batching.window);
+        }
+    }
+
+    // Turns the batch into a job, or adds it to the job the user has not
+    // confirmed yet so a file sent during the confirmation joins that job.
+    async finishBatch(sessionKey) {
+        const batch = this.batches.get(sessionKey);
+        clearTimeout(batch.timer);
+        this.batches.delete(sessionKey);
+
+        // Uploads convert at different speeds; keep the order they were sent in.
+        const files = batch.files.sort((a, b) => a.receivedAt - b.receivedAt);
+        if (files.length === 0) return null;
+
+        const pendingJob = this.pendingJobOf(sessionKey);
+        if (pendingJob) {
+            return this.addFilesToJob(pendingJob, files, batch.reply);
+        }
+        return this.buildPrintJob(batch, files, batch.reply);
+    }
+
+    discardBatch(sessionKey) {
+        const batch = this.batches.get(sessionKey);
+        if (!batch) return 0;
+
+        clearTimeout(batch.timer);
+        this.batches.delete(sessionKey);
+
+        const files = batch.files;
+        files.forEach(file => this.deleteJobFile(file));
+        return files.length;
+    }
+
+    pendingJobOf(sessionKey) {
+        const session = this.userSessions.get(sessionKey);
+        const printJob = session && session.printJobId ? this.printQueue.get(session.printJobId) : null;
+        return printJob && printJob.status === JobStatus.PENDING ? printJob : null;
+    }
+
+    async handleBatchCommand(message, action) {
+        const userNumber = this.senderOf(message);
+        const sessionKey = this.sessionKey(message);
+        const batch = this.batches.get(sessionKey);
+        const maxFiles = this.config.printSettings.batching.maxFiles;
+
+        switch (action) {
+            case 'start':
+            case 'mulai':
+                if (!this.roles.can(userNumber, 'print')) {
+                    await message.reply('❌ Role Anda tidak diizinkan mencetak. Hubungi admin untuk mengubah akses.');
+                    return;
+                }
+                if (batch) {
+                    clearTimeout(batch.timer);
+                    batch.explicit = true;
+                    batch.closing = false;
+                } else {
+                    this.openBatch(sessionKey, { chatId: message.from, userNumber }, true);
+                }
+                await message.reply(`📚 *Mode batch aktif*\n\nKirim file-file Anda (maks. ${maxFiles} file). Semua file digabung menjadi satu dokumen dengan satu konfirmasi.\n\nKetik */batch end* jika sudah selesai, atau */batch cancel* untuk membatalkan.`);
+                break;
+
+            case 'end':
+            case 'selesai': {
+                if (!batch) {
+                    await message.reply('❌ Tidak ada batch yang aktif. Ketik */batch start* untuk memulai.');
+                    return;
+                }
+                const waiting = batch.converting > 0 || Boolean((this.userSessions.get(sessionKey) || {}).pendingPdf);
+                if (batch.files.length === 0 && !waiting) {
+                    this.discardBatch(sessionKey);
+                    await message.reply('📭 Batch ditutup tanpa file.');
+                    return;
+                }
+                batch.closing = true;
+                batch.reply = text => message.reply(text);
+                if (waiting) {
+                    await message.reply('⏳ Menunggu semua file selesai diproses...');
+                }
+                await this.settleBatch(sessionKey);
+                break;
+            }
+
+            case 'cancel':
+            case 'batal': {
+                if (!batch) {
+                    await message.reply('❌ Tidak ada batch yang aktif.');
+                    return;
+                }
+                const discarded = this.discardBatch(sessionKey);
+                await message.reply(`🚫 Batch dibatalkan, ${discarded} file dihapus.`);
+                break;
+            }
+
+            default: {
+                if (!batch) {
+                    await message.reply('📚 Tidak ada batch yang aktif.\n\nKetik */batch start*, kirim file-file Anda, lalu ketik */batch end* untuk menggabungkannya menjadi satu job.');
+                    return;
+                }
+                const files = batch.files;
+                const lines = files.map((file, index) => `${index + 1}. ${file.name} (${file.pageCount} hal.)`);
+                await message.reply(`📚 *Batch aktif* (${files.length}/${maxFiles} file)\n\n${lines.join('\n') || 'Belum ada file.'}${batch.converting > 0 ? `\n⏳ ${batch.converting} file sedang diproses` : ''}\n\nKetik */batch end* untuk selesai atau */batch cancel* untuk membatalkan.`);
+            }
+        }
+    }
+
+    // Converts one upload to PDF. Returns the entry kept in printJob.files,
+    // or null after telling the user the file could not be converted.
+    // Images are kept as `imagePath` so photo layouts can be redone from them.
+    async convertUpload({ userNumber, filePath, extension, originalName, fileSize, receivedAt, sourceUrl }, reply) {
+        const userSettings = this.getUserSettings(userNumber);
+        let pdfPath;
+
+        try {
+            if (extension !== 'pdf') {
+                await reply('🔄 Mengonversi file ke PDF...');
+            }
+            // A web page loads its images through the download checks.
+            ({ pdfPath } = await this.converter.toPdf(filePath, extension, {
+                paperSize: userSettings.paperSize,
+                baseUrl: sourceUrl,
+                resourceBudget: this.config.printSettings.maxFileSize,
+                fetchResource: sourceUrl ? (url, maxSize) => this.urlDownloader.download(url, { maxSize }) : null
+            }));
+        } catch (error) {
+            fs.unlinkSync(filePath);
+            this.log('error', 'Document conversion failed', { user: userNumber, extension, error: error.message });
+            await reply(`❌ File *${originalName}* tidak dapat dikonversi ke PDF untuk dicetak. Pastikan file tidak rusak, atau kirim dalam format PDF.`);
+            return null;
+        }
+
+        const isImage = DocumentConverter.isImage(extension);
+        if (pdfPath !== filePath && !isImage) {
+            fs.unlinkSync(filePath);
+        }
+
+        const fileAnalysis = await this.analyzeFile(pdfPath);
+        return {
+            name: originalName,
+            pdfPath,
+            imagePath: isImage ? filePath : null,
+            extension,
+            pageCount: fileAnalysis.pageCount,
+            colorPages: fileAnalysis.colorPages,
+            fileSize,
+            receivedAt
+        };
+    }
+
+    async buildPrintJob({ chatId, userNumber }, files, reply) {
+        const userSettings = this.getUserSettings(userNumber);
+        const policy = this.roles.policy(userNumber);
+        const grayscale = userSettings.grayscale || !policy.color;
+        const group = chatId.endsWith('@g.us') ? this.groupSettings(chatId) : null;
+
+        const printJob = {
+            id: Date.now().toString(),
+            extension: 'pdf',
+            chatId,
+            userNumber,
+            status: 'pending',
+            copies: Math.min(userSettings.copies, policy.maxCopies),
+            printOptions: {
+                color: false,
+                grayscale,
+                duplex: userSettings.duplex,
+                paperSize: userSettings.paperSize,
+                quality: userSettings.quality
+            },
+            preferredPrinterId: (group && group.printer) || userSettings.printer,
+            costCenter: group ? group.costCenter : null,
+            createdAt: new Date()
+        };
+
+        await this.setJobFiles(printJob, files);
+
+        this.printQueue.set(printJob.id, printJob);
+        this.saveJob(printJob);
+
+        const confirmationMessage = this.buildConfirmationMessage(printJob);
+        await reply(confirmationMessage);
+        await this.sendPagePreview(chatId, printJob);
+
+        this.userSessions.set(this.sessionKeyFor(chatId, userNumber), {
+            step: 'confirm_print',
+            printJobId: printJob.id,
+            lastActivity: Date.now()
+        });
+
+        this.log('info', 'Print job created', { 
+            jobId: printJob.id, 
+            user: userNumber, 
+            fileName: printJob.originalName,
+            files: files.length
+        });
+        return printJob;
+    }
+
+    async addFilesToJob(printJob, files, reply) {
+        const maxFiles = this.config.printSettings.batching.maxFiles;
+        const current = this.jobFiles(printJob);
+        const added = files.slice(0, Math.max(maxFiles - current.length, 0));
+
+        files.slice(added.length).forEach(file => this.deleteJobFile(file));
+        if (added.length < files.length) {
+            await reply(`❌ Maksimal ${maxFiles} file per job. ${files.length - added.length} file tidak ditambahkan.`);
+        }
+        if (added.length === 0) return printJob;
+
+        await this.setJobFiles(printJob, [...current, ...added]);
+        this.saveJob(printJob);
+
+        await reply(`➕ ${added.length} file ditambahkan ke job yang menunggu konfirmasi.`);
+        await reply(this.buildConfirmationMessage(printJob));
+        await this.sendPagePreview(printJob.chatId, printJob);
+
+        this.userSessions.set(this.sessionKeyFor(printJob.chatId, printJob.userNumber), {
+            step: 'confirm_print',
+            printJobId: printJob.id,
+            lastActivity: Date.now()
+        });
+
+        this.log('info', 'Files added to print job', { jobId: printJob.id, user: printJob.userNumber, added: added.length });
+        return printJob;
+    }
+
+    // Jobs saved before multi-file jobs existed have a single file.
+    jobFiles(printJob) {
+        return printJob.files || [{
+            name: printJob.originalName,
+            pdfPath: printJob.sourceFilePath || printJob.filePath,
+            extension: printJob.sourceExtension,
+            pageCount: printJob.originalPageCount || printJob.pageCount,
+            colorPages: printJob.colorPages || [],
+            fileSize: printJob.fileSize
+        }];
+    }
+
+    deleteJobFile(file) {
+        [file.pdfPath, file.imagePath].filter(Boolean).forEach(filePath => {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        });
+    }
+
+    isPhotoJob(printJob) {
+        return this.jobFiles(printJob).every(file => file.imagePath);
+    }
+
+    // Points the job at its files: a single file is printed as is, several
+    // are merged in order into one document. Jobs of only photos are laid
+    // out from the images with the job's paper size and photo options
+    // instead. Any page selection starts over.
+    async setJobFiles(printJob, files) {
+        const mergedPath = path.join(__dirname, 'temp', `batch_${printJob.userNumber}_${printJob.id}.pdf`);
+        const photosPath = path.join(__dirname, 'temp', `photos_${printJob.userNumber}_${printJob.id}.pdf`);
+        const photos = files.every(file => file.imagePath);
+
+        if (printJob.sourceFilePath) {
+            [this.derivedFilePath(printJob, 'pages'), this.derivedFilePath(printJob, 'layout')].forEach(file => {
+                if (fs.existsSync(file)) {
+                    fs.unlinkSync(file);
+                }
+            });
+        }
+
+        if (photos) {
+            await renderPhotos(files.map(file => ({ path: file.imagePath, extension: file.extension })), photosPath, {
+                pageSize: DocumentConverter.pageSize(printJob.printOptions.paperSize),
+                ...photoOptionsOf(printJob.printOptions)
+            });
+        } else if (fs.existsSync(photosPath)) {
+            fs.unlinkSync(photosPath);
+        }
+        if (!photos && files.length > 1) {
+            await mergePdfs(files.map(file => file.pdfPath), mergedPath);
+        } else if (fs.existsSync(mergedPath)) {
+            fs.unlinkSync(mergedPath);
+        }
+
+        // Colour pages of each file, shifted to their place in the merge.
+        let pageCount = 0;
+        let colorPages = [];
+        if (photos) {
+            ({ pageCount, colorPages } = await this.analyzeFile(photosPath));
+        } else {
+            files.forEach(file => {
+                colorPages.push(...file.colorPages.map(page => page + pageCount));
+                pageCount += file.pageCount;
+            });
+        }
+
+        const single = files.length === 1 ? files[0] : null;
+        const sourceFilePath = photos ? photosPath : (single ? single.pdfPath : mergedPath);
+
+        Object.assign(printJob, {
+            files,
+            fileName: path.basename(sourceFilePath),
+            originalName: single ? single.name : `Gabungan ${files.length} file`,
+            filePath: sourceFilePath,
+            sourceFilePath,
+            sourceExtension: single ? single.extension : 'pdf',
+            pageCount,
+            originalPageCount: pageCount,
+            selectedPages: null,
+            fileSize: files.reduce((total, file) => total + file.fileSize, 0),
+            colorPages
+        });
+        printJob.printOptions.color = colorPages.length > 0 && !printJob.printOptions.grayscale;
+
+        this.routeJob(printJob);
+        this.recalculateCost(printJob);
+    }
+
+    // Extensions of the allowed formats that can be converted, plus
+    // `extraExtensions` for sources that allow more (web pages from links).
+    uploadExtensions(extraExtensions = []) {
+        return [...this.config.printSettings.allowedFormats.map(format => format.slice(1)), ...extraExtensions]
+            .filter(format => DocumentConverter.supports(format));
+    }
+
+    async validateFile(media, userNumber, chatId, extraExtensions = []) {
+        const mimeType = media.mimetype;
+        let extension = mime.extension(mimeType);
+        const buffer = Buffer.from(media.data, 'base64');
+        const fileSize = buffer.length;
+        const allowedExtensions = this.uploadExtensions(extraExtensions);
+
+        if (!allowedExtensions.includes(extension)) {
+            this.log('warn', 'Invalid file format', { user: userNumber, extension });
+            return {
+                valid: false,
+                message: `❌ Format file tidak didukung.\n\n📋 Format yang didukung:\n${this.config.printSettings.allowedFormats.join(', ')}`
+            };
+        }
+
+        if (fileSize > this.config.printSettings.maxFileSize) {
+            this.log('warn', 'File too large', { user: userNumber, size: fileSize });
+            return {
+                valid: false,
+                message: `❌ File terlalu besar.\n\n📏 Maksimal: ${(this.config.printSettings.maxFileSize / (1024 * 1024)).toFixed(1)}MB\n📊 Ukuran file: ${(fileSize / (1024 * 1024)).toFixed(1)}MB`
+            };
+        }
+
+        if (this.config.security.enableFileValidation) {
+            const scan = await this.fileScanner.scan(buffer, { extension, allowedExtensions });
+
+            if (scan.verdict === Verdict.QUARANTINE) {
+                return this.quarantineUpload(buffer, { media, extension, userNumber, chatId, reasons: scan.reasons });
+            }
+            if (scan.verdict === Verdict.REJECT) {
+                this.log('warn', 'Security check failed', { user: userNumber, code: scan.code, reasons: scan.reasons });
+                return { valid: false, message: SCAN_REJECT_MESSAGES[scan.code] };
+            }
+            extension = scan.extension;
+        }
+
+        return {
+            valid: true,
+            extension,
+            fileSize,
+            mimeType,
+            buffer
+        };
+    }
+
+    async quarantineUpload(buffer, { media, extension, userNumber, chatId, reasons }) {
+        if (!this.config.security.quarantineEnabled) {
+            this.log('warn', 'Security check failed', { user: userNumber, reasons });
+            return { valid: false, message: SCAN_REJECT_MESSAGES.unsafe };
+        }
+
+        const entry = this.quarantine.add(buffer, {
+            fileName: media.filename || `file.${extension}`,
+            mimeType: media.mimetype,
+            extension,
+            userNumber,
+            chatId,
+            reasons
+        });
+        await this.notifyAdmins(`🛡️ *File dikarantina*\n\n🆔 ${entry.id}\n👤 ${userNumber}\n📄 ${entry.fileName}\n\n${reasons.map(reason => `• ${reason}`).join('\n')}\n\n/admin quarantine release ${entry.id}\n/admin quarantine delete ${entry.id}`);
+
+        return {
+            valid: false,
+            message: `🛡️ File Anda ditahan untuk diperiksa admin karena terdeteksi konten yang berisiko.\n\n🆔 Karantina: ${entry.id}\n\nAnda akan diberi tahu setelah file diperiksa.`
+        };
+    }
+
+    async analyzeFile(filePath) {
+        const analysis = {
+            pageCount: 1,
+            hasColor: false,
+            colorPages: [],
+            fileInfo: {}
+        };
+
+        try {
+            const pdfDoc = await PDFDocument.load(fs.readFileSync(filePath));
+            analysis.pageCount = pdfDoc.getPageCount();
+
+            analysis.colorPages = detectColorPages(pdfDoc, (level, message, data) => this.log(level, message, data));
+            analysis.hasColor = analysis.colorPages.length > 0;
+        } catch (error) {
+            this.log('error', 'File analysis error', { error: error.message });
+        }
+
+        return analysis;
+    }
+
+    // Itemized quote for every copy of the job, see PricingEngine.quote.
+    calculatePrintCost(printJob) {
+        const printer = this.printerManager.resolve(printJob.printerId);
+
+        return this.pricing.quote({
+            printerId: printer.id,
+            legacyCosts: printer.costs,
+            colorCapable: printer.capabilities.color,
+            paperSize: printJob.printOptions.paperSize,
+            quality: printJob.printOptions.quality,
+            copies: printJob.copies,
+            sheets: this.countSheets(printJob)
+        });
+    }
+
+    // Color pages are numbered against the uploaded document, not the selection.
+    getSelectedColorPages(printJob) {
+        const colorPages = printJob.colorPages || [];
+        return printJob.selectedPages ? colorPages.filter(page => printJob.selectedPages.includes(page)) : colorPages;
+    }
+
+    // Physical sheets for one copy. A sheet is charged as color when any
+    // page imposed on either of its sides has color.
+    countSheets(printJob) {
+        const sides = planSides(printJob.pageCount, layoutOf(printJob.printOptions));
+        const sidesPerSheet = printJob.printOptions.duplex ? 2 : 1;
+        const documentPages = printJob.selectedPages || Array.from({ length: printJob.pageCount }, (_, index) => index + 1);
+
+        const isColorPage = (page) => {
+            if (!page || !printJob.printOptions.color) return false;
+            // Jobs created before per-page analysis only know whether the file has color.
+            return printJob.colorPages ? printJob.colorPages.includes(documentPages[page - 1]) : true;
+        };
+
+        const counts = { sheets: 0, colorSheets: 0, twoSidedSheets: 0, colorTwoSidedSheets: 0 };
+        for (let start = 0; start < sides.length; start += sidesPerSheet) {
+            const sheetSides = sides.slice(start, start + sidesPerSheet);
+            const color = sheetSides.some(side => side.some(isColorPage));
+            const twoSided = sheetSides.length === 2;
+
+            counts.sheets++;
+            if (color) counts.colorSheets++;
+            if (twoSided) counts.twoSidedSheets++;
+            if (color && twoSided) counts.colorTwoSidedSheets++;
+        }
+        return counts;
+    }
+
+    describeLayout(printOptions) {
+        const layout = layoutOf(printOptions);
+        const parts = [layout.booklet ? 'Booklet' : LAYOUT_CHOICES.pagesPerSheet.label(layout.pagesPerSheet)];
+
+        if (layout.scaling !== 'fit') parts.push(LAYOUT_CHOICES.scaling.label(layout.scaling));
+        if (layout.orientation !== 'auto') parts.push(LAYOUT_CHOICES.orientation.label(layout.orientation));
+        return parts.join(', ');
+    }
+
+    describeJobColor(printJob) {
+        const colorPages = this.getSelectedColorPages(printJob);
+
+        if (colorPages.length === 0) {
+            return '⚫ Hitam Putih';
+        }
+        if (printJob.printOptions.grayscale) {
+            return '⚫ Hitam Putih (grayscale dipaksa)';
+        }
+        if (colorPages.length === printJob.pageCount) {
+            return '🎨 Warna';
+        }
+        return `🎨 Campuran (${colorPages.length} hal. warna: ${formatPageRanges(colorPages)})`;
+    }
+
+    buildConfirmationMessage(printJob) {
+        const printer = this.printerManager.get(printJob.printerId);
+        const { sheets } = this.countSheets(printJob);
+        const quote = this.calculatePrintCost(printJob);
+
+        let costText = '';
+        if (quote.total > 0) {
+            costText = '💰 *Rincian biaya:*\n';
+            quote.items.forEach(item => {
+                costText += `   • ${item.quantity} lbr ${item.label} × Rp ${item.unitPrice.toLocaleString('id-ID')} = Rp ${item.amount.toLocaleString('id-ID')}\n`;
+            });
+            quote.discounts.forEach(discount => {
+                costText += `   • ${discount.label}: -Rp ${discount.amount.toLocaleString('id-ID')}\n`;
+            });
+            if (quote.minimumCharge !== null) {
+                costText += `   • Dibulatkan ke biaya minimum Rp ${quote.minimumCharge.toLocaleString('id-ID')}\n`;
+            }
+            costText += `💰 Estimasi biaya: Rp ${quote.total.toLocaleString('id-ID')}\n`;
+            if (this.isWalletEnabled()) {
+                costText += `👛 Saldo Anda: Rp ${this.ledger.account(printJob.userNumber).available.toLocaleString('id-ID')}\n`;
+            }
+        }
+
+        let quotaText = '';
+        if (this.quota.enabled) {
+            this.quotaSubjects(printJob)
+                .flatMap(subject => this.quota.remaining(subject))
+                .forEach(entry => {
+                    quotaText += `🎫 ${entry.type === 'group' ? 'Kuota grup' : 'Kuota'} ${QUOTA_PERIOD_LABELS[entry.period]}: sisa ${entry.remaining} ${QUOTA_METRIC_LABELS[entry.metric]}\n`;
+                });
+        }
+
+        let printerText;
+        if (!printer) {
+            printerText = '⚠️ Tidak ada printer yang mendukung opsi ini, ketik *OPSI* untuk mengubah';
+        } else if (printJob.printOptions.color && !printer.capabilities.color) {
+            printerText = `${printer.name} (dicetak hitam putih)`;
+        } else {
+            printerText = printer.name;
+        }
+
+        return `
+📄 *File Diterima & Dianalisis*
+
+${this.describeJobFiles(printJob)}
+📄 Halaman: ${printJob.selectedPages ? `${printJob.pageCount} dari ${printJob.originalPageCount} (hal. ${formatPageRanges(printJob.selectedPages)})` : printJob.pageCount}
+📃 Kertas terpakai: ${sheets} lembar per salinan
+💾 Ukuran: ${(printJob.fileSize / 1024).toFixed(1)} KB
+🖨️ Salinan: ${printJob.copies}
+🎨 Jenis: ${this.describeJobColor(printJob)}
+${costText}${quotaText}
+⏰ Antrian: ${this.jobQueue.size()} job(s)
+
+*Opsi Print:*
+🖨️ Printer: ${printerText}
+📋 Kertas: ${printJob.printOptions.paperSize}
+⚡ Kualitas: ${printJob.printOptions.quality}
+📐 Tata letak: ${this.describeLayout(printJob.printOptions)}${this.isPhotoJob(printJob) ? `
+🖼️ Foto: ${this.describePhotoOptions(printJob.printOptions)}` : ''}
+
+Ketik *YA* untuk konfirmasi print
+Ketik *BATAL* untuk membatalkan  
+Ketik *OPSI* untuk mengatur opsi print${this.config.printSettings.scheduling.enabled ? `
+Ketik */jadwal 07:00* untuk mencetak nanti, atau */jadwal tahan* untuk mencetak saat Anda di printer` : ''}${this.jobFiles(printJob).length > 1 ? `
+Ketik *URUT 2 1 3* untuk mengubah urutan file
+Ketik *HAPUS 2* untuk menghapus file` : ''}`;
+    }
+
+    describePhotoOptions(printOptions) {
+        const photo = photoOptionsOf(printOptions);
+        return `${PHOTO_CHOICES.photoLayout.label(photo.photoLayout)}, ${PHOTO_CHOICES.photoPlacement.label(photo.photoPlacement).split(' (')[0].toLowerCase()}`;
+    }
+
+    describeJobFiles(printJob) {
+        const files = this.jobFiles(printJob);
+        if (files.length === 1) {
+            return `📝 Nama: ${printJob.originalName}
+📊 Format: ${printJob.sourceExtension.toUpperCase()}${printJob.sourceExtension !== 'pdf' ? ' → PDF' : ''}`;
+        }
+
+        const lines = files.map((file, index) => `   ${index + 1}. ${file.name} (${file.extension.toUpperCase()}, ${file.pageCount} hal.)`);
+        return `📚 File (${files.length}, digabung sesuai urutan):\n${lines.join('\n')}`;
+    }
+
+    async handleUserResponse(message) {
+        const sessionKey = this.sessionKey(message);
+        const session = this.userSessions.get(sessionKey);
+        const response = this.messageText(message);
+
+        if (!session) return;
+
+        switch (session.step) {
+            case 'confirm_print':
+                if (['ya', 'y', 'yes', 'ok'].includes(response)) {
+                    await this.processPrintJob(message, session.printJobId);
+                } else if (['batal', 'cancel', 'no', 'tidak'].includes(response)) {
+                    await this.cancelPrintJob(message, session.printJobId);
+                } else if (['opsi', 'option', 'setting'].includes(response)) {
+                    await this.showPrintOptions(message, session.printJobId);
+                } else if (/^(urut|hapus)\s/.test(response)) {
+                    await this.handleJobFilesInput(message, response, session.printJobId);
+                } else {
+                    await message.reply('❌ Respon tidak valid. Ketik *YA*, *BATAL*, atau *OPSI*');
+                }
+                break;
+
+            case 'set_copies':
+                await this.handleCopiesInput(message, response, session.printJobId);
+                break;
+
+            case 'set_quality':
+                await this.handleQualityInput(message, response, session.printJobId);
+                break;
+
+            case 'set_paper':
+                await this.handlePaperSizeInput(message, response, session.printJobId);
+                break;
+
+            case 'set_pages':
+                await this.handlePageSelectionInput(message, response, session.printJobId);
+                break;
+
+            case 'set_layout':
+                await this.handleLayoutInput(message, response, session.printJobId);
+                break;
+
+            case 'set_layout_value':
+                await this.handleLayoutValueInput(message, response, session.printJobId, session.layoutKey);
+                break;
+
+            case 'set_photo':
+                await this.handlePhotoInput(message, response, session.printJobId);
+                break;
+
+            case 'set_photo_value':
+                await this.handlePhotoValueInput(message, response, session.printJobId, session.photoKey);
+                break;
+
+            case 'set_options':
+                await this.handleOptionsInput(message, response, session.printJobId);
+                break;
+
+            case 'pdf_password':
+                await this.handlePdfPasswordInput(message, session.pendingPdf);
+                break;
+
+            case 'collect_text':
+                await this.collectTextMessage(message, session);
+                break;
+        }
+    }
+
+    // URUT 3 1 2 puts the files of a merged job in a new order, HAPUS 2
+    // drops one of them. Either way the merge and the quote are redone.
+    async handleJobFilesInput(message, response, printJobId) {
+        const printJob = this.printQueue.get(printJobId);
+
+        if (!printJob) {
+            await message.reply('❌ Print job tidak ditemukan.');
+            return;
+        }
+
+        const files = this.jobFiles(printJob);
+        const [action, ...args] = response.split(/[\s,]+/);
+        const numbers = args.map(Number);
+        const isFileNumber = number => Number.isInteger(number) && number >= 1 && number <= files.length;
+
+        if (files.length < 2) {
+            await message.reply('❌ Job ini hanya berisi satu file. Ketik *BATAL* untuk membatalkan.');
+            return;
+        }
+
+        let updated;
+        let removed = null;
+        if (action === 'urut') {
+            if (numbers.length !== files.length || new Set(numbers).size !== files.length || !numbers.every(isFileNumber)) {
+                await message.reply(`❌ Sebutkan semua nomor file (1-${files.length}) sesuai urutan baru, contoh: *URUT ${files.map((file, index) => index + 1).reverse().join(' ')}*`);
+                return;
+            }
+            updated = numbers.map(number => files[number - 1]);
+        } else {
+            if (numbers.length !== 1 || !isFileNumber(numbers[0])) {
+                await message.reply(`❌ Sebutkan satu nomor file yang dihapus (1-${files.length}), contoh: *HAPUS 2*`);
+                return;
+            }
+            removed = files[numbers[0] - 1];
+            updated = files.filter(file => file !== removed);
+        }
+
+        const hadSelection = Boolean(printJob.selectedPages);
+        await this.setJobFiles(printJob, updated);
+        this.saveJob(printJob);
+        if (removed) {
+            this.deleteJobFile(removed);
+        }
+
+        this.log('info', 'Print job files changed', { jobId: printJobId, action, files: updated.length });
+        await message.reply(`${removed ? `🗑️ *${removed.name}* dihapus dari job.` : '🔀 Urutan file diubah.'}${hadSelection ? '\n📄 Pilihan halaman dikembalikan ke semua halaman.' : ''}`);
+        await this.showUpdatedConfirmation(message, printJobId);
+    }
+
+    async showPrintOptions(message, printJobId) {
+        const printJob = this.printQueue.get(printJobId);
+        const sessionKey = this.sessionKey(message);
+
+        if (!printJob) {
+            await message.reply('❌ Print job tidak ditemukan.');
+            return;
+        }
+
+        const capabilities = this.getPrinterCapabilities(printJob);
+        const photos = this.isPhotoJob(printJob);
+        const optionsMessage = `
+⚙️ *Opsi Cetak - ${printJob.originalName}*
+
+📋 *Pilihan yang tersedia:*
+1️⃣ Ubah jumlah salinan (1-${this.maxCopiesFor(printJob.userNumber)})
+2️⃣ Ubah kualitas (${capabilities.qualities.join('/')})
+3️⃣ Ubah ukuran kertas (${capabilities.paperSizes.join('/')})
+4️⃣ Duplex printing (bolak-balik)
+5️⃣ Mode warna: ${printJob.printOptions.grayscale ? 'Hitam putih (grayscale)' : 'Sesuai dokumen'}
+6️⃣ Pilih halaman (saat ini: ${printJob.selectedPages ? formatPageRanges(printJob.selectedPages) : 'semua'})
+7️⃣ Tata letak (saat ini: ${this.describeLayout(printJob.printOptions)})
+8️⃣ Kembali ke konfirmasi${photos ? `
+9️⃣ Foto (saat ini: ${this.describePhotoOptions(printJob.printOptions)})` : ''}
+
+Ketik nomor pilihan (1-${photos ? 9 : 8}):`;
+
+        await message.reply(optionsMessage);
+
+        this.userSessions.set(sessionKey, {
+            step: 'set_options',
+            printJobId: printJobId,
+            lastActivity: Date.now()
+        });
+    }
+
+    async handleOptionsInput(message, response, printJobId) {
+        const printJob = this.printQueue.get(printJobId);
+        const sessionKey = this.sessionKey(message);
+
+        if (!printJob) {
+            await message.reply('❌ Print job tidak ditemukan.');
+            return;
+        }
+
+        switch (response) {
+            case '1':
+                await message.reply(`🔢 Masukkan jumlah salinan (1-${this.maxCopiesFor(printJob.userNumber)}):`);
+                this.userSessions.set(sessionKey, {
+                    step: 'set_copies',
+                    printJobId: printJobId,
+                    lastActivity: Date.now()
+                });
+                break;
+
+            case '2':
+                await this.showQualityOptions(message, printJobId);
+                break;
+
+            case '3':
+                await this.showPaperSizeOptions(message, printJobId);
+                break;
+
+            case '4':
+                if (printJob.printOptions.booklet && printJob.printOptions.duplex) {
+                    await message.reply('❌ Booklet harus dicetak bolak-balik. Matikan booklet di menu *Tata letak* terlebih dahulu.');
+                    await this.showPrintOptions(message, printJobId);
+                    break;
+                }
+                if (!this.applyPrintOption(printJob, 'duplex', !printJob.printOptions.duplex)) {
+                    await message.reply('❌ Tidak ada printer yang mendukung duplex printing dengan opsi saat ini.');
+                    await this.showPrintOptions(message, printJobId);
+                    break;
+                }
+                await message.reply(`${printJob.printOptions.duplex ? '✅' : '❌'} Duplex printing: ${printJob.printOptions.duplex ? 'ON' : 'OFF'}`);
+                await this.showPrintOptions(message, printJobId);
+                break;
+
+            case '5':
+                if (printJob.printOptions.grayscale && !this.roles.policy(printJob.userNumber).color) {
+                    await message.reply('❌ Role Anda hanya diizinkan mencetak hitam putih.');
+                    await this.showPrintOptions(message, printJobId);
+                    break;
+                }
+                if (!this.setGrayscale(printJob, !printJob.printOptions.grayscale)) {
+                    await message.reply('❌ Tidak ada printer yang bisa memaksa cetak hitam putih untuk job ini.');
+                    await this.showPrintOptions(message, printJobId);
+                    break;
+                }
+                await message.reply(printJob.printOptions.grayscale
+                    ? '⚫ Dokumen akan dicetak hitam putih dan ditagih tarif B/W.'
+                    : '🎨 Dokumen akan dicetak sesuai warna aslinya.');
+                await this.showPrintOptions(message, printJobId);
+                break;
+
+            case '6':
+                await this.showPageSelection(message, printJobId);
+                break;
+
+            case '7':
+                await this.showLayoutOptions(message, printJobId);
+                break;
+
+            case '8':
+                await this.showUpdatedConfirmation(message, printJobId);
+                break;
+
+            case '9':
+                if (!this.isPhotoJob(printJob)) {
+                    await message.reply('❌ Pilihan tidak valid. Ketik nomor 1-8.');
+                    break;
+                }
+                await this.showPhotoOptions(message, printJobId);
+                break;
+
+            default:
+                await message.reply(`❌ Pilihan tidak valid. Ketik nomor 1-${this.isPhotoJob(printJob) ? 9 : 8}.`);
+        }
+    }
+
+    async handleCopiesInput(message, response, printJobId) {
+        const copies = parseInt(response);
+        const printJob = this.printQueue.get(printJobId);
+        const chatId = message.from;
+
+        if (!printJob) {
+            await message.reply('❌ Print job tidak ditemukan.');
+            return;
+        }
+
+        const maxCopies = this.maxCopiesFor(printJob.userNumber);
+        if (isNaN(copies) || copies < 1 || copies > maxCopies) {
+            await message.reply(`❌ Jumlah salinan harus antara 1-${maxCopies}. Coba lagi:`);
+            return;
+        }
+
+        printJob.copies = copies;
+        this.recalculateCost(printJob);
+        this.saveJob(printJob);
+
+        await message.reply(`✅ Jumlah salinan diubah menjadi: ${copies}`);
+        await this.showPrintOptions(message, printJobId);
+    }
+
+    async showQualityOptions(message, printJobId) {
+        const printJob = this.printQueue.get(printJobId);
+        const sessionKey = this.sessionKey(message);
+
+        if (!printJob) {
+            await message.reply('❌ Print job tidak ditemukan.');
+            return;
+        }
+
+        const qualityLabels = {
+            draft: 'Draft (hemat tinta)',
+            normal: 'Normal',
+            high: 'High (kualitas terbaik)'
+        };
+
+        const { qualities } = this.getPrinterCapabilities(printJob);
+        let optionsMessage = `⚡ *Pilih Kualitas Print*\n\nSaat ini: *${printJob.printOptions.quality}*\n\n`;
+        qualities.forEach((quality, index) => {
+            optionsMessage += `${index + 1}️⃣ ${qualityLabels[quality] || quality}\n`;
+        });
+        optionsMessage += `0️⃣ Kembali\n\nKetik nomor pilihan (0-${qualities.length}):`;
+
+        await message.reply(optionsMessage);
+
+        this.userSessions.set(sessionKey, {
+            step: 'set_quality',
+            printJobId: printJobId,
+            lastActivity: Date.now()
+        });
+    }
+
+    async handleQualityInput(message, response, printJobId) {
+        const printJob = this.printQueue.get(printJobId);
+
+        if (!printJob) {
+            await message.reply('❌ Print job tidak ditemukan.');
+            return;
+        }
+
+        if (response === '0') {
+            await this.showPrintOptions(message, printJobId);
+            return;
+        }
+
+        const { qualities } = this.getPrinterCapabilities(printJob);
+        const quality = this.resolveMenuChoice(response, qualities);
+
+        if (!quality) {
+            await message.reply(`❌ Kualitas tidak didukung printer ini. Pilih nomor 0-${qualities.length}:`);
+            return;
+        }
+
+        if (!this.applyPrintOption(printJob, 'quality', quality)) {
+            await message.reply(`❌ Tidak ada printer yang mendukung kualitas ${quality} dengan opsi saat ini. Pilih nomor lain:`);
+            return;
+        }
+
+        await message.reply(`✅ Kualitas diubah menjadi: ${quality}`);
+        await this.showPrintOptions(message, printJobId);
+    }
+
+    async showPaperSizeOptions(message, printJobId) {
+        const printJob = this.printQueue.get(printJobId);
+        const sessionKey = this.sessionKey(message);
+
+        if (!printJob) {
+            await message.reply('❌ Print job tidak ditemukan.');
+            return;
+        }
+
+        const { paperSizes } = this.getPrinterCapabilities(printJob);
+        let optionsMessage = `📋 *Pilih Ukuran Kertas*\n\nSaat ini: *${printJob.printOptions.paperSize}*\n\n`;
+        paperSizes.forEach((paperSize, index) => {
+            optionsMessage += `${index + 1}️⃣ ${paperSize}\n`;
+        });
+        optionsMessage += `0️⃣ Kembali\n\nKetik nomor pilihan (0-${paperSizes.length}):`;
+
+        await message.reply(optionsMessage);
+
+        this.userSessions.set(sessionKey, {
+            step: 'set_paper',
+            printJobId: printJobId,
+            lastActivity: Date.now()
+        });
+    }
+
+    async handlePaperSizeInput(message, response, printJobId) {
+        const printJob = this.printQueue.get(printJobId);
+
+        if (!printJob) {
+            await message.reply('❌ Print job tidak ditemukan.');
+            return;
+        }
+
+        if (response === '0') {
+            await this.showPrintOptions(message, printJobId);
+            return;
+        }
+
+        const { paperSizes } = this.getPrinterCapabilities(printJob);
+        const paperSize = this.resolveMenuChoice(response, paperSizes);
+
+        if (!paperSize) {
+            await message.reply(`❌ Ukuran kertas tidak didukung printer ini. Pilih nomor 0-${paperSizes.length}:`);
+            return;
+        }
+
+        if (!this.applyPrintOption(printJob, 'paperSize', paperSize)) {
+            await message.reply(`❌ Tidak ada printer yang mendukung kertas ${paperSize} dengan opsi saat ini. Pilih nomor lain:`);
+            return;
+        }
+
+        await message.reply(`✅ Ukuran kertas diubah menjadi: ${paperSize}`);
+        // Photos are laid out for the paper, so they are laid out again.
+        if (this.isPhotoJob(printJob)) {
+            await this.setJobFiles(printJob, this.jobFiles(printJob));
+            this.saveJob(printJob);
+            await this.sendPagePreview(message.from, printJob);
+        }
+        await this.showPrintOptions(message, printJobId);
+    }
+
+    async showPageSelection(message, printJobId) {
+        const printJob = this.printQueue.get(printJobId);
+        const sessionKey = this.sessionKey(message);
+
+        if (!printJob) {
+            await message.reply('❌ Print job tidak ditemukan.');
+            return;
+        }
+
+        const current = printJob.selectedPages ? formatPageRanges(printJob.selectedPages) : 'semua';
+        await message.reply(`📑 *Pilih Halaman*\n\nDokumen: ${printJob.originalPageCount || printJob.pageCount} halaman\nSaat ini: *${current}*\n\nKetik halaman yang ingin dicetak, contoh: *1-3,8,10-12*\nKetik *SEMUA* untuk mencetak semua halaman\n0️⃣ Kembali`);
+
+        this.userSessions.set(sessionKey, {
+            step: 'set_pages',
+            printJobId: printJobId,
+            lastActivity: Date.now()
+        });
+    }
+
+    async handlePageSelectionInput(message, response, printJobId) {
+        const printJob = this.printQueue.get(printJobId);
+
+        if (!printJob) {
+            await message.reply('❌ Print job tidak ditemukan.');
+            return;
+        }
+
+        if (response === '0') {
+            await this.showPrintOptions(message, printJobId);
+            return;
+        }
+
+        let pages = null;
+        if (!['semua', 'all'].includes(response)) {
+            const parsed = parsePageRanges(response, printJob.originalPageCount || printJob.pageCount);
+            if (parsed.error) {
+                await message.reply(`❌ ${parsed.error}\n\nContoh: *1-3,8,10-12*. Coba lagi atau ketik 0 untuk kembali:`);
+                return;
+            }
+            pages = parsed.pages;
+        }
+
+        try {
+            await this.selectPages(printJob, pages);
+        } catch (error) {
+            this.log('error', 'Page selection failed', { jobId: printJob.id, error: error.message });
+            await message.reply('❌ Gagal memproses halaman yang dipilih. Silakan coba lagi.');
+            return;
+        }
+
+        const selectionText = printJob.selectedPages ? `hal. ${formatPageRanges(printJob.selectedPages)}` : 'semua halaman';
+        await message.reply(`✅ Dicetak: ${selectionText} (${printJob.pageCount} halaman)`);
+        await this.sendPagePreview(message.from, printJob);
+        await this.showPrintOptions(message, printJobId);
+    }
+
+    async showLayoutOptions(message, printJobId) {
+        const printJob = this.printQueue.get(printJobId);
+        const sessionKey = this.sessionKey(message);
+
+        if (!printJob) {
+            await message.reply('❌ Print job tidak ditemukan.');
+            return;
+        }
+
+        const layout = layoutOf(printJob.printOptions);
+        await message.reply(`
+📐 *Tata Letak - ${printJob.originalName}*
+
+1️⃣ Halaman per lembar: ${layout.pagesPerSheet}${layout.booklet ? ' (diabaikan saat booklet)' : ''}
+2️⃣ Booklet (lipat tengah): ${layout.booklet ? 'ON' : 'OFF'}
+3️⃣ Skala: ${LAYOUT_CHOICES.scaling.label(layout.scaling)}
+4️⃣ Orientasi: ${LAYOUT_CHOICES.orientation.label(layout.orientation)}
+0️⃣ Kembali
+
+📃 Kertas terpakai: ${this.countSheets(printJob).sheets} lembar per salinan`);
+
+        this.userSessions.set(sessionKey, {
+            step: 'set_layout',
+            printJobId: printJobId,
+            lastActivity: Date.now()
+        });
+    }
+
+    async handleLayoutInput(message, response, printJobId) {
+        const printJob = this.printQueue.get(printJobId);
+
+        if (!printJob) {
+            await message.reply('❌ Print job tidak ditemukan.');
+            return;
+        }
+
+        switch (response) {
+            case '0':
+                await this.showPrintOptions(message, printJobId);
+                break;
+
+            case '1':
+                await this.showLayoutChoice(message, printJobId, 'pagesPerSheet');
+                break;
+
+            case '2':
+                if (!printJob.printOptions.booklet && !printJob.printOptions.duplex
+                    && !this.applyPrintOption(printJob, 'duplex', true)) {
+                    await message.reply('❌ Booklet membutuhkan cetak bolak-balik, dan tidak ada printer yang mendukung duplex dengan opsi saat ini.');
+                    await this.showLayoutOptions(message, printJobId);
+                    break;
+                }
+                printJob.printOptions.booklet = !printJob.printOptions.booklet;
+                this.recalculateCost(printJob);
+                this.saveJob(printJob);
+                await message.reply(printJob.printOptions.booklet
+                    ? '📖 Booklet: ON\nHalaman disusun 2 per sisi, dicetak bolak-balik, lalu tinggal dilipat di tengah.'
+                    : '❌ Booklet: OFF');
+                await this.showLayoutOptions(message, printJobId);
+                break;
+
+            case '3':
+                await this.showLayoutChoice(message, printJobId, 'scaling');
+                break;
+
+            case '4':
+                await this.showLayoutChoice(message, printJobId, 'orientation');
+                break;
+
+            default:
+                await message.reply('❌ Pilihan tidak valid. Ketik nomor 0-4.');
+        }
+    }
+
+    async showLayoutChoice(message, printJobId, layoutKey) {
+        const printJob = this.printQueue.get(printJobId);
+        const sessionKey = this.sessionKey(message);
+
+        if (!printJob) {
+            await message.reply('❌ Print job tidak ditemukan.');
+            return;
+        }
+
+        const { title, choices, label } = LAYOUT_CHOICES[layoutKey];
+        const current = layoutOf(printJob.printOptions)[layoutKey];
+        const list = choices.map((choice, index) => `${index + 1}️⃣ ${label(choice)}${choice === current ? ' ✅' : ''}`).join('\n');
+
+        await message.reply(`📐 *${title}*\n\n${list}\n0️⃣ Kembali\n\nKetik nomor pilihan:`);
+
+        this.userSessions.set(sessionKey, {
+            step: 'set_layout_value',
+            printJobId: printJobId,
+            layoutKey: layoutKey,
+            lastActivity: Date.now()
+        });
+    }
+
+    async handleLayoutValueInput(message, response, printJobId, layoutKey) {
+        const printJob = this.printQueue.get(printJobId);
+
+        if (!printJob) {
+            await message.reply('❌ Print job tidak ditemukan.');
+            return;
+        }
+
+        if (response === '0') {
+            await this.showLayoutOptions(message, printJobId);
+            return;
+        }
+
+        const { choices, label } = LAYOUT_CHOICES[layoutKey];
+        const choice = this.resolveMenuChoice(response, choices.map(String));
+        if (!choice) {
+            await message.reply(`❌ Pilihan tidak valid. Ketik nomor 1-${choices.length} atau 0 untuk kembali.`);
+            return;
+        }
+
+        const value = choices.find(option => String(option) === choice);
+        printJob.printOptions[layoutKey] = value;
+        // Picking an N-up layout explicitly replaces the booklet layout.
+        if (layoutKey === 'pagesPerSheet') {
+            printJob.printOptions.booklet = false;
+        }
+        this.recalculateCost(printJob);
+        this.saveJob(printJob);
+
+        await message.reply(`✅ ${LAYOUT_CHOICES[layoutKey].title}: ${label(value)}`);
+        await this.showLayoutOptions(message, printJobId);
+    }
+
+    async showPhotoOptions(message, printJobId) {
+        const printJob = this.printQueue.get(printJobId);
+        const sessionKey = this.sessionKey(message);
+
+        if (!printJob) {
+            await message.reply('❌ Print job tidak ditemukan.');
+            return;
+        }
+
+        const photo = photoOptionsOf(printJob.printOptions);
+        await message.reply(`
+🖼️ *Foto - ${printJob.originalName}*
+
+1️⃣ Tata letak: ${PHOTO_CHOICES.photoLayout.label(photo.photoLayout)}
+2️⃣ Penempatan: ${PHOTO_CHOICES.photoPlacement.label(photo.photoPlacement)}
+0️⃣ Kembali
+
+📄 Hasil: ${printJob.originalPageCount} halaman ${printJob.printOptions.paperSize}`);
+
+        this.userSessions.set(sessionKey, {
+            step: 'set_photo',
+            printJobId: printJobId,
+            lastActivity: Date.now()
+        });
+    }
+
+    async handlePhotoInput(message, response, printJobId) {
+        switch (response) {
+            case '0':
+                await this.showPrintOptions(message, printJobId);
+                break;
+
+            case '1':
+                await this.showPhotoChoice(message, printJobId, 'photoLayout');
+                break;
+
+            case '2':
+                await this.showPhotoChoice(message, printJobId, 'photoPlacement');
+                break;
+
+            default:
+                await message.reply('❌ Pilihan tidak valid. Ketik nomor 0-2.');
+        }
+    }
+
+    async showPhotoChoice(message, printJobId, photoKey) {
+        const printJob = this.printQueue.get(printJobId);
+        const sessionKey = this.sessionKey(message);
+
+        if (!printJob) {
+            await message.reply('❌ Print job tidak ditemukan.');
+            return;
+        }
+
+        const { title, choices, label } = PHOTO_CHOICES[photoKey];
+        const current = photoOptionsOf(printJob.printOptions)[photoKey];
+        const list = choices.map((choice, index) => `${index + 1}️⃣ ${label(choice)}${choice === current ? ' ✅' : ''}`).join('\n');
+
+        await message.reply(`🖼️ *${title}*\n\n${list}\n0️⃣ Kembali\n\nKetik nomor pilihan:`);
+
+        this.userSessions.set(sessionKey, {
+            step: 'set_photo_value',
+            printJobId: printJobId,
+            photoKey: photoKey,
+            lastActivity: Date.now()
+        });
+    }
+
+    async handlePhotoValueInput(message, response, printJobId, photoKey) {
+        const printJob = this.printQueue.get(printJobId);
+
+        if (!printJob) {
+            await message.reply('❌ Print job tidak ditemukan.');
+            return;
+        }
+
+        if (response === '0') {
+            await this.showPhotoOptions(message, printJobId);
+            return;
+        }
+
+        const { title, choices, label } = PHOTO_CHOICES[photoKey];
+        const choice = this.resolveMenuChoice(response, choices);
+        if (!choice) {
+            await message.reply(`❌ Pilihan tidak valid. Ketik nomor 1-${choices.length} atau 0 untuk kembali.`);
+            return;
+        }
+
+        const hadSelection = Boolean(printJob.selectedPages);
+        printJob.printOptions[photoKey] = choice;
+        await this.setJobFiles(printJob, this.jobFiles(printJob));
+        this.saveJob(printJob);
+
+        await message.reply(`✅ ${title}: ${label(choice)}${hadSelection ? '\n📄 Pilihan halaman dikembalikan ke semua halaman.' : ''}`);
+        await this.sendPagePreview(message.from, printJob);
+        await this.showPhotoOptions(message, printJobId);
+    }
+
+    // Files derived from the uploaded PDF live next to it: `_pages` holds the
+    // page selection and `_layout` the imposed sheets sent to the printer.
+    derivedFilePath(printJob, suffix) {
+        return printJob.sourceFilePath.replace(/\.pdf$/i, `_${suffix}.pdf`);
+    }
+
+    ensureSourceFile(printJob) {
+        if (!printJob.sourceFilePath) {
+            printJob.sourceFilePath = printJob.filePath;
+            printJob.originalPageCount = printJob.pageCount;
+        }
+    }
+
+    async selectPages(printJob, pages) {
+        this.ensureSourceFile(printJob);
+        const trimmedPath = this.derivedFilePath(printJob, 'pages');
+
+        if (!pages || pages.length === printJob.originalPageCount) {
+            printJob.selectedPages = null;
+            printJob.filePath = printJob.sourceFilePath;
+            printJob.pageCount = printJob.originalPageCount;
+            if (fs.existsSync(trimmedPath)) {
+                fs.unlinkSync(trimmedPath);
+            }
+        } else {
+            await extractPages(printJob.sourceFilePath, pages, trimmedPath);
+            printJob.selectedPages = pages;
+            printJob.filePath = trimmedPath;
+            printJob.pageCount = pages.length;
+        }
+
+        printJob.printOptions.color = this.getSelectedColorPages(printJob).length > 0 && !printJob.printOptions.grayscale;
+        this.routeJob(printJob);
+        this.recalculateCost(printJob);
+        this.saveJob(printJob);
+    }
+
+    async preparePrintFile(printJob) {
+        this.ensureSourceFile(printJob);
+        const layout = layoutOf(printJob.printOptions);
+        const layoutPath = this.derivedFilePath(printJob, 'layout');
+        const inputPath = printJob.selectedPages ? this.derivedFilePath(printJob, 'pages') : printJob.sourceFilePath;
+
+        if (isDefaultLayout(layout)) {
+            printJob.filePath = inputPath;
+            printJob.printOptions.duplexEdge = 'long';
+            if (fs.existsSync(layoutPath)) {
+                fs.unlinkSync(layoutPath);
+            }
+            return;
+        }
+
+        const paperSize = DocumentConverter.pageSize(printJob.printOptions.paperSize);
+        const result = await imposePdf(inputPath, layoutPath, layout, paperSize);
+
+        printJob.filePath = layoutPath;
+        // Landscape sheets turn over on the short edge so the back side is not upside down.
+        printJob.printOptions.duplexEdge = result.landscape ? 'short' : 'long';
+        this.log('info', 'Print file imposed', { jobId: printJob.id, layout, sides: result.sides });
+    }
+
+    async sendPagePreview(chatId, printJob) {
+        const page = printJob.selectedPages ? printJob.selectedPages[0] : 1;
+        const sourcePath = printJob.sourceFilePath || printJob.filePath;
+        const previewPath = await this.thumbnails.render(sourcePath, page, sourcePath.replace(/\.pdf$/i, '_preview'));
+        if (!previewPath) return;
+
+        try {
+            const media = MessageMedia.fromFilePath(previewPath);
+            await this.client.sendMessage(chatId, media, { caption: `🔍 Pratinjau halaman ${page} - ${printJob.originalName}` });
+        } catch (error) {
+            this.log('error', 'Failed to send page preview', { jobId: printJob.id, error: error.message });
+        } finally {
+            fs.unlinkSync(previewPath);
+        }
+    }
+
+    resolveMenuChoice(response, choices) {
+        const index = parseInt(response);
+        if (String(index) === response && index >= 1 && index <= choices.length) {
+            return choices[index - 1];
+        }
+        return choices.find(choice => choice.toLowerCase() === response) || null;
+    }
+
+    getPrinterCapabilities(printJob = null) {
+        const preferred = printJob ? this.printerManager.get(printJob.preferredPrinterId) : null;
+        return preferred ? preferred.capabilities : this.printerManager.combinedCapabilities();
+    }
+
+    async refreshPrinterCapabilities() {
+        try {
+            await this.printerManager.refreshCapabilities();
+        } catch (error) {
+            this.log('error', 'Failed to query printer capabilities', { error: error.message });
+        }
+    }
+
+    routeJob(printJob) {
+        const printer = this.printerManager.route(printJob.printOptions, printJob.preferredPrinterId, this.allowedPrinterIds(printJob.userNumber));
+        printJob.printerId = printer ? printer.id : null;
+        return printer;
+    }
+
+    // Printer ids the user's role may print on; null means every printer.
+    allowedPrinterIds(userNumber) {
+        const policy = this.roles.policy(userNumber);
+        return policy ? policy.printers : [];
+    }
+
+    maxCopiesFor(userNumber) {
+        const policy = this.roles.policy(userNumber);
+        return Math.min(10, policy ? policy.maxCopies : 1);
+    }
+
+    // The role may have changed since the job was created, so confirmation
+    // checks it again. Returns the reply for a refused job, or null.
+    checkRolePolicy(printJob) {
+        const policy = this.roles.policy(printJob.userNumber);
+
+        if (!this.roles.can(printJob.userNumber, 'print')) {
+            return '❌ Role Anda tidak diizinkan mencetak. Hubungi admin untuk mengubah akses.';
+        }
+        if (printJob.copies > this.maxCopiesFor(printJob.userNumber)) {
+            return `❌ Role *${policy.name}* maksimal ${this.maxCopiesFor(printJob.userNumber)} salinan. Ketik *OPSI* untuk mengubah jumlah salinan.`;
         }
+        if (printJob.printOptions.color && !policy.color) {
+            return `❌ Role *${policy.name}* hanya diizinkan mencetak hitam putih. Ketik *OPSI* lalu ubah mode warna.`;
+        }
+        return null;
     }
 
-    async analyzeFile(filePath, extension) {
-        const analysis = {
-            pageCount: 1,
-            hasColor: false,
-            dimensions: null,
-            fileInfo: {}
+    applyPrintOption(printJob, key, value) {
+        const previous = printJob.printOptions[key];
+        printJob.printOptions[key] = value;
+
+        if (!this.routeJob(printJob)) {
+            printJob.printOptions[key] = previous;
+            this.routeJob(printJob);
+            return false;
+        }
+
+        this.recalculateCost(printJob);
+        this.saveJob(printJob);
+        return true;
+    }
+
+    // Color is a soft routing preference, but grayscale needs a printer that
+    // can force it; without one the job keeps printing in color.
+    setGrayscale(printJob, grayscale) {
+        const previous = printJob.printOptions.grayscale;
+        printJob.printOptions.grayscale = grayscale;
+
+        if (grayscale && !this.routeJob(printJob)) {
+            printJob.printOptions.grayscale = previous;
+            this.routeJob(printJob);
+            return false;
+        }
+
+        printJob.printOptions.color = this.getSelectedColorPages(printJob).length > 0 && !grayscale;
+        this.routeJob(printJob);
+        this.recalculateCost(printJob);
+        this.saveJob(printJob);
+        return true;
+    }
+
+    recalculateCost(printJob) {
+        printJob.sheetCount = this.countSheets(printJob).sheets;
+        printJob.estimatedCost = this.calculatePrintCost(printJob).total;
+        return printJob.estimatedCost;
+    }
+
+    async showUpdatedConfirmation(message, printJobId) {
+        const printJob = this.printQueue.get(printJobId);
+        const sessionKey = this.sessionKey(message);
+
+        if (!printJob) {
+            await message.reply('❌ Print job tidak ditemukan.');
+            return;
+        }
+
+        const confirmationMessage = this.buildConfirmationMessage(printJob);
+
+        await message.reply(confirmationMessage);
+
+        this.userSessions.set(sessionKey, {
+            step: 'confirm_print',
+            printJobId: printJobId,
+            lastActivity: Date.now()
+        });
+    }
+
+    // `schedule` ({ at } or { hold: true }) from /jadwal keeps the confirmed
+    // job back until that time or until /release instead of queueing it.
+    async processPrintJob(message, printJobId, schedule = null) {
+        const printJob = this.printQueue.get(printJobId);
+        const sessionKey = this.sessionKey(message);
+        const userNumber = this.senderOf(message);
+
+        if (!printJob) {
+            await message.reply('❌ Print job tidak ditemukan.');
+            this.userSessions.delete(sessionKey);
+            return;
+        }
+
+        if (printJob.status !== JobStatus.PENDING) {
+            await message.reply(`ℹ️ Print job ini sudah berstatus *${printJob.status.toUpperCase()}*.`);
+            this.userSessions.delete(sessionKey);
+            return;
+        }
+
+        const denied = this.checkRolePolicy(printJob);
+        if (denied) {
+            await message.reply(denied);
+            return;
+        }
+
+        if (!this.routeJob(printJob)) {
+            await message.reply('❌ Tidak ada printer yang mendukung opsi print ini. Ketik *OPSI* untuk mengubah kertas, kualitas, duplex atau mode warna.');
+            return;
+        }
+
+        try {
+            await this.preparePrintFile(printJob);
+        } catch (error) {
+            this.log('error', 'Imposition failed', { jobId: printJobId, error: error.message });
+            await message.reply('❌ Gagal menyusun tata letak halaman. Ketik *OPSI* untuk mengubah tata letak atau coba lagi.');
+            return;
+        }
+
+        const exceeded = this.checkQuota(printJob);
+        if (exceeded.length > 0) {
+            this.log('info', 'Print quota exceeded', { jobId: printJobId, user: userNumber, limits: exceeded.map(entry => `${entry.subject}:${entry.period}:${entry.metric}`) });
+            await message.reply(this.buildQuotaExceededMessage(printJob, exceeded));
+            return;
+        }
+
+        printJob.scheduledAt = schedule && schedule.at ? schedule.at : null;
+        printJob.hold = Boolean(schedule && schedule.hold);
+
+        if (this.requiresGatewayPayment(printJob)) {
+            await this.requestGatewayPayment(message, printJob);
+            return;
+        }
+
+        if (!this.reservePayment(printJob)) {
+            const available = this.ledger.account(printJob.userNumber).available;
+            await message.reply(`
+❌ *Saldo Tidak Cukup*
+
+💰 Biaya: Rp ${printJob.estimatedCost.toLocaleString('id-ID')}
+👛 Saldo: Rp ${available.toLocaleString('id-ID')}
+➖ Kurang: Rp ${(printJob.estimatedCost - available).toLocaleString('id-ID')}
+
+Silakan top up ke admin, lalu ketik *YA* lagi. Ketik *OPSI* untuk mengubah opsi print atau *BATAL* untuk membatalkan.`);
+            return;
+        }
+
+        try {
+            await message.reply(schedule ? this.schedulePrintJob(printJob) : this.enqueuePrintJob(printJob));
+        } catch (error) {
+            this.refundPayment(printJob);
+            console.error('Print queue error:', error);
+            await message.reply('❌ Terjadi kesalahan sistem saat memasukkan job ke antrian. Silakan coba lagi atau hubungi admin.');
+            this.log('error', 'Print queue error', {
+                jobId: printJobId,
+                user: userNumber,
+                error: error.message
+            });
+        }
+
+        this.userSessions.delete(sessionKey);
+    }
+
+    // Returns the queued notice for the user; throws when the job cannot be queued.
+    enqueuePrintJob(printJob) {
+        const position = this.jobQueue.enqueue(printJob);
+
+        const positionText = position <= 1
+            ? '🖨️ Printer siap, job Anda akan segera dicetak.'
+            : `⏳ Ada ${position - 1} job di depan Anda.`;
+
+        this.log('info', 'Print job queued', {
+            jobId: printJob.id,
+            user: printJob.userNumber,
+            position
+        });
+
+        return `
+📥 *Print Job Masuk Antrian*
+
+📄 File: ${printJob.originalName}
+🆔 Job ID: ${printJob.id}
+🖨️ Printer: ${this.printerManager.resolve(printJob.printerId).name}
+📋 Posisi antrian: ${position}
+${positionText}
+
+🔔 Anda akan menerima notifikasi saat job mulai dicetak dan saat selesai.`;
+    }
+
+    isDeferred(printJob) {
+        return Boolean(printJob.scheduledAt || printJob.hold);
+    }
+
+    // Returns the scheduled notice for the user. The job is paid for (and
+    // counted against quotas) now; releaseScheduledJobs() queues it later.
+    schedulePrintJob(printJob) {
+        const { holdTimeout } = this.config.printSettings.scheduling;
+        if (printJob.hold) {
+            printJob.holdExpiresAt = Date.now() + holdTimeout;
+        }
+        this.jobQueue.transition(printJob, JobStatus.SCHEDULED);
+
+        this.log('info', 'Print job scheduled', {
+            jobId: printJob.id,
+            user: printJob.userNumber,
+            scheduledAt: printJob.scheduledAt,
+            hold: printJob.hold
+        });
+
+        const whenText = printJob.hold
+            ? `✋ Ditahan sampai Anda ketik */release ${printJob.id}*
+⌛ Dibatalkan otomatis jika belum di-release dalam ${this.describeDuration(holdTimeout)}.`
+            : `⏰ Dicetak: ${printJob.scheduledAt.toLocaleString('id-ID')}`;
+
+        return `
+🕒 *Print Job Dijadwalkan*
+
+📄 File: ${printJob.originalName}
+🆔 Job ID: ${printJob.id}
+🖨️ Printer: ${this.printerManager.resolve(printJob.printerId).name}
+${whenText}
+
+Ketik /release ${printJob.id} untuk mencetak sekarang atau /cancel ${printJob.id} untuk membatalkan.`;
+    }
+
+    describeDuration(ms) {
+        const hours = Math.round(ms / (60 * 60 * 1000));
+        return hours >= 1 ? `${hours} jam` : `${Math.round(ms / 60000)} menit`;
+    }
+
+    // Runs every minute: queues scheduled jobs whose time has come and
+    // cancels held jobs nobody released in time.
+    async releaseScheduledJobs() {
+        const now = Date.now();
+
+        for (const printJob of Array.from(this.printQueue.values())) {
+            if (printJob.status !== JobStatus.SCHEDULED) continue;
+
+            if (printJob.hold) {
+                if (printJob.holdExpiresAt > now) continue;
+
+                this.jobQueue.transition(printJob, JobStatus.CANCELLED);
+                this.log('info', 'Held job expired', { jobId: printJob.id, user: printJob.userNumber });
+                await this.notifyJob(printJob, `⌛ *${printJob.originalName}* tidak di-release dalam ${this.describeDuration(this.config.printSettings.scheduling.holdTimeout)}, job dibatalkan.${this.describeRefund(printJob)}`);
+                this.cleanupPrintJob(printJob.id);
+                continue;
+            }
+
+            if (printJob.scheduledAt.getTime() > now) continue;
+
+            let queuedText;
+            try {
+                queuedText = this.enqueuePrintJob(printJob);
+            } catch (error) {
+                await this.handleReleaseFailure(printJob, error);
+                continue;
+            }
+            await this.notifyJob(printJob, `⏰ Waktunya mencetak *${printJob.originalName}*.\n${queuedText}`);
+        }
+    }
+
+    // A job that keeps failing to enter the queue is given up after a few
+    // rounds instead of being retried forever.
+    async handleReleaseFailure(printJob, error) {
+        printJob.releaseAttempts = (printJob.releaseAttempts || 0) + 1;
+        this.log('error', 'Print queue error', { jobId: printJob.id, attempt: printJob.releaseAttempts, error: error.message });
+
+        if (printJob.releaseAttempts < MAX_RELEASE_ATTEMPTS) {
+            this.saveJob(printJob);
+            return;
+        }
+
+        printJob.failureReason = 'release_failed';
+        this.jobQueue.transition(printJob, JobStatus.CANCELLED);
+        await this.notifyJob(printJob, `❌ *${printJob.originalName}* tidak bisa dimasukkan ke antrian print pada waktunya, job dibatalkan.${this.describeRefund(printJob)}\n\nSilakan kirim ulang file Anda atau hubungi admin.`);
+        await this.notifyAdmins(`⚠️ Job terjadwal ${printJob.id} (${printJob.originalName}) dari ${printJob.userNumber} dibatalkan setelah ${printJob.releaseAttempts} kali gagal masuk antrian: ${error.message}`);
+        this.cleanupPrintJob(printJob.id);
+    }
+
+    async handleScheduleCommand(message, args) {
+        const settings = this.config.printSettings.scheduling;
+        const printJob = this.pendingJobOf(this.sessionKey(message));
+
+        if (!settings.enabled) {
+            await message.reply('❌ Jadwal print tidak diaktifkan oleh admin.');
+            return;
+        }
+
+        if (args.length === 0 || !printJob) {
+            const scheduled = this.getScheduledJobs(this.senderOf(message));
+            const lines = scheduled.map(job => `• ${job.id} - ${job.originalName}\n   ${this.describeSchedule(job)}`);
+            await message.reply(`🕒 *Jadwal Print*\n\n${lines.join('\n') || 'Anda tidak memiliki job terjadwal.'}\n\nSetelah mengirim file, ketik */jadwal <waktu>* sebagai ganti *YA* untuk mencetak nanti, contoh: */jadwal 07:00*, */jadwal besok 13:30*, */jadwal 20/10 07:00* atau */jadwal 2 jam*.\nKetik */jadwal tahan* untuk menahan job sampai Anda di printer dan ketik */release*.`);
+            return;
+        }
+
+        let schedule;
+        if (['tahan', 'hold'].includes(args[0])) {
+            schedule = { hold: true };
+        } else {
+            const parsed = parseScheduleTime(args.join(' '));
+            if (parsed.error) {
+                await message.reply(`❌ ${parsed.error}\n\nContoh: */jadwal 07:00*, */jadwal besok 13:30*, */jadwal 20/10 07:00*, */jadwal 2 jam* atau */jadwal tahan*.`);
+                return;
+            }
+            if (parsed.at.getTime() - Date.now() > settings.maxDaysAhead * 24 * 60 * 60 * 1000) {
+                await message.reply(`❌ Jadwal paling lambat ${settings.maxDaysAhead} hari dari sekarang.`);
+                return;
+            }
+            schedule = { at: parsed.at };
+        }
+
+        await this.processPrintJob(message, printJob.id, schedule);
+    }
+
+    // Queues a scheduled or held job right away.
+    async releaseScheduledJob(message, printJobId = null) {
+        const userNumber = this.senderOf(message);
+
+        if (!printJobId) {
+            const scheduled = this.getScheduledJobs(userNumber);
+            const held = scheduled.filter(job => job.hold);
+
+            if (held.length === 1) {
+                printJobId = held[0].id;
+            } else if (scheduled.length === 0) {
+                await message.reply('📋 Anda tidak memiliki job yang ditahan atau dijadwalkan.');
+                return;
+            } else {
+                const lines = scheduled.map(job => `• ${job.id} - ${job.originalName} (${this.describeSchedule(job)})`);
+                await message.reply(`📋 *Pilih job yang ingin dicetak sekarang:*\n\n${lines.join('\n')}\n\nKetik */release <jobId>*`);
+                return;
+            }
+        }
+
+        const printJob = this.findUserJob(userNumber, printJobId);
+        if (!printJob) {
+            await message.reply('❌ Print job tidak ditemukan.');
+            return;
+        }
+        if (printJob.status !== JobStatus.SCHEDULED) {
+            await message.reply(`ℹ️ Print job ini berstatus *${printJob.status.toUpperCase()}*, bukan job yang ditahan atau dijadwalkan.`);
+            return;
+        }
+
+        try {
+            await message.reply(this.enqueuePrintJob(printJob));
+            this.log('info', 'Scheduled job released', { jobId: printJob.id, user: userNumber });
+        } catch (error) {
+            this.log('error', 'Print queue error', { jobId: printJob.id, error: error.message });
+            await message.reply('❌ Terjadi kesalahan sistem saat memasukkan job ke antrian. Silakan coba lagi atau hubungi admin.');
+        }
+    }
+
+    getScheduledJobs(userNumber) {
+        return Array.from(this.printQueue.values())
+            .filter(job => job.userNumber === userNumber && job.status === JobStatus.SCHEDULED)
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    describeSchedule(printJob) {
+        return printJob.hold
+            ? `✋ Ditahan, ketik /release ${printJob.id}`
+            : `⏰ Dicetak ${printJob.scheduledAt.toLocaleString('id-ID')}`;
+    }
+
+    // Jobs go through the gateway unless the wallet can cover them.
+    requiresGatewayPayment(printJob) {
+        if (!this.paymentProvider || printJob.estimatedCost <= 0) {
+            return false;
+        }
+        return !(this.isWalletEnabled() && this.ledger.account(printJob.userNumber).available >= printJob.estimatedCost);
+    }
+
+    async requestGatewayPayment(message, printJob) {
+        const expiryMinutes = this.config.payments.expiryMinutes || 15;
+        let payment;
+
+        try {
+            payment = await this.paymentProvider.createPayment({
+                orderId: String(printJob.id),
+                amount: printJob.estimatedCost,
+                description: `Print ${printJob.originalName}`,
+                customer: printJob.userNumber,
+                expiresAt: Date.now() + expiryMinutes * 60 * 1000
+            });
+        } catch (error) {
+            this.log('error', 'Failed to create payment', { jobId: printJob.id, error: error.message });
+            await message.reply('❌ Gagal membuat pembayaran. Silakan coba lagi beberapa saat lagi, atau ketik *BATAL*.');
+            return;
+        }
+
+        printJob.payment = {
+            method: 'gateway',
+            provider: this.paymentProvider.type,
+            paymentId: payment.paymentId,
+            amount: printJob.estimatedCost,
+            status: 'awaiting',
+            expiresAt: payment.expiresAt || Date.now() + expiryMinutes * 60 * 1000,
+            paymentUrl: payment.paymentUrl || null
         };
+        // Kept apart from the job, which may be cleaned up before a late
+        // callback for this payment arrives.
+        this.store.set('payments', payment.paymentId, {
+            jobId: printJob.id,
+            chatId: printJob.chatId,
+            userNumber: printJob.userNumber,
+            originalName: printJob.originalName,
+            status: 'awaiting',
+            createdAt: Date.now()
+        });
+        this.jobQueue.transition(printJob, JobStatus.AWAITING_PAYMENT);
+        this.userSessions.delete(this.sessionKey(message));
+
+        const caption = `
+💳 *Menunggu Pembayaran*
+
+📄 File: ${printJob.originalName}
+🆔 Job ID: ${printJob.id}
+💰 Total: Rp ${printJob.estimatedCost.toLocaleString('id-ID')}
+⏰ Bayar sebelum: ${new Date(printJob.payment.expiresAt).toLocaleTimeString('id-ID')}
+
+Scan QRIS di atas dengan aplikasi e-wallet / m-banking Anda.${printJob.payment.paymentUrl ? `\n🔗 Atau bayar lewat: ${printJob.payment.paymentUrl}` : ''}
+
+Job otomatis masuk antrian setelah pembayaran diterima. Ketik /cancel ${printJob.id} untuk membatalkan.`;
 
         try {
-            if (extension === 'pdf') {
-                const pdfBytes = fs.readFileSync(filePath);
-                const pdfDoc = await PDFDocument.load(pdfBytes);
-                analysis.pageCount = pdfDoc.getPageCount();
-                
-                analysis.hasColor = await this.detectColorInPDF(pdfBytes);
-            } else if (['jpg', 'jpeg', 'png'].includes(extension)) {
-                analysis.hasColor = true; 
-                analysis.dimensions = await this.getImageDimensions(filePath);
-            } else if (['doc', 'docx'].includes(extension)) {
-                const stats = fs.statSync(filePath);
-                analysis.pageCount = Math.max(1, Math.ceil(stats.size / 50000)); 
+            const qrImage = payment.qrImage || renderQrPng(payment.qrString);
+            const media = new MessageMedia('image/png', qrImage.toString('base64'), `qris_${printJob.id}.png`);
+            await this.client.sendMessage(message.from, media, { caption });
+        } catch (error) {
+            this.log('error', 'Failed to send payment QR', { jobId: printJob.id, error: error.message });
+            await message.reply(caption);
+        }
+
+        this.log('info', 'Payment requested', { jobId: printJob.id, paymentId: payment.paymentId, amount: printJob.estimatedCost });
+    }
+
+    // Called by the webhook server for authenticated callbacks. Resolves
+    // false when no job belongs to the payment.
+    async handlePaymentEvent(event) {
+        const printJob = Array.from(this.printQueue.values())
+            .find(job => job.payment && job.payment.paymentId === event.paymentId);
+        const record = this.store.get('payments', event.paymentId);
+
+        if (!printJob && !record) {
+            this.log('warn', 'Payment callback for unknown job', event);
+            return false;
+        }
+
+        // Gateways retry callbacks, so anything after the first one is acknowledged and ignored.
+        if (!printJob || printJob.status !== JobStatus.AWAITING_PAYMENT || event.status === 'pending') {
+            if (event.status === 'paid' && record && record.status === 'awaiting') {
+                await this.creditLatePayment(event, record);
             }
+            return true;
+        }
+
+        if (event.status !== 'paid') {
+            await this.reopenUnpaidJob(printJob, event.status);
+            return true;
+        }
+
+        if (event.amount !== printJob.payment.amount) {
+            this.log('error', 'Payment amount mismatch', { jobId: printJob.id, paymentId: event.paymentId, expected: printJob.payment.amount, received: event.amount });
+            return true;
+        }
+
+        printJob.payment.status = 'paid';
+        printJob.payment.paidAt = Date.now();
+        if (record) this.store.set('payments', event.paymentId, { ...record, status: 'paid' });
+        this.log('info', 'Payment received', { jobId: printJob.id, paymentId: event.paymentId, amount: event.amount });
+
+        try {
+            const queuedText = this.isDeferred(printJob) ? this.schedulePrintJob(printJob) : this.enqueuePrintJob(printJob);
+            await this.notifyJob(printJob, `✅ Pembayaran Rp ${event.amount.toLocaleString('id-ID')} diterima.\n${queuedText}`);
         } catch (error) {
-            this.log('error', 'File analysis error', { error: error.message });
+            this.log('error', 'Print queue error', { jobId: printJob.id, error: error.message });
+            await this.notifyJob(printJob, `❌ Pembayaran diterima, tetapi job *${printJob.originalName}* gagal masuk antrian. Silakan hubungi admin (Job ID: ${printJob.id}).`);
+        }
+        return true;
+    }
+
+    // The money arrived after the job stopped waiting for it: it was
+    // cancelled, or the payment expired and the job was reopened. The bot
+    // cannot refund through the gateway, so the amount goes to the user's
+    // balance and the admins are told.
+    async creditLatePayment(event, record) {
+        const printJob = this.printQueue.get(record.jobId);
+        this.log('warn', 'Payment received for job not awaiting payment', {
+            jobId: record.jobId,
+            paymentId: event.paymentId,
+            status: printJob ? printJob.status : 'removed',
+            amount: event.amount
+        });
+        if (!(event.amount > 0)) return;
+
+        try {
+            this.ledger.topup(record.userNumber, event.amount, { by: 'payment', note: `Pembayaran ${event.paymentId} untuk job ${record.jobId}` });
+        } catch (error) {
+            this.log('error', 'Failed to credit late payment', { jobId: record.jobId, paymentId: event.paymentId, error: error.message });
+            await this.notifyAdmins(`⚠️ Pembayaran ${event.paymentId} (Rp ${event.amount.toLocaleString('id-ID')}) dari ${record.userNumber} masuk setelah job ${record.jobId} tidak lagi menunggu pembayaran, dan gagal dimasukkan ke saldo: ${error.message}`);
+            return;
+        }
+        this.store.set('payments', event.paymentId, { ...record, status: 'credited' });
+
+        const balanceText = this.isWalletEnabled()
+            ? 'Dana dimasukkan ke saldo Anda dan dipakai otomatis untuk print berikutnya.'
+            : 'Dana dicatat sebagai saldo Anda; hubungi admin untuk pengembalian dana.';
+        await this.notifyJob(record, `💳 Pembayaran Rp ${event.amount.toLocaleString('id-ID')} untuk *${record.originalName}* diterima setelah job tidak lagi menunggu pembayaran.\n\n${balanceText}`);
+        await this.notifyAdmins(`⚠️ Pembayaran ${event.paymentId} (Rp ${event.amount.toLocaleString('id-ID')}) dari ${record.userNumber} masuk setelah job ${record.jobId} tidak lagi menunggu pembayaran; dimasukkan ke saldo user.`);
+    }
+
+    // Sends an unpaid job back to confirmation so the user can pay again.
+    async reopenUnpaidJob(printJob, reason) {
+        printJob.payment.status = reason;
+        // Counts as a fresh upload for cleanupOldPrintJobs(): left unconfirmed,
+        // the job is cancelled like any other pending job.
+        printJob.reopenedAt = new Date();
+        this.jobQueue.transition(printJob, JobStatus.PENDING);
+
+        this.userSessions.set(this.sessionKeyFor(printJob.chatId, printJob.userNumber), {
+            step: 'confirm_print',
+            printJobId: printJob.id,
+            lastActivity: Date.now()
+        });
+
+        const reasonText = reason === 'expired' ? 'sudah kedaluwarsa' : 'gagal';
+        await this.notifyJob(printJob, `⌛ Pembayaran untuk *${printJob.originalName}* ${reasonText}.\n\nKetik *YA* untuk membuat pembayaran baru, atau *BATAL* untuk membatalkan.`);
+    }
+
+    async expireUnpaidJobs() {
+        const now = Date.now();
+
+        for (const printJob of Array.from(this.printQueue.values())) {
+            if (printJob.status !== JobStatus.AWAITING_PAYMENT || printJob.payment.expiresAt > now) continue;
+
+            await this.cancelGatewayPayment(printJob);
+            await this.reopenUnpaidJob(printJob, 'expired');
+            this.log('info', 'Unpaid job expired', { jobId: printJob.id, paymentId: printJob.payment.paymentId });
         }
+    }
+
+    async cancelGatewayPayment(printJob) {
+        if (!this.paymentProvider) return;
+
+        try {
+            await this.paymentProvider.cancelPayment(printJob.payment.paymentId);
+        } catch (error) {
+            this.log('warn', 'Failed to cancel payment at provider', { jobId: printJob.id, paymentId: printJob.payment.paymentId, error: error.message });
+        }
+    }
+
+    isWalletEnabled() {
+        return Boolean(this.config.wallet && this.config.wallet.enabled);
+    }
+
+    // Holds the quote on the user's balance. Returns false when the balance
+    // is too low; jobs are free to queue when the wallet is disabled.
+    reservePayment(printJob) {
+        if (!this.isWalletEnabled() || printJob.estimatedCost <= 0) {
+            return true;
+        }
+
+        if (!this.ledger.reserve(printJob.userNumber, printJob.id, printJob.estimatedCost)) {
+            this.log('info', 'Insufficient balance', { jobId: printJob.id, user: printJob.userNumber, cost: printJob.estimatedCost });
+            return false;
+        }
+
+        printJob.payment = { method: 'wallet', amount: printJob.estimatedCost, status: 'reserved' };
+        return true;
+    }
+
+    refundPayment(printJob) {
+        if (printJob.payment && printJob.payment.status === 'reserved' && this.ledger.refund(printJob.id)) {
+            printJob.payment.status = 'refunded';
+        }
+    }
+
+    settlePayment(printJob) {
+        if (!printJob.payment || printJob.payment.status !== 'reserved') return;
+
+        if (printJob.status === JobStatus.COMPLETED) {
+            if (this.ledger.capture(printJob.id)) {
+                printJob.payment.status = 'captured';
+            }
+        } else if ([JobStatus.FAILED, JobStatus.CANCELLED].includes(printJob.status)) {
+            this.refundPayment(printJob);
+        }
+    }
+
+    quotaSubjects(printJob) {
+        return this.quota.subjectsFor({
+            userNumber: printJob.userNumber,
+            role: this.roles.roleOf(printJob.userNumber),
+            chatId: printJob.chatId
+        });
+    }
+
+    quotaUsageOf(printJob) {
+        return {
+            pages: printJob.pageCount * printJob.copies,
+            sheets: this.countSheets(printJob).sheets * printJob.copies
+        };
+    }
 
-        return analysis;
+    // Limits the job would exceed; always empty when quotas are disabled.
+    checkQuota(printJob) {
+        if (!this.quota.enabled) return [];
+        return this.quota.check(this.quotaSubjects(printJob), this.quotaUsageOf(printJob));
     }
 
-    async detectColorInPDF(pdfBytes) {
-        const content = pdfBytes.toString();
-        return content.includes('DeviceRGB') || content.includes('ColorSpace');
+    // Usage is counted when a confirmed job leaves PENDING and given back when
+    // it returns to PENDING (unpaid), fails or is cancelled.
+    settleQuota(printJob, from) {
+        const reserved = printJob.quota && printJob.quota.status === 'reserved';
+
+        if (!reserved && from === JobStatus.PENDING && this.quota.enabled) {
+            printJob.quota = { ...this.quota.reserve(this.quotaSubjects(printJob), this.quotaUsageOf(printJob)), status: 'reserved' };
+        } else if (reserved && [JobStatus.PENDING, JobStatus.FAILED, JobStatus.CANCELLED].includes(printJob.status)) {
+            this.quota.release(printJob.quota);
+            printJob.quota.status = 'released';
+        }
     }
 
-    async getImageDimensions(filePath) {
-        return null;
+    describeQuotaEntry(entry) {
+        const owner = entry.type === 'group' ? 'Kuota grup' : 'Kuota Anda';
+        return `${owner} ${QUOTA_PERIOD_LABELS[entry.period]}: sisa ${entry.remaining} dari ${entry.limit} ${QUOTA_METRIC_LABELS[entry.metric]} (reset ${entry.resetsAt.toLocaleDateString('id-ID')})`;
     }
 
-    calculatePrintCost(pageCount, hasColor) {
-        const bwCostPerPage = 500; 
-        const colorCostPerPage = 2000; 
-        
-        const costPerPage = hasColor ? colorCostPerPage : bwCostPerPage;
-        return pageCount * costPerPage;
+    buildQuotaExceededMessage(printJob, exceeded) {
+        const usage = this.quotaUsageOf(printJob);
+        const lines = exceeded.map(entry => `• ${this.describeQuotaEntry(entry)}`).join('\n');
+
+        return `
+🚫 *Kuota Print Tidak Cukup*
+
+📄 Job ini memakai ${usage.pages} halaman / ${usage.sheets} lembar.
+${lines}
+
+Ketik *OPSI* untuk mengurangi halaman (pilih halaman, tata letak atau bolak-balik), *BATAL* untuk membatalkan, atau hubungi admin untuk tambahan kuota.`;
     }
 
-    buildConfirmationMessage(printJob, fileAnalysis) {
-        const costText = printJob.estimatedCost > 0 
-            ? `💰 Estimasi biaya: Rp ${printJob.estimatedCost.toLocaleString('id-ID')}\n`
-            : '';
+    describeRefund(printJob) {
+        if (!printJob.payment) return '';
 
-        const colorText = fileAnalysis.hasColor ? '🎨 Warna' : '⚫ Hitam Putih';
+        if (printJob.payment.status === 'refunded') {
+            return `\n\n💳 Saldo Rp ${printJob.payment.amount.toLocaleString('id-ID')} telah dikembalikan.`;
+        }
+        // Gateway payments cannot be reversed by the bot.
+        if (printJob.payment.method === 'gateway' && printJob.payment.status === 'paid') {
+            return `\n\n💳 Pembayaran Rp ${printJob.payment.amount.toLocaleString('id-ID')} sudah diterima; hubungi admin untuk pengembalian dana (ID pembayaran: ${printJob.payment.paymentId}).`;
+        }
+        return '';
+    }
 
-        return `
-📄 *File Diterima & Dianalisis*
+    async runPrintJob(printJob) {
+        // A job interrupted by a restart may already be at the spooler;
+        // follow it there instead of printing it twice.
+        if (printJob.recovered && printJob.spoolJobId) {
+            const printer = this.printerManager.resolve(printJob.printerId);
+            const current = await printer.driver.jobState(printJob.spoolJobId);
+            if (current.state !== 'unknown') {
+                return this.followPrintJob(printJob);
+            }
+            this.log('warn', 'Spooler no longer knows recovered job, printing again', { jobId: printJob.id, spoolJobId: printJob.spoolJobId });
+            printJob.spoolJobId = null;
+        }
 
-📝 Nama: ${printJob.originalName}
-📊 Format: ${printJob.extension.toUpperCase()}
-📄 Halaman: ${printJob.pageCount}
-💾 Ukuran: ${(printJob.fileSize / 1024).toFixed(1)} KB
-🖨️ Salinan: ${printJob.copies}
-🎨 Jenis: ${colorText}
-${costText}
-⏰ Antrian: ${this.printQueue.size} job(s)
+        const printerOnline = await this.checkPrinter(printJob.printerId);
+        if (!printerOnline) {
+            printJob.failureReason = 'printer_offline';
+            this.log('error', 'Printer offline during print job', { jobId: printJob.id, printer: printJob.printerId });
+            return false;
+        }
 
-*Opsi Print:*
-📋 Kertas: ${printJob.printOptions.paperSize}
-⚡ Kualitas: ${printJob.printOptions.quality}
+        const success = await this.executePrintWithRetry(printJob, 3);
+        if (!success) {
+            printJob.failureReason = 'print_failed';
+            return false;
+        }
 
-Ketik *YA* untuk konfirmasi print
-Ketik *BATAL* untuk membatalkan  
-Ketik *OPSI* untuk mengatur opsi print`;
+        return this.followPrintJob(printJob);
     }
 
-    async handleUserResponse(message) {
-        const chatId = message.from;
-        const session = this.userSessions.get(chatId);
-        const response = message.body.toLowerCase().trim();
+    // The spooler may hold a job for a long time (out of paper, say), so it is
+    // followed outside the printer's worker, which moves on to the next job.
+    followPrintJob(printJob) {
+        return {
+            finished: this.trackPrintJob(printJob).then(result => (result ? this.resolveSpoolResult(printJob, result) : true))
+        };
+    }
 
-        if (!session) return;
+    async trackPrintJob(printJob) {
+        const trackingConfig = this.config.printSettings.jobTracking || {};
+        if (trackingConfig.enabled === false || !printJob.spoolJobId) {
+            return null;
+        }
 
-        switch (session.step) {
-            case 'confirm_print':
-                if (['ya', 'y', 'yes', 'ok'].includes(response)) {
-                    await this.processPrintJob(message, session.printJobId);
-                } else if (['batal', 'cancel', 'no', 'tidak'].includes(response)) {
-                    await this.cancelPrintJob(message, session.printJobId);
-                } else if (['opsi', 'option', 'setting'].includes(response)) {
-                    await this.showPrintOptions(message, session.printJobId);
-                } else {
-                    await message.reply('❌ Respon tidak valid. Ketik *YA*, *BATAL*, atau *OPSI*');
-                }
-                break;
+        const printer = this.printerManager.resolve(printJob.printerId);
+        return this.jobTracker.track(printer.driver, printJob.spoolJobId, update => this.handleSpoolUpdate(printJob, update));
+    }
 
-            case 'set_copies':
-                await this.handleCopiesInput(message, response, session.printJobId);
-                break;
+    async handleSpoolUpdate(printJob, update) {
+        const wasHeld = printJob.spoolState === 'held';
+        const previousReasons = printJob.spoolReasons || [];
+        printJob.spoolState = update.state;
+        printJob.spoolReasons = update.reasons || [];
+        this.saveJob(printJob);
+
+        this.log('info', 'Spooler job state changed', {
+            jobId: printJob.id,
+            spoolJobId: printJob.spoolJobId,
+            state: update.state,
+            reasons: printJob.spoolReasons
+        });
 
-            case 'set_options':
-                await this.handleOptionsInput(message, response, session.printJobId);
-                break;
+        // Printers report paper and toner problems while a job is still
+        // processing too, so new problems are passed on in any state.
+        const newProblems = printJob.spoolReasons.filter(reason => !previousReasons.includes(reason) && this.spoolReasonLabel(reason));
+
+        if (update.state === 'held') {
+            await this.notifyJob(printJob, `⏸️ *Print job tertahan di printer*\n\n📄 File: ${printJob.originalName}\n⚠️ Penyebab: ${this.describeSpoolReasons(printJob.spoolReasons)}\n\nJob akan dilanjutkan otomatis setelah masalah diatasi.`);
+        } else if (newProblems.length > 0) {
+            await this.notifyJob(printJob, `⚠️ *Printer membutuhkan perhatian*\n\n📄 File: ${printJob.originalName}\n⚠️ Penyebab: ${this.describeSpoolReasons(newProblems)}\n\nPencetakan dilanjutkan setelah masalah diatasi.`);
+        } else if (wasHeld && update.state === 'processing') {
+            await this.notifyJob(printJob, `▶️ Printer melanjutkan pencetakan *${printJob.originalName}*.`);
         }
     }
 
-    async showPrintOptions(message, printJobId) {
-        const printJob = this.printQueue.get(printJobId);
-        const chatId = message.from;
+    spoolReasonLabel(reason) {
+        return SPOOL_REASON_LABELS[reason.replace(/-(error|warning|report)$/, '')] || null;
+    }
 
-        if (!printJob) {
-            await message.reply('❌ Print job tidak ditemukan.');
-            return;
+    describeSpoolReasons(reasons = []) {
+        const labels = reasons.map(reason => this.spoolReasonLabel(reason) || reason);
+
+        return labels.length > 0 ? Array.from(new Set(labels)).join(', ') : 'Printer membutuhkan perhatian';
+    }
+
+    resolveSpoolResult(printJob, result) {
+        if (result.state === 'completed') {
+            return true;
         }
 
-        const optionsMessage = `
-⚙️ *Opsi Cetak - ${printJob.originalName}*
+        if (result.state === 'aborted' || result.state === 'canceled') {
+            printJob.failureReason = result.state === 'aborted' ? 'printer_aborted' : 'printer_cancelled';
+            printJob.spoolMessage = result.message;
+            this.log('error', 'Spooler did not complete print job', {
+                jobId: printJob.id,
+                spoolJobId: printJob.spoolJobId,
+                state: result.state,
+                message: result.message
+            });
+            return false;
+        }
 
-📋 *Pilihan yang tersedia:*
-1️⃣ Ubah jumlah salinan (1-10)
-2️⃣ Ubah kualitas (draft/normal/high)  
-3️⃣ Ubah ukuran kertas (A4/A3/Letter)
-4️⃣ Duplex printing (bolak-balik)
-5️⃣ Kembali ke konfirmasi
+        // The document reached the spooler but we could not see it finish.
+        printJob.completionUnconfirmed = true;
+        this.log('warn', 'Print job completion could not be confirmed', {
+            jobId: printJob.id,
+            spoolJobId: printJob.spoolJobId,
+            timedOut: Boolean(result.timedOut),
+            message: result.message
+        });
+        return true;
+    }
 
-Ketik nomor pilihan (1-5):`;
+    recordCompletedJob(printJob) {
+        const userStats = this.userStats.get(printJob.userNumber);
+        if (userStats) {
+            userStats.totalPrints++;
+            userStats.totalPages += printJob.pageCount * printJob.copies;
+            this.store.set('users', printJob.userNumber, userStats);
+        }
 
-        await message.reply(optionsMessage);
+        this.addToHistory(printJob);
 
-        this.userSessions.set(chatId, {
-            step: 'set_options',
-            printJobId: printJobId,
-            lastActivity: Date.now()
+        this.log('info', 'Print job completed successfully', {
+            jobId: printJob.id,
+            user: printJob.userNumber,
+            pages: printJob.pageCount,
+            copies: printJob.copies
         });
     }
 
-    async handleOptionsInput(message, response, printJobId) {
-        const printJob = this.printQueue.get(printJobId);
-        const chatId = message.from;
+    scheduleJobCleanup(printJobId) {
+        setTimeout(() => {
+            this.cleanupPrintJob(printJobId);
+        }, 300000);
+    }
 
-        if (!printJob) {
-            await message.reply('❌ Print job tidak ditemukan.');
-            return;
-        }
+    buildSuccessMessage(printJob) {
+        const duration = printJob.completedAt - printJob.startedAt;
+        const durationText = `${Math.round(duration / 1000)} detik`;
 
-        switch (response) {
-            case '1':
-                await message.reply('🔢 Masukkan jumlah salinan (1-10):');
-                this.userSessions.set(chatId, {
-                    step: 'set_copies',
-                    printJobId: printJobId,
-                    lastActivity: Date.now()
-                });
-                break;
+        return `
+✅ *Print Berhasil!*
 
-            case '2':
-                await this.showQualityOptions(message, printJobId);
-                break;
+📄 File: ${printJob.originalName}
+🖨️ Halaman: ${printJob.pageCount} x ${printJob.copies} salinan
+📊 Total halaman: ${printJob.pageCount * printJob.copies}
+⏱️ Waktu proses: ${durationText}
+⏰ Selesai: ${printJob.completedAt.toLocaleString('id-ID')}${printJob.completionUnconfirmed ? '\nℹ️ Printer tidak melaporkan status akhir; mohon periksa hasil cetakan.' : ''}${printJob.payment && printJob.payment.status === 'captured' ? `\n💳 Dibayar dari saldo: Rp ${printJob.payment.amount.toLocaleString('id-ID')}` : ''}${printJob.payment && printJob.payment.method === 'gateway' && printJob.payment.status === 'paid' ? `\n💳 Dibayar: Rp ${printJob.payment.amount.toLocaleString('id-ID')}` : ''}
 
-            case '3':
-                await this.showPaperSizeOptions(message, printJobId);
-                break;
+🎯 Silakan ambil dokumen Anda di printer.
 
-            case '4':
-                printJob.printOptions.duplex = !printJob.printOptions.duplex;
-                await message.reply(`${printJob.printOptions.duplex ? '✅' : '❌'} Duplex printing: ${printJob.printOptions.duplex ? 'ON' : 'OFF'}`);
-                await this.showPrintOptions(message, printJobId);
-                break;
+💡 Tips: Gunakan /history untuk melihat riwayat print Anda.`;
+    }
 
-            case '5':
-                await this.showUpdatedConfirmation(message, printJobId);
-                break;
+    buildFailureMessage(printJob, error) {
+        if (error) {
+            return `❌ Terjadi kesalahan sistem saat mencetak *${printJob.originalName}*. Silakan coba lagi atau hubungi admin.`;
+        }
 
-            default:
-                await message.reply('❌ Pilihan tidak valid. Ketik nomor 1-5.');
+        if (printJob.failureReason === 'printer_offline') {
+            return `❌ Printer sedang offline atau bermasalah, *${printJob.originalName}* tidak dapat dicetak. Silakan coba lagi nanti.`;
         }
-    }
 
-    async handleCopiesInput(message, response, printJobId) {
-        const copies = parseInt(response);
-        const printJob = this.printQueue.get(printJobId);
-        const chatId = message.from;
+        if (printJob.failureReason === 'printer_aborted') {
+            const detail = printJob.spoolMessage ? `\n\n🔧 Pesan printer: ${printJob.spoolMessage}` : '';
+            return `❌ Printer menghentikan pencetakan *${printJob.originalName}*.${detail}\n\nSilakan hubungi admin atau coba lagi.`;
+        }
 
-        if (!printJob) {
-            await message.reply('❌ Print job tidak ditemukan.');
-            return;
+        if (printJob.failureReason === 'printer_cancelled') {
+            return `🚫 Print *${printJob.originalName}* dibatalkan langsung di printer.`;
         }
 
-        if (isNaN(copies) || copies < 1 || copies > 10) {
-            await message.reply('❌ Jumlah salinan harus antara 1-10. Coba lagi:');
-            return;
+        return `❌ Print *${printJob.originalName}* gagal setelah beberapa percobaan.\n\n🔧 Kemungkinan masalah:\n• Printer sedang bermasalah\n• Tinta/toner habis\n• Kertas habis\n• Koneksi printer terputus\n\nSilakan periksa printer dan coba lagi.`;
+    }
+
+    async executePrintWithRetry(printJob, maxRetries) {
+        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+            this.log('info', `Print attempt ${attempt}/${maxRetries}`, { jobId: printJob.id });
+            
+            const success = await this.executePrint(printJob);
+            if (success) {
+                return true;
+            }
+
+            if (attempt < maxRetries) {
+                await new Promise(resolve => setTimeout(resolve, 2000)); 
+            }
         }
+        return false;
+    }
 
-        printJob.copies = copies;
-        printJob.estimatedCost = this.calculatePrintCost(printJob.pageCount, printJob.printOptions.color) * copies;
+    async executePrint(printJob) {
+        const printer = this.printerManager.resolve(printJob.printerId);
+        const result = await printer.driver.print(printJob);
+        if (result.success) {
+            printJob.spoolJobId = result.spoolJobId;
+            if (this.printQueue.has(printJob.id)) {
+                this.saveJob(printJob);
+            }
+        }
+        return result.success;
+    }
 
-        await message.reply(`✅ Jumlah salinan diubah menjadi: ${copies}`);
-        await this.showPrintOptions(message, printJobId);
+    async checkPrinter(printerId = null) {
+        const status = await this.printerManager.checkStatus(printerId);
+        return status.online;
     }
 
-    async showUpdatedConfirmation(message, printJobId) {
-        const printJob = this.printQueue.get(printJobId);
-        const chatId = message.from;
+    formatPrinterCapabilities(capabilities) {
+        return [
+            capabilities.color ? '🎨 Warna' : '⚫ B/W',
+            capabilities.duplex ? '🔄 Duplex' : null,
+            `📋 ${capabilities.paperSizes.join('/')}`
+        ].filter(Boolean).join(' • ');
+    }
 
-        if (!printJob) {
-            await message.reply('❌ Print job tidak ditemukan.');
+    async handlePrinterCommand(message, query) {
+        const sessionKey = this.sessionKey(message);
+        const userNumber = this.senderOf(message);
+        const settings = this.getUserSettings(userNumber);
+        const allowed = this.allowedPrinterIds(userNumber);
+        const printers = this.printerManager.list().filter(printer => !allowed || allowed.includes(printer.id));
+
+        if (!query) {
+            let printerMessage = '🖨️ *Daftar Printer*\n\n';
+            printers.forEach(printer => {
+                const status = printer.status ? (printer.status.online ? '🟢' : '🔴') : '⚪';
+                const selected = settings.printer === printer.id ? ' ⭐' : '';
+                printerMessage += `${status} *${printer.id}* - ${printer.name}${selected}\n`;
+                printerMessage += `   ${this.formatPrinterCapabilities(printer.capabilities)}\n`;
+                const rates = this.pricing.sheetRates(printer.id, printer.costs, settings.paperSize, settings.quality);
+                const colorCost = printer.capabilities.color ? ` • Warna Rp ${rates.color.toLocaleString('id-ID')}` : '';
+                printerMessage += `   💰 B/W Rp ${rates.bw.toLocaleString('id-ID')}${colorCost}/lembar ${settings.paperSize}\n\n`;
+            });
+            printerMessage += `Pilihan Anda: *${settings.printer || 'otomatis'}*\n\n`;
+            printerMessage += '• /printer <id> - Pilih printer\n• /printer auto - Pilih otomatis sesuai opsi print';
+            await message.reply(printerMessage);
             return;
         }
 
-        const fileAnalysis = { hasColor: printJob.printOptions.color, pageCount: printJob.pageCount };
-        const confirmationMessage = this.buildConfirmationMessage(printJob, fileAnalysis);
+        let printer = null;
+        if (query !== 'auto') {
+            printer = this.printerManager.findByIdOrName(query);
+            if (!printer) {
+                await message.reply('❌ Printer tidak ditemukan. Ketik /printer untuk melihat daftar printer.');
+                return;
+            }
+            if (!printers.includes(printer)) {
+                await message.reply('❌ Role Anda tidak diizinkan memakai printer ini. Ketik /printer untuk melihat daftar printer.');
+                return;
+            }
+        }
 
-        await message.reply(confirmationMessage);
+        this.updateUserSetting(userNumber, 'printer', printer ? printer.id : 'auto');
 
-        this.userSessions.set(chatId, {
-            step: 'confirm_print',
-            printJobId: printJobId,
-            lastActivity: Date.now()
-        });
+        let reply = printer
+            ? `✅ Printer dipilih: *${printer.name}*`
+            : '✅ Printer akan dipilih otomatis sesuai opsi print.';
+
+        const session = this.userSessions.get(sessionKey);
+        const printJob = session ? this.printQueue.get(session.printJobId) : null;
+        if (printJob && printJob.status === JobStatus.PENDING) {
+            printJob.preferredPrinterId = printer ? printer.id : null;
+            const routed = this.routeJob(printJob);
+            this.recalculateCost(printJob);
+            this.saveJob(printJob);
+
+            reply += routed
+                ? `\n\n📄 Job *${printJob.originalName}* akan dicetak di ${routed.name}.`
+                : `\n\n⚠️ Printer ini tidak mendukung opsi job *${printJob.originalName}*. Ketik *OPSI* untuk mengubahnya.`;
+        }
+
+        await message.reply(reply);
     }
 
-    async processPrintJob(message, printJobId) {
+    findUserJob(userNumber, printJobId) {
         const printJob = this.printQueue.get(printJobId);
-        const chatId = message.from;
-        const userNumber = message.from.replace('@c.us', '');
+        if (!printJob) return null;
+        if (printJob.userNumber !== userNumber && !this.roles.can(userNumber, 'jobs.manage')) return null;
+        return printJob;
+    }
+
+    getCancellableJobs(userNumber) {
+        return Array.from(this.printQueue.values())
+            .filter(job => job.userNumber === userNumber)
+            .filter(job => [JobStatus.PENDING, JobStatus.AWAITING_PAYMENT, JobStatus.SCHEDULED, JobStatus.QUEUED].includes(job.status))
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    async cancelPrintJob(message, printJobId = null) {
+        const sessionKey = this.sessionKey(message);
+        const userNumber = this.senderOf(message);
+        const session = this.userSessions.get(sessionKey);
+
+        if (!printJobId) {
+            const cancellable = this.getCancellableJobs(userNumber);
+
+            if (session && session.printJobId) {
+                printJobId = session.printJobId;
+            } else if (cancellable.length === 1) {
+                printJobId = cancellable[0].id;
+            } else if (cancellable.length === 0) {
+                await message.reply('📋 Anda tidak memiliki print job yang bisa dibatalkan.');
+                return;
+            } else {
+                let listMessage = '📋 *Pilih job yang ingin dibatalkan:*\n\n';
+                cancellable.forEach(job => {
+                    listMessage += `• ${job.id} - ${job.originalName} (${job.status.toUpperCase()})\n`;
+                });
+                listMessage += '\nKetik */cancel <jobId>*';
+                await message.reply(listMessage);
+                return;
+            }
+        }
 
+        const printJob = this.findUserJob(userNumber, printJobId);
         if (!printJob) {
             await message.reply('❌ Print job tidak ditemukan.');
-            this.userSessions.delete(chatId);
             return;
         }
 
-        try {
-            printJob.status = 'printing';
-            printJob.startedAt = new Date();
+        if (printJob.status === JobStatus.PRINTING) {
+            await message.reply('⚠️ Print job sedang dicetak dan tidak bisa dibatalkan lagi.');
+            return;
+        }
 
-            const processingMsg = await message.reply('🖨️ Memproses print job... Mohon tunggu sebentar.');
+        if (![JobStatus.PENDING, JobStatus.AWAITING_PAYMENT, JobStatus.SCHEDULED, JobStatus.QUEUED].includes(printJob.status)) {
+            await message.reply(`ℹ️ Print job ini sudah berstatus *${printJob.status.toUpperCase()}*.`);
+            return;
+        }
 
-            const printerOnline = await this.checkPrinter();
-            if (!printerOnline) {
-                printJob.status = 'failed';
-                await processingMsg.edit('❌ Printer sedang offline atau bermasalah. Silakan coba lagi nanti.');
-                this.log('error', 'Printer offline during print job', { jobId: printJobId });
-                return;
+        if (printJob.status === JobStatus.QUEUED) {
+            this.jobQueue.cancel(printJob.id);
+        } else {
+            if (printJob.status === JobStatus.AWAITING_PAYMENT) {
+                await this.cancelGatewayPayment(printJob);
             }
+            this.jobQueue.transition(printJob, JobStatus.CANCELLED);
+        }
 
-            await processingMsg.edit('🖨️ Mengirim ke printer... ⏳');
+        if (session && session.printJobId === printJob.id) {
+            this.userSessions.delete(sessionKey);
+        }
 
-            const success = await this.executePrintWithRetry(printJob, 3);
+        this.cleanupPrintJob(printJob.id);
 
-            if (success) {
-                printJob.status = 'completed';
-                printJob.completedAt = new Date();
+        await message.reply(`🚫 Print job dibatalkan.\n\n📄 File: ${printJob.originalName}\n🆔 Job ID: ${printJob.id}${this.describeRefund(printJob)}`);
+        this.log('info', 'Print job cancelled', { jobId: printJob.id, user: userNumber });
+    }
 
-                const userStats = this.userStats.get(userNumber);
-                if (userStats) {
-                    userStats.totalPrints++;
-                    userStats.totalPages += printJob.pageCount * printJob.copies;
-                }
+    async sendQueueStatus(message) {
+        const userNumber = this.senderOf(message);
+        const queuedJobs = this.jobQueue.getJobs();
+        const userJobs = Array.from(this.printQueue.values())
+            .filter(job => job.userNumber === userNumber)
+            .filter(job => [JobStatus.PENDING, JobStatus.AWAITING_PAYMENT, JobStatus.SCHEDULED, JobStatus.QUEUED, JobStatus.PRINTING].includes(job.status))
+            .sort((a, b) => a.createdAt - b.createdAt);
 
-                this.printHistory.unshift({
-                    ...printJob,
-                    completedAt: printJob.completedAt
-                });
+        let queueMessage = `📋 *Antrian Print*\n\n🖨️ Total job di antrian: ${queuedJobs.length}\n\n`;
 
-                if (this.printHistory.length > 100) {
-                    this.printHistory = this.printHistory.slice(0, 100);
-                }
+        if (userJobs.length === 0) {
+            queueMessage += 'Anda tidak memiliki print job aktif.';
+            await message.reply(queueMessage);
+            return;
+        }
 
-                const successMessage = this.buildSuccessMessage(printJob);
-                await processingMsg.edit(successMessage);
+        queueMessage += '*Job Anda:*\n';
+        userJobs.forEach((job, index) => {
+            let statusText;
+            if (job.status === JobStatus.PRINTING && job.spoolState === 'held') {
+                statusText = `⏸️ Tertahan di printer: ${this.describeSpoolReasons(job.spoolReasons)}`;
+            } else if (job.status === JobStatus.PRINTING) {
+                statusText = '🖨️ Sedang dicetak';
+            } else if (job.status === JobStatus.QUEUED) {
+                statusText = `📥 Posisi ${this.jobQueue.getPosition(job.id)}`;
+            } else if (job.status === JobStatus.SCHEDULED) {
+                statusText = this.describeSchedule(job);
+            } else if (job.status === JobStatus.AWAITING_PAYMENT) {
+                statusText = `💳 Menunggu pembayaran Rp ${job.payment.amount.toLocaleString('id-ID')}`;
+            } else {
+                statusText = '⏳ Menunggu konfirmasi';
+            }
 
-                this.log('info', 'Print job completed successfully', { 
-                    jobId: printJobId, 
-                    user: userNumber,
-                    pages: printJob.pageCount,
-                    copies: printJob.copies
-                });
+            queueMessage += `${index + 1}. ${job.originalName}\n`;
+            queueMessage += `   🆔 ${job.id} • 📄 ${job.pageCount}p • 🖨️ ${job.copies}x\n`;
+            queueMessage += `   ${statusText}\n\n`;
+        });
 
-            } else {
-                printJob.status = 'failed';
-                printJob.failedAt = new Date();
-                
-                await processingMsg.edit(`❌ Print gagal setelah beberapa percobaan.\n\n🔧 Kemungkinan masalah:\n• Printer sedang bermasalah\n• Tinta/toner habis\n• Kertas habis\n• Koneksi printer terputus\n\nSilakan periksa printer dan coba lagi.`);
+        queueMessage += '💡 Ketik /cancel <jobId> untuk membatalkan job yang belum dicetak.';
+        await message.reply(queueMessage);
+    }
 
-                this.log('error', 'Print job failed after retries', { 
-                    jobId: printJobId, 
-                    user: userNumber 
-                });
+    async sendPrintStatus(message) {
+        await this.printerManager.checkAll();
+        const workers = new Map(this.jobQueue.getHealth().map(worker => [worker.printer, worker]));
+        const stuckThreshold = 10 * 60 * 1000;
+
+        let statusMessage = `
+🖨️ *Status Sistem Print*
+`;
+
+        this.printerManager.list().forEach(printer => {
+            const worker = workers.get(printer.id);
+            // Jobs at the spooler are followed outside the worker.
+            const heldJob = this.jobQueue.getJobs(printer.id).find(job => job.status === JobStatus.PRINTING && job.spoolState === 'held');
+            const stuck = worker && worker.busy && worker.activeSince && (Date.now() - worker.activeSince.getTime() > stuckThreshold);
+
+            let workerState = worker && (worker.busy || worker.following > 0) ? '🖨️ Mencetak' : '💤 Idle';
+            if (heldJob) {
+                workerState = `⏸️ Tertahan: ${this.describeSpoolReasons(heldJob.spoolReasons)}`;
+            } else if (stuck) {
+                workerState = '⚠️ Kemungkinan macet';
             }
 
-        } catch (error) {
-            console.error('Print processing error:', error);
-            printJob.status = 'failed';
-            await message.reply('❌ Terjadi kesalahan sistem saat mencetak. Silakan coba lagi atau hubungi admin.');
-            this.log('error', 'Print processing system error', { 
-                jobId: printJobId, 
-                user: userNumber, 
-                error: error.message 
-            });
-        }
+            statusMessage += `\n🏷️ **${printer.name}** (${printer.id}, ${printer.driver.type})\n`;
+            statusMessage += `📊 Status: ${printer.status.online ? '🟢 Online' : '🔴 Offline/Error'}\n`;
+            statusMessage += `⚙️ Worker: ${workerState}\n`;
+            statusMessage += `   📥 Menunggu: ${worker ? worker.waiting : 0} • ✅ Diproses: ${worker ? worker.processed : 0} • ❌ Gagal: ${worker ? worker.failed : 0}\n`;
+        });
 
-        this.userSessions.delete(chatId);
-        
-        setTimeout(() => {
-            this.cleanupPrintJob(printJobId);
-        }, 300000); 
+        const uptime = process.uptime();
+        statusMessage += `\n⏱️ **Uptime:** ${Math.floor(uptime / 3600)}h ${Math.floor((uptime % 3600) / 60)}m`;
+
+        await message.reply(statusMessage);
     }
 
-    buildSuccessMessage(printJob) {
-        const duration = printJob.completedAt - printJob.startedAt;
-        const durationText = `${Math.round(duration / 1000)} detik`;
+    getUserSettings(userNumber) {
+        const defaults = {
+            copies: this.config.printSettings.defaultCopies,
+            quality: 'normal',
+            paperSize: 'A4',
+            duplex: false,
+            grayscale: false,
+            printer: null,
+            textSize: 11,
+            textHeader: true
+        };
 
-        return `
-✅ *Print Berhasil!*
+        return { ...defaults, ...(this.userSettings.get(userNumber) || {}) };
+    }
 
-📄 File: ${printJob.originalName}
-🖨️ Halaman: ${printJob.pageCount} x ${printJob.copies} salinan
-📊 Total halaman: ${printJob.pageCount * printJob.copies}
-⏱️ Waktu proses: ${durationText}
-⏰ Selesai: ${printJob.completedAt.toLocaleString('id-ID')}
+    async sendSettingsInfo(message, args = []) {
+        const userNumber = this.senderOf(message);
+        const [key, value] = args;
 
-🎯 Silakan ambil dokumen Anda di printer.
+        if (key) {
+            const result = this.updateUserSetting(userNumber, key, value);
+            if (!result.ok) {
+                await message.reply(result.message);
+                return;
+            }
+        }
 
-💡 Tips: Gunakan /history untuk melihat riwayat print Anda.`;
+        const settings = this.getUserSettings(userNumber);
+        const capabilities = this.getPrinterCapabilities();
+        const settingsMessage = `
+⚙️ *Pengaturan Default Anda*
+
+🖨️ Salinan: ${settings.copies}
+⚡ Kualitas: ${settings.quality}
+📋 Kertas: ${settings.paperSize}
+🔄 Duplex: ${settings.duplex ? 'ON' : 'OFF'}
+⚫ Grayscale: ${settings.grayscale ? 'ON' : 'OFF'}
+🖨️ Printer: ${settings.printer || 'otomatis'}
+🔤 Ukuran huruf /text: ${settings.textSize} pt
+🏷️ Header pengirim & waktu /text: ${settings.textHeader ? 'ON' : 'OFF'}
+
+✏️ *Ubah pengaturan:*
+• /settings copies <1-${this.maxCopiesFor(userNumber)}>
+• /settings quality <${capabilities.qualities.join('/')}>
+• /settings paper <${capabilities.paperSizes.join('/')}>
+• /settings duplex <on/off>
+• /settings grayscale <on/off>
+• /settings fontsize <8-24>
+• /settings header <on/off>
+• /printer <id/auto>
+• /settings reset`;
+
+        await message.reply(settingsMessage);
     }
 
-    async executePrintWithRetry(printJob, maxRetries) {
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            this.log('info', `Print attempt ${attempt}/${maxRetries}`, { jobId: printJob.id });
-            
-            const success = await this.executePrint(printJob);
-            if (success) {
-                return true;
+    updateUserSetting(userNumber, key, value) {
+        const current = this.userSettings.get(userNumber) || {};
+
+        switch (key) {
+            case 'reset':
+                this.userSettings.delete(userNumber);
+                this.store.delete('settings', userNumber);
+                return { ok: true };
+
+            case 'copies': {
+                const copies = parseInt(value);
+                const maxCopies = this.maxCopiesFor(userNumber);
+                if (isNaN(copies) || copies < 1 || copies > maxCopies) {
+                    return { ok: false, message: `❌ Jumlah salinan harus antara 1-${maxCopies}.` };
+                }
+                current.copies = copies;
+                break;
+            }
+
+            case 'quality': {
+                const { qualities } = this.getPrinterCapabilities();
+                if (!qualities.includes(value)) {
+                    return { ok: false, message: `❌ Kualitas tidak valid. Pilihan: ${qualities.join(', ')}` };
+                }
+                current.quality = value;
+                break;
             }
 
-            if (attempt < maxRetries) {
-                await new Promise(resolve => setTimeout(resolve, 2000)); 
+            case 'paper': {
+                const { paperSizes } = this.getPrinterCapabilities();
+                const paperSize = paperSizes.find(size => size.toLowerCase() === (value || '').toLowerCase());
+                if (!paperSize) {
+                    return { ok: false, message: `❌ Ukuran kertas tidak valid. Pilihan: ${paperSizes.join(', ')}` };
+                }
+                current.paperSize = paperSize;
+                break;
             }
-        }
-        return false;
-    }
 
-    async executePrint(printJob) {
-        return new Promise((resolve) => {
-            let printCommand;
-            const options = printJob.printOptions;
-
-            if (process.platform === 'win32') {
-                let psCommand = `Start-Process -FilePath '${printJob.filePath}' -Verb Print -Wait`;
-                printCommand = `powershell -Command "${psCommand}"`;
-            } else if (process.platform === 'darwin') {
-                let lprOptions = [
-                    `-P ${this.config.printSettings.printerName}`,
-                    `-# ${printJob.copies}`
-                ];
-                
-                if (options.duplex) lprOptions.push('-o sides=two-sided-long-edge');
-                if (options.paperSize !== 'A4') lprOptions.push(`-o media=${options.paperSize}`);
-                
-                printCommand = `lpr ${lprOptions.join(' ')} "${printJob.filePath}"`;
-            } else {
-                let lprOptions = [
-                    `-P ${this.config.printSettings.printerName}`,
-                    `-# ${printJob.copies}`
-                ];
-                
-                if (options.duplex) lprOptions.push('-o sides=two-sided-long-edge');
-                if (options.quality === 'draft') lprOptions.push('-o print-quality=3');
-                if (options.quality === 'high') lprOptions.push('-o print-quality=5');
-                
-                printCommand = `lpr ${lprOptions.join(' ')} "${printJob.filePath}"`;
+            case 'duplex': {
+                if (!['on', 'off'].includes(value)) {
+                    return { ok: false, message: '❌ Duplex harus *on* atau *off*.' };
+                }
+                current.duplex = value === 'on';
+                break;
             }
 
-            this.log('info', 'Executing print command', { command: printCommand, jobId: printJob.id });
+            case 'grayscale': {
+                if (!['on', 'off'].includes(value)) {
+                    return { ok: false, message: '❌ Grayscale harus *on* atau *off*.' };
+                }
+                current.grayscale = value === 'on';
+                break;
+            }
 
-            exec(printCommand, { timeout: 30000 }, (error, stdout, stderr) => {
-                if (error) {
-                    this.log('error', 'Print command failed', { 
-                        error: error.message, 
-                        stderr, 
-                        jobId: printJob.id 
-                    });
-                    resolve(false);
-                } else {
-                    this.log('info', 'Print command successful', { 
-                        stdout, 
-                        jobId: printJob.id 
-                    });
-                    resolve(true);
+            case 'fontsize': {
+                const size = parseInt(value);
+                if (isNaN(size) || size < 8 || size > 24) {
+                    return { ok: false, message: '❌ Ukuran huruf harus antara 8-24.' };
                 }
-            });
-        });
-    }
+                current.textSize = size;
+                break;
+            }
 
-    async checkPrinter() {
-        return new Promise((resolve) => {
-            let command;
-            
-            if (process.platform === 'win32') {
-                command = `powershell -Command "Get-Printer | Where-Object {$_.PrinterStatus -eq 'Normal'}"`;
-            } else {
-                command = `lpstat -p ${this.config.printSettings.printerName}`;
+            case 'header': {
+                if (!['on', 'off'].includes(value)) {
+                    return { ok: false, message: '❌ Header harus *on* atau *off*.' };
+                }
+                current.textHeader = value === 'on';
+                break;
             }
 
-            exec(command, (error, stdout, stderr) => {
-                const isOnline = !error && stdout.includes('idle') || stdout.includes('Normal');
-                this.printerStatus = { online: isOnline, lastCheck: Date.now() };
-                resolve(isOnline);
-            });
-        });
+            case 'printer': {
+                if (value === 'auto') {
+                    delete current.printer;
+                    break;
+                }
+                const printer = this.printerManager.findByIdOrName(value);
+                if (!printer) {
+                    return { ok: false, message: '❌ Printer tidak ditemukan. Ketik /printer untuk melihat daftar printer.' };
+                }
+                const allowed = this.allowedPrinterIds(userNumber);
+                if (allowed && !allowed.includes(printer.id)) {
+                    return { ok: false, message: '❌ Role Anda tidak diizinkan memakai printer ini. Ketik /printer untuk melihat daftar printer.' };
+                }
+                current.printer = printer.id;
+                break;
+            }
+
+            default:
+                return { ok: false, message: '❌ Pengaturan tidak dikenal. Ketik /settings untuk melihat pilihan.' };
+        }
+
+        this.userSettings.set(userNumber, current);
+        this.store.set('settings', userNumber, current);
+        this.log('info', 'User settings updated', { user: userNumber, key, value });
+        return { ok: true };
     }
 
     async sendBotStats(message) {
@@ -898,18 +4014,31 @@ Ketik nomor pilihan (1-5):`;
         const failedJobs = this.printHistory.filter(job => job.status === 'failed').length;
         const totalPages = this.printHistory.reduce((sum, job) => sum + (job.pageCount * job.copies), 0);
 
+        const costCenters = {};
+        this.printHistory.filter(job => job.costCenter && job.status === 'completed').forEach(job => {
+            const entry = costCenters[job.costCenter] || (costCenters[job.costCenter] = { jobs: 0, pages: 0, cost: 0 });
+            entry.jobs++;
+            entry.pages += job.pageCount * job.copies;
+            entry.cost += job.estimatedCost || 0;
+        });
+        const costCenterText = Object.keys(costCenters).length > 0
+            ? '\n🏷️ **Cost Center:**\n' + Object.entries(costCenters)
+                .map(([name, entry]) => `• ${name}: ${entry.jobs} job • ${entry.pages} hal • Rp ${entry.cost.toLocaleString('id-ID')}`)
+                .join('\n') + '\n'
+            : '';
+
         const statsMessage = `
 📊 *Statistik Bot (Admin)*
 
 ⏱️ **Uptime:** ${uptimeHours}h ${uptimeMinutes}m
-🖨️ **Printer:** ${this.printerStatus.online ? '🟢 Online' : '🔴 Offline'}
+🖨️ **Printer Online:** ${this.printerManager.list().filter(printer => printer.status && printer.status.online).length}/${this.printerManager.list().length}
 📋 **Total Jobs:** ${totalJobs}
 ✅ **Berhasil:** ${completedJobs}
 ❌ **Gagal:** ${failedJobs}
 📄 **Total Halaman:** ${totalPages.toLocaleString('id-ID')}
 👥 **Active Users:** ${this.userStats.size}
-📋 **Antrian Aktif:** ${this.printQueue.size}
-
+📋 **Antrian Aktif:** ${this.jobQueue.size()}
+${costCenterText}
 💾 **Memory Usage:** ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB
 🔄 **Success Rate:** ${totalJobs > 0 ? Math.round((completedJobs / totalJobs) * 100) : 0}%
 
@@ -949,9 +4078,12 @@ Ketik nomor pilihan (1-5):`;
         jobs.forEach((job, index) => {
             const statusEmoji = {
                 'pending': '⏳',
+                'scheduled': '🕒',
+                'queued': '📥',
                 'printing': '🖨️',
                 'completed': '✅',
-                'failed': '❌'
+                'failed': '❌',
+                'cancelled': '🚫'
             };
 
             const userName = job.userNumber.substring(0, 4) + '****';
@@ -966,36 +4098,45 @@ Ketik nomor pilihan (1-5):`;
     }
 
     async checkPrinterStatus(message) {
-        await message.reply('🔍 Memeriksa status printer...');
-        
-        const isOnline = await this.checkPrinter();
-        
-        const statusMessage = `
-🖨️ *Status Printer*
+        await message.reply('🔍 Memeriksa status semua printer...');
+
+        await this.printerManager.checkAll();
+        await this.refreshPrinterCapabilities();
+
+        const printers = this.printerManager.list();
+        const onlineCount = printers.filter(printer => printer.status.online).length;
+        let statusMessage = `🖨️ *Status Printer (${onlineCount}/${printers.length} online)*\n`;
 
-🏷️ **Nama:** ${this.config.printSettings.printerName}
-📊 **Status:** ${isOnline ? '🟢 Online & Ready' : '🔴 Offline/Error'}
-⏰ **Last Check:** ${new Date(this.printerStatus.lastCheck).toLocaleString('id-ID')}
+        printers.forEach(printer => {
+            const isDefault = printer.id === this.printerManager.defaultId ? ' ⭐ default' : '';
 
-${isOnline ? '✅ Printer siap menerima print job.' : '❌ Periksa koneksi printer dan pastikan sudah menyala.'}`;
+            statusMessage += `\n🏷️ **${printer.name}** (${printer.id})${isDefault}\n`;
+            statusMessage += `🔌 Driver: ${printer.driver.type}\n`;
+            statusMessage += `📊 Status: ${printer.status.online ? '🟢 Online & Ready' : '🔴 Offline/Error'}\n`;
+            statusMessage += `💬 Info: ${printer.status.message || '-'}\n`;
+            statusMessage += `⚙️ ${this.formatPrinterCapabilities(printer.capabilities)}\n`;
+            statusMessage += `📥 Antrian: ${this.jobQueue.getJobs(printer.id).length} job(s)\n`;
+        });
+
+        statusMessage += `\n⏰ Last Check: ${new Date().toLocaleString('id-ID')}`;
 
         await message.reply(statusMessage);
     }
 
-    async testPrint(message) {
+    async testPrint(message, printerId = null) {
         try {
             const testContent = `
 WhatsApp Print Server - Test Print
 ===================================
 
 Tanggal: ${new Date().toLocaleString('id-ID')}
-Admin: ${message.from.replace('@c.us', '')}
+Admin: ${this.senderOf(message)}
 
 Test berhasil jika Anda dapat membaca teks ini.
 
-✅ Koneksi printer: OK
-✅ Sistem print: OK  
-✅ Bot WhatsApp: OK
+[OK] Koneksi printer
+[OK] Sistem print
+[OK] Bot WhatsApp
 
 ---
 Powered by Enhanced WhatsApp Print Bot
@@ -1003,12 +4144,20 @@ Powered by Enhanced WhatsApp Print Bot
 
             const testFilePath = path.join(__dirname, 'temp', `test_print_${Date.now()}.txt`);
             fs.writeFileSync(testFilePath, testContent);
+            const { pdfPath: testPdfPath } = await this.converter.toPdf(testFilePath, 'txt');
+
+            const printer = printerId ? this.printerManager.findByIdOrName(printerId) : this.printerManager.getDefault();
+            if (!printer) {
+                await message.reply('❌ Printer tidak ditemukan.');
+                return;
+            }
 
             const testJob = {
                 id: 'test_' + Date.now(),
-                fileName: 'test_print.txt',
-                filePath: testFilePath,
-                extension: 'txt',
+                printerId: printer.id,
+                fileName: 'test_print.pdf',
+                filePath: testPdfPath,
+                extension: 'pdf',
                 pageCount: 1,
                 copies: 1,
                 printOptions: {
@@ -1018,7 +4167,7 @@ Powered by Enhanced WhatsApp Print Bot
                 }
             };
 
-            await message.reply('🖨️ Mengirim test print...');
+            await message.reply(`🖨️ Mengirim test print ke ${printer.name}...`);
 
             const success = await this.executePrint(testJob);
 
@@ -1031,8 +4180,10 @@ Powered by Enhanced WhatsApp Print Bot
             }
 
             setTimeout(() => {
-                if (fs.existsSync(testFilePath)) {
-                    fs.unlinkSync(testFilePath);
+                for (const file of [testFilePath, testPdfPath]) {
+                    if (fs.existsSync(file)) {
+                        fs.unlinkSync(file);
+                    }
                 }
             }, 5000);
 
@@ -1044,10 +4195,11 @@ Powered by Enhanced WhatsApp Print Bot
 
     async sendConfigInfo(message) {
         const configInfo = `
-⚙️ *Konfigurasi Bot*
+⚙️ *Konfigurasi Bot* (versi ${this.config.version})
 
 🖨️ **Print Settings:**
-• Printer: ${this.config.printSettings.printerName}
+• Printer: ${this.printerManager.list().map(printer => `${printer.id} (${printer.driver.type})`).join(', ')}
+• Default Printer: ${this.printerManager.defaultId}
 • Max File Size: ${(this.config.printSettings.maxFileSize / 1024 / 1024).toFixed(1)}MB
 • Default Copies: ${this.config.printSettings.defaultCopies}
 • Auto Cleanup: ${this.config.printSettings.autoCleanup ? '✅' : '❌'}
@@ -1055,6 +4207,9 @@ Powered by Enhanced WhatsApp Print Bot
 👥 **Access Control:**
 • Allowed Users: ${this.config.printSettings.allowedUsers.length || 'All'}
 • Admin Numbers: ${this.config.bot.adminNumbers.length}
+• Roles: ${Object.keys(this.roles.roles).join(', ')} (default: ${this.roles.defaultRole})
+• Assigned Roles: ${Object.keys(this.roles.members()).length}
+• Groups: ${Object.keys(this.config.groups || {}).length} configured
 
 🔒 **Security:**
 • Rate Limit: ${this.config.security.enableRateLimit ? '✅' : '❌'}
@@ -1063,11 +4218,428 @@ Powered by Enhanced WhatsApp Print Bot
 
 📋 **Formats:** ${this.config.printSettings.allowedFormats.join(', ')}
 
-📝 Edit config.json untuk mengubah pengaturan.`;
+📝 Ubah dengan /admin config set <path> <nilai>, atau edit config.json (dimuat otomatis).`;
 
         await message.reply(configInfo);
     }
 
+    // Paths and values keep their case, so the raw message text is parsed
+    // here instead of the lowercased command.
+    async handleConfigCommand(message) {
+        const userNumber = this.senderOf(message);
+        const [, action = '', configPath = '', value = ''] = this.messageText(message, true)
+            .match(/^\S+\s+\S+\s*(\S*)\s*(\S*)\s*([\s\S]*)$/) || [];
+
+        switch (action.toLowerCase()) {
+            case '':
+                await this.sendConfigInfo(message);
+                break;
+
+            case 'get':
+                try {
+                    const current = this.configManager.get(configPath);
+                    await message.reply(`⚙️ *${configPath}*\n\n${this.formatConfigValue(current, 3000)}`);
+                } catch (error) {
+                    await message.reply(`❌ ${error.message}\n\nContoh: /admin config get printSettings.maxFileSize`);
+                }
+                break;
+
+            case 'set': {
+                if (!configPath || !value) {
+                    await message.reply('❌ Format: /admin config set <path> <nilai>\n\nContoh: /admin config set printSettings.maxFileSize 20MB');
+                    return;
+                }
+
+                let changes;
+                try {
+                    changes = this.configManager.set(configPath, value, userNumber);
+                } catch (error) {
+                    await message.reply(`❌ Perubahan ditolak.\n\n${this.describeConfigErrors(error)}`);
+                    return;
+                }
+
+                if (changes.length === 0) {
+                    await message.reply(`ℹ️ ${configPath} sudah bernilai ${this.formatConfigValue(this.configManager.get(configPath))}.`);
+                } else {
+                    await message.reply(`✅ Konfigurasi disimpan.\n\n${this.describeConfigChanges(changes)}`);
+                }
+                break;
+            }
+
+            case 'audit':
+                await this.sendConfigAudit(message, parseInt(configPath, 10) || 10);
+                break;
+
+            case 'reload':
+                await this.reloadConfig(message);
+                break;
+
+            default:
+                await message.reply(`❌ Subcommand tidak dikenal.\n\n${ADMIN_COMMANDS.filter(entry => entry.command === 'config').map(entry => `• ${entry.usage}`).join('\n')}`);
+        }
+    }
+
+    describeConfigErrors(error) {
+        return error instanceof ConfigError && error.errors.length > 0
+            ? error.errors.map(line => `• ${line}`).join('\n')
+            : error.message;
+    }
+
+    describeConfigChanges(changes) {
+        const lines = changes.map(change => `• ${change.path}: ${this.formatConfigValue(change.from)} → ${this.formatConfigValue(change.to)}`);
+        const restart = this.restartSectionsOf(changes);
+        if (restart.length > 0) {
+            lines.push('', `⚠️ Perubahan pada ${restart.join(', ')} berlaku setelah bot di-restart.`);
+        }
+        return lines.join('\n');
+    }
+
+    formatConfigValue(value, maxLength = 80) {
+        const text = value === undefined ? '(kosong)' : JSON.stringify(value, null, maxLength > 80 ? 2 : 0);
+        return text.length > maxLength ? `${text.slice(0, maxLength - 3)}...` : text;
+    }
+
+    async sendConfigAudit(message, limit) {
+        const entries = this.store.values('configAudit')
+            .sort((a, b) => b.at - a.at)
+            .slice(0, Math.min(limit, 50));
+
+        if (entries.length === 0) {
+            await message.reply('📜 Belum ada perubahan konfigurasi yang tercatat.');
+            return;
+        }
+
+        const sources = { command: 'WhatsApp', file: 'config.json' };
+        const blocks = entries.map(entry => {
+            const who = entry.by ? `${sources[entry.source]} oleh ${entry.by}` : sources[entry.source];
+            const changes = entry.changes.map(change => `   ${change.path}: ${this.formatConfigValue(change.from, 40)} → ${this.formatConfigValue(change.to, 40)}`);
+            return `🕒 ${new Date(entry.at).toLocaleString('id-ID')} — ${who}\n${changes.join('\n')}`;
+        });
+        await message.reply(`📜 *Riwayat Perubahan Konfigurasi*\n\n${blocks.join('\n\n')}`);
+    }
+
+    async sendBalance(message, userNumber) {
+        if (!this.isWalletEnabled()) {
+            await message.reply('ℹ️ Fitur saldo tidak aktif. Biaya print dibayar langsung di tempat.');
+            return;
+        }
+
+        const account = this.ledger.account(userNumber);
+        const recent = this.ledger.transactions(userNumber).slice(-5).reverse();
+
+        let balanceMessage = `👛 *Saldo Anda*\n\n💰 Tersedia: Rp ${account.available.toLocaleString('id-ID')}\n`;
+        if (account.reserved > 0) {
+            balanceMessage += `⏳ Ditahan untuk job aktif: Rp ${account.reserved.toLocaleString('id-ID')}\n`;
+        }
+
+        if (recent.length > 0) {
+            balanceMessage += '\n📜 *Transaksi terakhir:*\n';
+            recent.forEach(transaction => {
+                const job = transaction.jobId ? ` (job ${transaction.jobId})` : '';
+                balanceMessage += `• ${new Date(transaction.createdAt).toLocaleString('id-ID')} ${TRANSACTION_LABELS[transaction.type]} Rp ${transaction.amount.toLocaleString('id-ID')}${job}\n`;
+            });
+        }
+
+        balanceMessage += '\n💡 Hubungi admin untuk top up saldo.';
+        await message.reply(balanceMessage);
+    }
+
+    describeRolePolicy(policy) {
+        const permissions = policy.permissions.length > 0 ? policy.permissions.join(', ') : '-';
+        const printers = policy.printers ? policy.printers.join(', ') : 'semua printer';
+        return `🔑 ${permissions}\n   ${policy.color ? '🎨 Warna' : '⚫ Hitam putih saja'} • maks ${policy.maxCopies} salinan • 🖨️ ${printers}`;
+    }
+
+    async handleRoleCommand(message, number, role) {
+        if (!number) {
+            let roleMessage = '👥 *Role & Izin*\n\n';
+            Object.entries(this.roles.roles).forEach(([name, policy]) => {
+                roleMessage += `*${name}*${name === this.roles.defaultRole ? ' (default)' : ''}\n   ${this.describeRolePolicy(policy)}\n\n`;
+            });
+
+            const members = Object.entries(this.roles.members());
+            roleMessage += members.length > 0
+                ? `📋 *User dengan role khusus:*\n${members.map(([userNumber, name]) => `• ${userNumber}: ${name}`).join('\n')}`
+                : '📋 Belum ada user dengan role khusus.';
+            roleMessage += '\n\nUbah role: /admin role <nomor> <role|default>';
+            await message.reply(roleMessage);
+            return;
+        }
+
+        const userNumber = number.replace(/\D/g, '');
+        if (!userNumber) {
+            await message.reply('❌ Format: /admin role <nomor> <role|default>\nContoh: /admin role 6281234567890 operator');
+            return;
+        }
+
+        if (!role) {
+            const policy = this.roles.policy(userNumber);
+            await message.reply(policy
+                ? `👤 ${userNumber}: *${policy.name}*\n   ${this.describeRolePolicy(policy)}`
+                : `👤 ${userNumber}: *tanpa akses* (tidak ada di printSettings.allowedUsers)`);
+            return;
+        }
+
+        if (role !== 'default' && !this.roles.roles[role]) {
+            await message.reply(`❌ Role tidak dikenal. Pilihan: ${Object.keys(this.roles.roles).join(', ')}, default`);
+            return;
+        }
+        if (this.roles.adminNumbers.has(userNumber)) {
+            await message.reply('❌ Nomor ini terdaftar di bot.adminNumbers. Ubah lewat config.json.');
+            return;
+        }
+
+        const assigned = this.roles.assign(userNumber, role === 'default' ? null : role, this.senderOf(message));
+        await message.reply(`✅ Role ${userNumber} sekarang: *${assigned || 'tanpa akses'}*`);
+        if (assigned) {
+            await this.notifyUser(`${userNumber}@c.us`, `👤 Role Anda sekarang: *${assigned}*. Ketik /help untuk melihat perintah yang tersedia.`);
+        }
+    }
+
+    async topupBalance(message, number, amountText, note) {
+        const userNumber = (number || '').replace(/\D/g, '');
+        const amount = parseInt(amountText);
+
+        if (!userNumber || String(amount) !== amountText || amount === 0) {
+            await message.reply('❌ Format: /admin topup <nomor> <jumlah> [catatan]\nContoh: /admin topup 6281234567890 50000\nGunakan jumlah negatif untuk koreksi.');
+            return;
+        }
+
+        let transaction;
+        try {
+            transaction = this.ledger.topup(userNumber, amount, {
+                by: this.senderOf(message),
+                note: note || null
+            });
+        } catch (error) {
+            if (error.code === LedgerError.NEGATIVE_BALANCE) {
+                await message.reply(`❌ Top up gagal: saldo ${userNumber} tidak boleh menjadi negatif.`);
+                return;
+            }
+            this.log('error', 'Top up failed', { user: userNumber, amount, error: error.message });
+            await message.reply(`❌ Top up gagal: ${error.message}`);
+            return;
+        }
+
+        await message.reply(`✅ Saldo ${userNumber} ${amount > 0 ? 'ditambah' : 'dikurangi'} Rp ${Math.abs(amount).toLocaleString('id-ID')}.\n👛 Saldo sekarang: Rp ${transaction.available.toLocaleString('id-ID')}`);
+        await this.notifyUser(`${userNumber}@c.us`, `💰 Saldo Anda ${amount > 0 ? 'bertambah' : 'dikoreksi'} Rp ${Math.abs(amount).toLocaleString('id-ID')}.${note ? `\n📝 ${note}` : ''}\n\n👛 Saldo sekarang: Rp ${transaction.available.toLocaleString('id-ID')}`);
+    }
+
+    async sendQuota(message, userNumber) {
+        if (!this.quota.enabled) {
+            await message.reply('ℹ️ Kuota print tidak aktif. Anda bisa mencetak tanpa batas halaman.');
+            return;
+        }
+
+        const entries = this.quota.subjectsFor({ userNumber, role: this.roles.roleOf(userNumber), chatId: message.from })
+            .flatMap(subject => this.quota.remaining(subject));
+
+        if (entries.length === 0) {
+            await message.reply('🎫 Tidak ada batas kuota print untuk Anda.');
+            return;
+        }
+
+        let quotaMessage = '🎫 *Kuota Print*\n\n';
+        entries.forEach(entry => {
+            quotaMessage += `• ${this.describeQuotaEntry(entry)}\n`;
+        });
+        quotaMessage += '\n💡 Kuota dihitung per halaman (× salinan) dan per lembar kertas. Job yang gagal atau dibatalkan tidak mengurangi kuota.';
+        await message.reply(quotaMessage);
+    }
+
+    // Accepts a phone number or a group chat id (...@g.us).
+    quotaSubjectFrom(text) {
+        if (!text) return null;
+        if (text.endsWith('@g.us')) {
+            return { subject: this.quota.groupSubject(text), chatId: text };
+        }
+
+        const userNumber = text.replace(/\D/g, '');
+        if (!userNumber) return null;
+        return { subject: this.quota.userSubject(userNumber, this.roles.roleOf(userNumber)), chatId: `${userNumber}@c.us` };
+    }
+
+    async handleQuotaCommand(message, args) {
+        const action = ['grant', 'reset'].includes(args[0]) ? args[0] : 'show';
+        const target = this.quotaSubjectFrom(action === 'show' ? args[0] : args[1]);
+        const findKey = (labels, text) => Object.keys(labels).find(key => key === text || labels[key] === text);
+
+        if (!target) {
+            await message.reply('❌ Format:\n/admin quota <nomor|grup>\n/admin quota grant <nomor|grup> <jumlah> [halaman|lembar] [harian|mingguan|bulanan]\n/admin quota reset <nomor|grup> [harian|mingguan|bulanan]');
+            return;
+        }
+
+        const { subject, chatId } = target;
+        const name = subject.id.replace(/^(user|group):/, '');
+
+        if (action === 'grant') {
+            const amount = parseInt(args[2]);
+            const metric = args[3] ? findKey(QUOTA_METRIC_LABELS, args[3]) : 'pages';
+            const period = args[4] ? findKey(QUOTA_PERIOD_LABELS, args[4]) : 'monthly';
+
+            if (String(amount) !== args[2] || amount <= 0 || !metric || !period) {
+                await message.reply('❌ Format: /admin quota grant <nomor|grup> <jumlah> [halaman|lembar] [harian|mingguan|bulanan]\nContoh: /admin quota grant 6281234567890 50 halaman bulanan');
+                return;
+            }
+
+            this.quota.grant(subject.id, period, metric, amount);
+            await message.reply(`✅ Kuota ${QUOTA_PERIOD_LABELS[period]} ${name} ditambah ${amount} ${QUOTA_METRIC_LABELS[metric]} untuk periode ini.`);
+            await this.notifyUser(chatId, `🎫 Kuota print ${QUOTA_PERIOD_LABELS[period]} ${subject.type === 'group' ? 'grup ini' : 'Anda'} ditambah ${amount} ${QUOTA_METRIC_LABELS[metric]} oleh admin.`);
+            return;
+        }
+
+        if (action === 'reset') {
+            const period = args[2] ? findKey(QUOTA_PERIOD_LABELS, args[2]) : null;
+            if (args[2] && !period) {
+                await message.reply('❌ Periode harus harian, mingguan atau bulanan.');
+                return;
+            }
+
+            this.quota.reset(subject.id, period);
+            await message.reply(`✅ Pemakaian kuota ${period ? QUOTA_PERIOD_LABELS[period] : 'semua periode'} ${name} direset.`);
+            return;
+        }
+
+        const usage = this.quota.usage(subject.id);
+        const entries = this.quota.remaining(subject);
+
+        let quotaMessage = `🎫 *Kuota ${subject.type === 'group' ? 'Grup' : 'User'} ${name}*\n\n📊 *Pemakaian:*\n`;
+        QUOTA_PERIODS.forEach(period => {
+            const bonus = QUOTA_METRICS
+                .filter(metric => usage[period].bonus[metric] > 0)
+                .map(metric => `+${usage[period].bonus[metric]} ${QUOTA_METRIC_LABELS[metric]}`);
+            quotaMessage += `• ${QUOTA_PERIOD_LABELS[period]}: ${usage[period].pages} halaman / ${usage[period].sheets} lembar${bonus.length > 0 ? ` (bonus ${bonus.join(', ')})` : ''}\n`;
+        });
+
+        quotaMessage += '\n📏 *Batas:*\n';
+        quotaMessage += entries.length > 0
+            ? entries.map(entry => `• ${QUOTA_PERIOD_LABELS[entry.period]}: sisa ${entry.remaining} dari ${entry.limit} ${QUOTA_METRIC_LABELS[entry.metric]}`).join('\n')
+            : '• Tanpa batas';
+        if (!this.quota.enabled) {
+            quotaMessage += '\n\n⚠️ Kuota sedang nonaktif (quotas.enabled = false).';
+        }
+        await message.reply(quotaMessage);
+    }
+
+    async exportTransactions(message, number) {
+        const userNumber = number ? number.replace(/\D/g, '') : null;
+        const count = this.ledger.transactions(userNumber).length;
+
+        if (count === 0) {
+            await message.reply('📜 Belum ada transaksi saldo.');
+            return;
+        }
+
+        const exportPath = path.join(__dirname, 'temp', `transactions_${userNumber || 'all'}_${Date.now()}.csv`);
+        if (!fs.existsSync(path.dirname(exportPath))) {
+            fs.mkdirSync(path.dirname(exportPath), { recursive: true });
+        }
+        fs.writeFileSync(exportPath, this.ledger.exportCsv(userNumber));
+
+        try {
+            const media = MessageMedia.fromFilePath(exportPath);
+            await this.client.sendMessage(message.from, media, { caption: `📜 ${count} transaksi${userNumber ? ` untuk ${userNumber}` : ''}` });
+        } catch (error) {
+            this.log('error', 'Failed to send transaction export', { error: error.message });
+            await message.reply('❌ Gagal mengirim file export.');
+        } finally {
+            fs.unlinkSync(exportPath);
+        }
+    }
+
+    async sendPricingInfo(message) {
+        const lines = this.pricing.describe().map(line => `• ${line}`).join('\n');
+        await message.reply(`💰 *Tarif Print*\n\n${lines}\n\nUbah dengan /admin config set pricing.rates.bw 600, atau edit bagian \`pricing\` di config.json (dimuat otomatis).`);
+    }
+
+    async reloadPricing(message) {
+        if (await this.reloadConfig(message)) {
+            await this.sendPricingInfo(message);
+        }
+    }
+
+    // Applies config.json right away instead of waiting for the file
+    // watcher. Returns false when the file was rejected.
+    async reloadConfig(message) {
+        let changes;
+        try {
+            changes = this.configManager.reload('command', this.senderOf(message));
+        } catch (error) {
+            await message.reply(`❌ Gagal memuat ulang config.json, konfigurasi lama tetap dipakai.\n\n${this.describeConfigErrors(error)}`);
+            return false;
+        }
+
+        if (!changes || changes.length === 0) {
+            await message.reply('ℹ️ config.json tidak berubah sejak terakhir dimuat.');
+        } else {
+            await message.reply(`✅ config.json dimuat ulang.\n\n${this.describeConfigChanges(changes)}`);
+        }
+        return true;
+    }
+
+    async handleQuarantineCommand(message, action, id) {
+        const adminNumber = this.senderOf(message);
+
+        if (action === 'list') {
+            const entries = this.quarantine.list();
+            if (entries.length === 0) {
+                await message.reply('🛡️ Tidak ada file di karantina.');
+                return;
+            }
+
+            const lines = entries.slice(0, 20).map(entry => `🆔 *${entry.id}* • ${new Date(entry.quarantinedAt).toLocaleString('id-ID')}\n   👤 ${entry.userNumber} • 📄 ${entry.fileName} (${(entry.size / 1024).toFixed(0)}KB)\n${entry.reasons.map(reason => `   ⚠️ ${reason}`).join('\n')}`);
+            await message.reply(`🛡️ *File di Karantina (${entries.length})*\n\n${lines.join('\n\n')}\n\n/admin quarantine release <id> — loloskan & lanjutkan print\n/admin quarantine delete <id> — hapus file`);
+            return;
+        }
+
+        if (!['release', 'delete'].includes(action) || !id) {
+            await message.reply('❌ Format: /admin quarantine list | release <id> | delete <id>');
+            return;
+        }
+
+        if (action === 'delete') {
+            const entry = this.quarantine.delete(id, adminNumber);
+            if (!entry) {
+                await message.reply(`❌ File karantina ${id} tidak ditemukan.`);
+                return;
+            }
+            await message.reply(`🗑️ File karantina ${id} (${entry.fileName}) dihapus.`);
+            await this.notifyUser(entry.chatId, `❌ File *${entry.fileName}* ditolak admin setelah diperiksa dan sudah dihapus.`);
+            return;
+        }
+
+        let released;
+        try {
+            released = this.quarantine.release(id, adminNumber);
+        } catch (error) {
+            this.log('error', 'Failed to release quarantined file', { id, error: error.message });
+            await message.reply(`❌ Gagal meloloskan file ${id}: ${error.message}`);
+            return;
+        }
+        if (!released) {
+            await message.reply(`❌ File karantina ${id} tidak ditemukan.`);
+            return;
+        }
+
+        const { entry, buffer } = released;
+        await message.reply(`✅ File karantina ${id} (${entry.fileName}) diloloskan. User diminta mengonfirmasi print.`);
+
+        const notify = text => this.notifyUser(entry.chatId, text);
+        await notify(`✅ File *${entry.fileName}* sudah diperiksa admin dan boleh dicetak.`);
+        try {
+            await this.createPrintJobFromFile({
+                chatId: entry.chatId,
+                userNumber: entry.userNumber,
+                buffer,
+                extension: entry.extension,
+                originalName: entry.fileName
+            }, notify);
+        } catch (error) {
+            this.log('error', 'Released file processing error', { id, user: entry.userNumber, error: error.message });
+            await notify('❌ Terjadi kesalahan saat memproses file. Silakan kirim ulang.');
+        }
+    }
+
     async sendRecentLogs(message) {
         try {
             if (!fs.existsSync(this.logFile)) {
@@ -1191,9 +4763,15 @@ WhatsApp Print Server Bot`;
         await message.reply(formatsInfo);
     }
 
+    adminCommandHelp(userNumber) {
+        return ADMIN_COMMANDS
+            .filter(entry => this.roles.can(userNumber, `admin.${entry.command}`))
+            .map(entry => `• ${entry.usage} - ${entry.description}`)
+            .join('\n');
+    }
+
     async sendHelpMessage(message) {
-        const userNumber = message.from.replace('@c.us', '');
-        const isAdmin = this.isAdmin(userNumber);
+        const userNumber = this.senderOf(message);
 
         let helpMessage = `
 🤖 *Enhanced WhatsApp Print Server*
@@ -1208,8 +4786,17 @@ WhatsApp Print Server Bot`;
 • /help - Bantuan lengkap
 • /status - Status printer & sistem
 • /queue - Antrian print saat ini  
-• /cancel - Batalkan print job
+• /cancel [jobId] - Batalkan print job
+• /batch start|end|cancel - Gabungkan beberapa file jadi satu job
+• /jadwal <waktu>|tahan - Cetak job nanti atau tahan sampai /release
+• /release [jobId] - Cetak job yang ditahan/dijadwalkan sekarang
+• /url <link> - Print file dari link (juga Google Drive & Dropbox)
+• /text <teks> - Print teks (atau balas pesan dengan /print)
+• /settings - Pengaturan default print
+• /printer - Daftar & pilih printer
 • /history - Riwayat print Anda
+• /saldo - Saldo & transaksi Anda
+• /kuota - Sisa kuota print Anda
 • /formats - Format file yang didukung
 • /ping - Test koneksi bot
 
@@ -1221,25 +4808,21 @@ ${this.config.printSettings.allowedFormats.join(' • ')}
 🎯 **Fitur Canggih:**
 ✅ Deteksi halaman otomatis
 ✅ Analisis warna dokumen  
+✅ Gabung banyak file jadi satu print
 ✅ Estimasi biaya print
 ✅ Opsi print (duplex, kualitas, kertas)
+✅ Cetak foto: pas foto, 4R & lembar kontak
 ✅ Antrian & prioritas
 ✅ Riwayat & statistik
 ✅ Rate limiting & keamanan
 
 `;
 
-        if (isAdmin) {
+        const adminHelp = this.adminCommandHelp(userNumber);
+        if (adminHelp) {
             helpMessage += `
 👑 **Admin Commands:**
-• /admin stats - Statistik sistem
-• /admin users - Data pengguna
-• /admin queue - Detail antrian
-• /admin printer check - Cek printer
-• /admin printer test - Test print
-• /admin config - Info konfigurasi
-• /admin logs - Log sistem
-• /admin broadcast <msg> - Broadcast
+${adminHelp}
 
 `;
         }
@@ -1253,12 +4836,19 @@ ${this.config.printSettings.allowedFormats.join(' • ')}
         const printJob = this.printQueue.get(printJobId);
         if (printJob) {
             try {
-                if (fs.existsSync(printJob.filePath)) {
-                    fs.unlinkSync(printJob.filePath);
-                    this.log('info', 'Temp file deleted', { file: printJob.filePath });
+                const derivedFiles = printJob.sourceFilePath
+                    ? [this.derivedFilePath(printJob, 'pages'), this.derivedFilePath(printJob, 'layout')]
+                    : [];
+                const sourceFiles = (printJob.files || []).flatMap(file => [file.pdfPath, file.imagePath]);
+                for (const file of new Set([printJob.filePath, printJob.sourceFilePath, ...derivedFiles, ...sourceFiles].filter(Boolean))) {
+                    if (fs.existsSync(file)) {
+                        fs.unlinkSync(file);
+                        this.log('info', 'Temp file deleted', { file });
+                    }
                 }
                 
                 this.printQueue.delete(printJobId);
+                this.store.delete('jobs', printJobId);
                 this.log('info', 'Print job cleaned up', { jobId: printJobId });
                 
             } catch (error) {
@@ -1276,8 +4866,17 @@ ${this.config.printSettings.allowedFormats.join(' • ')}
             this.cleanupOldPrintJobs();
         }, 30 * 60 * 1000);
 
+        setInterval(() => {
+            this.expireUnpaidJobs();
+        }, 60 * 1000);
+
+        setInterval(() => {
+            this.releaseScheduledJobs();
+        }, 60 * 1000);
+
         setInterval(() => {
             this.checkPrinter();
+            this.refreshPrinterCapabilities();
         }, 10 * 60 * 1000);
 
         setInterval(() => {
@@ -1291,40 +4890,76 @@ ${this.config.printSettings.allowedFormats.join(' • ')}
 
     cleanupOldSessions() {
         const now = Date.now();
-        const timeout = 15 * 60 * 1000; 
+        const timeout = SESSION_TIMEOUT;
 
         let cleaned = 0;
         for (const [chatId, session] of this.userSessions) {
             if (now - session.lastActivity > timeout) {
+                if (session.pendingPdf) {
+                    this.discardPendingPdf(chatId, session.pendingPdf);
+                }
                 this.userSessions.delete(chatId);
                 cleaned++;
             }
         }
 
+        // A /batch the user walked away from.
+        for (const [sessionKey, batch] of this.batches) {
+            if (now - batch.lastActivity > timeout && batch.converting === 0) {
+                this.discardBatch(sessionKey);
+                cleaned++;
+            }
+        }
+
         if (cleaned > 0) {
             this.log('info', 'Old sessions cleaned', { count: cleaned });
         }
     }
 
+    // Finished jobs are kept for an hour after they finished; a scheduled job
+    // may have been created long before it ran. A pending job nobody
+    // confirmed is cancelled once no session offers it any more.
     cleanupOldPrintJobs() {
         const now = Date.now();
         const maxAge = 60 * 60 * 1000; 
+        const offered = new Set(Array.from(this.userSessions.values()).map(session => session.printJobId).filter(Boolean));
         
         let cleaned = 0;
         for (const [jobId, job] of this.printQueue) {
-            if (now - job.createdAt.getTime() > maxAge && 
-                (job.status === 'completed' || job.status === 'failed')) {
+            if (job.status === JobStatus.PENDING) {
+                const pendingSince = job.reopenedAt || job.createdAt;
+                if (offered.has(jobId) || now - pendingSince.getTime() <= SESSION_TIMEOUT) continue;
+
+                this.jobQueue.transition(job, JobStatus.CANCELLED);
+                this.log('info', 'Unconfirmed print job expired', { jobId, user: job.userNumber });
+                this.cleanupPrintJob(jobId);
+                cleaned++;
+                continue;
+            }
+
+            const finishedAt = job.completedAt || job.failedAt || job.cancelledAt || job.createdAt;
+            if (now - finishedAt.getTime() > maxAge && 
+                [JobStatus.COMPLETED, JobStatus.FAILED, JobStatus.CANCELLED].includes(job.status)) {
                 this.cleanupPrintJob(jobId);
                 cleaned++;
             }
         }
 
+        // Gateways stop retrying callbacks long before a week is over.
+        for (const [paymentId, record] of this.store.entries('payments')) {
+            if (now - record.createdAt > 7 * 24 * 60 * 60 * 1000) {
+                this.store.delete('payments', paymentId);
+            }
+        }
+
         if (cleaned > 0) {
             this.log('info', 'Old print jobs cleaned', { count: cleaned });
         }
     }
 
     saveStats() {
+        this.store.compact();
+
         try {
             const statsFile = path.join(__dirname, 'logs', 'stats.json');
             const stats = {
@@ -1370,13 +5005,13 @@ ${this.config.printSettings.allowedFormats.join(' • ')}
         console.log('🚀 Memulai Enhanced WhatsApp Print Server Bot...');
         console.log('===============================================');
         console.log(`📊 Konfigurasi dimuat: ${this.configPath}`);
-        console.log(`🖨️ Printer default: ${this.config.printSettings.printerName}`);
+        console.log(`🖨️ Printer: ${this.printerManager.list().length} (default: ${this.printerManager.defaultId})`);
         console.log(`👥 Admin numbers: ${this.config.bot.adminNumbers.length}`);
         console.log(`🔒 Security enabled: ${this.config.security.enableRateLimit}`);
         console.log('===============================================');
         
         this.log('info', 'Enhanced WhatsApp Print Bot started', {
-            config: this.config,
+            config: this.configManager.redacted(),
             version: '2.0.0',
             platform: process.platform
         });
@@ -1387,9 +5022,11 @@ ${this.config.printSettings.allowedFormats.join(' • ')}
         
         try {
             this.saveStats();
+            this.configManager.close();
             
             this.printQueue.clear();
             this.userSessions.clear();
+            this.batches.forEach(batch => clearTimeout(batch.timer));
             
             await this.client.destroy();
             
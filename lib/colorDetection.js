@@ -0,0 +1,474 @@
+const {
+    PDFName,
+    PDFArray,
+    PDFDict,
+    PDFNumber,
+    PDFBool,
+    PDFString,
+    PDFHexString,
+    PDFRawStream,
+    decodePDFRawStream
+} = require('pdf-lib');
+
+// Channel spread (0-1) below which a color counts as gray.
+const VECTOR_TOLERANCE = 0.02;
+// Pixel channel spread (0-255) and the share of such pixels that make an
+// image "color"; this ignores JPEG noise and the slight tint of scans.
+const PIXEL_TOLERANCE = 32;
+const MIN_COLOR_PIXEL_RATIO = 0.001;
+const MAX_PIXEL_SAMPLES = 20000;
+const MAX_FORM_DEPTH = 10;
+
+const GRAY = { kind: 'gray', components: 1 };
+const RGB = { kind: 'rgb', components: 3 };
+const CMYK = { kind: 'cmyk', components: 4 };
+const SPOT = { kind: 'color', components: 1 };
+
+const DEVICE_SPACES = {
+    DeviceGray: GRAY,
+    G: GRAY,
+    CalGray: GRAY,
+    DeviceRGB: RGB,
+    RGB,
+    CalRGB: RGB,
+    DeviceCMYK: CMYK,
+    CMYK,
+    Pattern: { kind: 'color', components: 0 }
+};
+
+const NEUTRAL_COLORANTS = ['Black', 'All', 'None'];
+
+function spread(values) {
+    return Math.max(...values) - Math.min(...values);
+}
+
+function lookup(context, object) {
+    return object ? context.lookup(object) : undefined;
+}
+
+function dictGet(context, dict, key) {
+    return dict instanceof PDFDict ? lookup(context, dict.get(PDFName.of(key))) : undefined;
+}
+
+function numberOf(context, dict, key, fallback) {
+    const value = dictGet(context, dict, key);
+    return value instanceof PDFNumber ? value.asNumber() : fallback;
+}
+
+function nameOf(object) {
+    return object instanceof PDFName ? object.decodeText() : null;
+}
+
+function streamBytes(stream) {
+    if (stream instanceof PDFRawStream) {
+        return decodePDFRawStream(stream).decode();
+    }
+    return stream.getUnencodedContents();
+}
+
+function filterNames(context, dict) {
+    const filter = dictGet(context, dict, 'Filter');
+    if (filter instanceof PDFArray) {
+        return filter.asArray().map(item => nameOf(lookup(context, item)));
+    }
+    return filter ? [nameOf(filter)] : [];
+}
+
+function describeColorSpace(context, object) {
+    object = lookup(context, object);
+
+    if (object instanceof PDFName) {
+        return DEVICE_SPACES[object.decodeText()] || SPOT;
+    }
+    if (!(object instanceof PDFArray) || object.size() === 0) {
+        return SPOT;
+    }
+
+    const family = nameOf(lookup(context, object.get(0)));
+    const parameter = lookup(context, object.get(1));
+
+    switch (family) {
+        case 'ICCBased': {
+            const count = numberOf(context, parameter && parameter.dict, 'N', 3);
+            return count === 1 ? GRAY : (count === 4 ? CMYK : RGB);
+        }
+        case 'CalGray':
+            return GRAY;
+        case 'CalRGB':
+            return RGB;
+        case 'Lab':
+            return { kind: 'lab', components: 3 };
+        case 'Indexed':
+        case 'I':
+            return describeIndexed(context, object);
+        case 'Separation':
+            return NEUTRAL_COLORANTS.includes(nameOf(parameter)) ? GRAY : SPOT;
+        case 'DeviceN': {
+            const colorants = parameter instanceof PDFArray ? parameter.asArray().map(nameOf) : [];
+            return colorants.length > 0 && colorants.every(name => NEUTRAL_COLORANTS.includes(name))
+                ? { kind: 'gray', components: colorants.length }
+                : { kind: 'color', components: colorants.length };
+        }
+        case 'Pattern':
+            return DEVICE_SPACES.Pattern;
+        default:
+            return SPOT;
+    }
+}
+
+// Indexed spaces are expanded into a list of palette entries that are colored.
+function describeIndexed(context, array) {
+    const base = describeColorSpace(context, array.get(1));
+    const table = lookup(context, array.get(3));
+
+    let bytes = null;
+    if (table instanceof PDFString || table instanceof PDFHexString) {
+        bytes = table.asBytes();
+    } else if (table && table.dict) {
+        bytes = streamBytes(table);
+    }
+
+    if (!bytes || base.kind === 'color' || base.kind === 'lab') {
+        return { kind: 'indexed', components: 1, colored: null };
+    }
+
+    const colored = new Set();
+    for (let index = 0; index * base.components < bytes.length; index++) {
+        const entry = Array.from(bytes.slice(index * base.components, (index + 1) * base.components)).map(value => value / 255);
+        if (!isGray(base, entry)) colored.add(index);
+    }
+    return { kind: 'indexed', components: 1, colored };
+}
+
+function isGray(space, values) {
+    switch (space.kind) {
+        case 'gray':
+            return true;
+        case 'rgb':
+            return values.length < 3 || spread(values.slice(0, 3)) <= VECTOR_TOLERANCE;
+        case 'cmyk':
+            return values.length < 4 || spread(values.slice(0, 3)) <= VECTOR_TOLERANCE;
+        case 'lab':
+            return values.length < 3 || (Math.abs(values[1]) <= 2 && Math.abs(values[2]) <= 2);
+        case 'indexed':
+            return space.colored ? !space.colored.has(Math.round(values[0] || 0)) : false;
+        default:
+            return false;
+    }
+}
+
+function jpegComponentCount(bytes) {
+    let offset = 2;
+    while (offset + 9 < bytes.length) {
+        if (bytes[offset] !== 0xFF) {
+            offset++;
+            continue;
+        }
+        const marker = bytes[offset + 1];
+        // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC).
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+            return bytes[offset + 9];
+        }
+        offset += 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+    }
+    return null;
+}
+
+// Undoes PNG row predictors (Predictor >= 10) on decoded image data.
+function unpredict(data, columns, colors, bitsPerComponent) {
+    const pixelBytes = Math.max(1, Math.ceil((colors * bitsPerComponent) / 8));
+    const rowBytes = Math.ceil((columns * colors * bitsPerComponent) / 8);
+    const rows = Math.floor(data.length / (rowBytes + 1));
+    const output = new Uint8Array(rows * rowBytes);
+
+    for (let row = 0; row < rows; row++) {
+        const type = data[row * (rowBytes + 1)];
+        const input = row * (rowBytes + 1) + 1;
+        const start = row * rowBytes;
+
+        for (let i = 0; i < rowBytes; i++) {
+            const left = i >= pixelBytes ? output[start + i - pixelBytes] : 0;
+            const up = row > 0 ? output[start - rowBytes + i] : 0;
+            const upLeft = row > 0 && i >= pixelBytes ? output[start - rowBytes + i - pixelBytes] : 0;
+            let predicted = 0;
+
+            if (type === 1) predicted = left;
+            else if (type === 2) predicted = up;
+            else if (type === 3) predicted = (left + up) >> 1;
+            else if (type === 4) {
+                const estimate = left + up - upLeft;
+                const distances = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+                predicted = distances[0] <= distances[1] && distances[0] <= distances[2] ? left : (distances[1] <= distances[2] ? up : upLeft);
+            }
+            output[start + i] = (data[input + i] + predicted) & 0xFF;
+        }
+    }
+    return output;
+}
+
+function imageHasColor(context, stream) {
+    const dict = stream.dict;
+    const imageMask = dictGet(context, dict, 'ImageMask');
+    if (imageMask instanceof PDFBool && imageMask.asBoolean()) {
+        // Stencil masks paint with the fill color, which is checked separately.
+        return false;
+    }
+
+    const space = describeColorSpace(context, dictGet(context, dict, 'ColorSpace') || PDFName.of('DeviceGray'));
+    if (space.kind === 'gray') return false;
+    if (space.kind === 'color' || space.kind === 'lab') return true;
+    if (space.kind === 'indexed' && space.colored && space.colored.size === 0) return false;
+
+    const filters = filterNames(context, dict);
+    if (filters.includes('DCTDecode')) {
+        // Baseline JPEG pixels cannot be decoded here; a single-channel
+        // JPEG is grayscale, anything else is assumed to be color.
+        return filters.length === 1 ? jpegComponentCount(stream.contents) !== 1 : true;
+    }
+    if (filters.includes('JPXDecode')) {
+        return true;
+    }
+
+    const width = numberOf(context, dict, 'Width', 0);
+    const height = numberOf(context, dict, 'Height', 0);
+    const bitsPerComponent = numberOf(context, dict, 'BitsPerComponent', 8);
+
+    if (bitsPerComponent !== 8 || width === 0 || height === 0) {
+        return true;
+    }
+
+    let data = streamBytes(stream);
+    const params = dictGet(context, dict, 'DecodeParms');
+    const predictor = numberOf(context, params instanceof PDFArray ? lookup(context, params.get(0)) : params, 'Predictor', 1);
+    if (predictor >= 10) {
+        data = unpredict(data, width, space.components, bitsPerComponent);
+    } else if (predictor === 2) {
+        return true;
+    }
+
+    const pixels = Math.min(width * height, Math.floor(data.length / space.components));
+    const step = Math.max(1, Math.floor(pixels / MAX_PIXEL_SAMPLES));
+    let sampled = 0;
+    let colored = 0;
+
+    for (let pixel = 0; pixel < pixels; pixel += step) {
+        const offset = pixel * space.components;
+        sampled++;
+
+        if (space.kind === 'indexed') {
+            if (!space.colored || space.colored.has(data[offset])) colored++;
+        } else if (spread(Array.from(data.slice(offset, offset + 3))) > PIXEL_TOLERANCE) {
+            colored++;
+        }
+    }
+
+    return sampled > 0 && colored / sampled >= MIN_COLOR_PIXEL_RATIO;
+}
+
+const DELIMITERS = new Set(['(', ')', '<', '>', '[', ']', '{', '}', '/', '%']);
+const WHITESPACE = new Set([' ', '\n', '\r', '\t', '\f', '\0']);
+
+// Yields numbers, names ({ name }) and operators ({ op }) from a content
+// stream. Strings, arrays and dictionaries are reduced to placeholders.
+function* tokenize(source) {
+    let i = 0;
+    const length = source.length;
+
+    while (i < length) {
+        const char = source[i];
+
+        if (WHITESPACE.has(char)) {
+            i++;
+        } else if (char === '%') {
+            while (i < length && source[i] !== '\n' && source[i] !== '\r') i++;
+        } else if (char === '(') {
+            let depth = 0;
+            for (; i < length; i++) {
+                if (source[i] === '\\') i++;
+                else if (source[i] === '(') depth++;
+                else if (source[i] === ')' && --depth === 0) break;
+            }
+            i++;
+            yield { value: null };
+        } else if (source.startsWith('<<', i) || source.startsWith('>>', i)) {
+            i += 2;
+        } else if (char === '<') {
+            i = source.indexOf('>', i) + 1 || length;
+            yield { value: null };
+        } else if (char === '[' || char === ']' || char === '{' || char === '}') {
+            i++;
+        } else if (char === '/') {
+            let end = i + 1;
+            while (end < length && !WHITESPACE.has(source[end]) && !DELIMITERS.has(source[end])) end++;
+            yield { name: source.slice(i + 1, end) };
+            i = end;
+        } else {
+            let end = i;
+            while (end < length && !WHITESPACE.has(source[end]) && !DELIMITERS.has(source[end])) end++;
+            if (end === i) end++;
+
+            const word = source.slice(i, end);
+            i = end;
+
+            if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+                yield { value: parseFloat(word) };
+            } else if (word === 'ID') {
+                // Skip binary inline image data up to the closing EI.
+                const match = /\sEI(?=[\s]|$)/g;
+                match.lastIndex = i;
+                const found = match.exec(source);
+                i = found ? found.index + found[0].length : length;
+                yield { op: 'EI' };
+            } else {
+                yield { op: word };
+            }
+        }
+    }
+}
+
+class ContentScanner {
+    constructor(context) {
+        this.context = context;
+        this.imageCache = new Map();
+    }
+
+    resolveSpace(name, resources) {
+        if (DEVICE_SPACES[name]) return DEVICE_SPACES[name];
+        const spaces = dictGet(this.context, resources, 'ColorSpace');
+        return describeColorSpace(this.context, dictGet(this.context, spaces, name));
+    }
+
+    imageHasColor(stream) {
+        if (!this.imageCache.has(stream)) {
+            let result;
+            try {
+                result = imageHasColor(this.context, stream);
+            } catch (error) {
+                result = true;
+            }
+            this.imageCache.set(stream, result);
+        }
+        return this.imageCache.get(stream);
+    }
+
+    // Returns true as soon as any non-gray color is set or painted.
+    scan(contents, resources, depth = 0) {
+        const source = Buffer.from(contents).toString('latin1');
+        const states = [];
+        let state = { fill: GRAY, stroke: GRAY };
+        let operands = [];
+
+        for (const token of tokenize(source)) {
+            if (!token.op) {
+                operands.push(token);
+                continue;
+            }
+
+            const numbers = operands.filter(operand => typeof operand.value === 'number').map(operand => operand.value);
+            const names = operands.filter(operand => operand.name !== undefined).map(operand => operand.name);
+            operands = [];
+
+            switch (token.op) {
+                case 'q':
+                    states.push({ ...state });
+                    break;
+                case 'Q':
+                    state = states.pop() || state;
+                    break;
+                case 'g':
+                    state.fill = GRAY;
+                    break;
+                case 'G':
+                    state.stroke = GRAY;
+                    break;
+                case 'rg':
+                case 'RG':
+                    if (token.op === 'rg') state.fill = RGB;
+                    else state.stroke = RGB;
+                    if (!isGray(RGB, numbers)) return true;
+                    break;
+                case 'k':
+                case 'K':
+                    if (token.op === 'k') state.fill = CMYK;
+                    else state.stroke = CMYK;
+                    if (!isGray(CMYK, numbers)) return true;
+                    break;
+                case 'cs':
+                    state.fill = this.resolveSpace(names[0], resources);
+                    break;
+                case 'CS':
+                    state.stroke = this.resolveSpace(names[0], resources);
+                    break;
+                case 'sc':
+                case 'scn':
+                case 'SC':
+                case 'SCN': {
+                    const space = token.op.startsWith('s') ? state.fill : state.stroke;
+                    if (names.length > 0 || !isGray(space, numbers)) return true;
+                    break;
+                }
+                case 'sh': {
+                    const shadings = dictGet(this.context, resources, 'Shading');
+                    const shading = dictGet(this.context, shadings, names[0]);
+                    const dict = shading && shading.dict ? shading.dict : shading;
+                    const space = describeColorSpace(this.context, dictGet(this.context, dict, 'ColorSpace'));
+                    if (space.kind !== 'gray') return true;
+                    break;
+                }
+                case 'EI': {
+                    // Operands are the inline image dictionary, e.g. /W 8 /H 8 /CS /RGB.
+                    const key = names.findIndex(name => name === 'CS' || name === 'ColorSpace');
+                    if (key !== -1 && this.resolveSpace(names[key + 1], resources).kind !== 'gray') return true;
+                    break;
+                }
+                case 'Do': {
+                    const xObjects = dictGet(this.context, resources, 'XObject');
+                    const xObject = dictGet(this.context, xObjects, names[0]);
+                    if (!xObject || !xObject.dict) break;
+
+                    const subtype = nameOf(dictGet(this.context, xObject.dict, 'Subtype'));
+                    if (subtype === 'Image' && this.imageHasColor(xObject)) return true;
+                    if (subtype === 'Form' && depth < MAX_FORM_DEPTH) {
+                        const formResources = dictGet(this.context, xObject.dict, 'Resources') || resources;
+                        if (this.scan(streamBytes(xObject), formResources, depth + 1)) return true;
+                    }
+                    break;
+                }
+            }
+        }
+        return false;
+    }
+}
+
+function pageContents(context, page) {
+    const contents = lookup(context, page.node.Contents());
+    if (!contents) return new Uint8Array(0);
+
+    const streams = contents instanceof PDFArray ? contents.asArray().map(ref => lookup(context, ref)) : [contents];
+    const parts = streams.filter(Boolean).map(stream => Buffer.from(streamBytes(stream)));
+    return Buffer.concat(parts.flatMap(part => [part, Buffer.from('\n')]));
+}
+
+// Returns the 1-based numbers of pages that contain non-gray content.
+// Pages that cannot be analysed are reported as color.
+function detectColorPages(pdfDoc, log = () => {}) {
+    const context = pdfDoc.context;
+    const scanner = new ContentScanner(context);
+    const colorPages = [];
+
+    pdfDoc.getPages().forEach((page, index) => {
+        try {
+            const resources = lookup(context, page.node.getInheritableAttribute(PDFName.of('Resources')));
+            if (scanner.scan(pageContents(context, page), resources)) {
+                colorPages.push(index + 1);
+            }
+        } catch (error) {
+            log('warn', 'Color analysis failed for page', { page: index + 1, error: error.message });
+            colorPages.push(index + 1);
+        }
+    });
+
+    return colorPages;
+}
+
+module.exports = { detectColorPages };
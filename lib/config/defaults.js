@@ -0,0 +1,173 @@
+const { CONFIG_VERSION } = require('./migrations');
+
+// The configuration used when config.json is missing, and the base every
+// loaded config.json is merged onto. setup.js writes this same shape.
+function defaultConfig() {
+    return {
+        version: CONFIG_VERSION,
+        printSettings: {
+            allowedFormats: ['.pdf', '.doc', '.docx', '.jpg', '.jpeg', '.png', '.txt'],
+            maxFileSize: 10485760,
+            defaultCopies: 1,
+            allowedUsers: [],
+            autoCleanup: true,
+            cleanupInterval: 1800000,
+            jobTracking: {
+                enabled: true,
+                pollInterval: 5000,
+                timeout: 1800000
+            },
+            batching: {
+                enabled: true,
+                window: 4000,
+                maxFiles: 20
+            },
+            scheduling: {
+                enabled: true,
+                maxDaysAhead: 7,
+                holdTimeout: 86400000
+            }
+        },
+        printers: [
+            {
+                id: 'default',
+                name: 'Printer Utama',
+                driver: 'auto',
+                printerName: 'default',
+                printerUri: '',
+                outputDir: 'output',
+                default: true,
+                capabilities: {
+                    paperSizes: ['A4', 'A3', 'Letter'],
+                    qualities: ['draft', 'normal', 'high'],
+                    duplex: true,
+                    color: true
+                }
+            }
+        ],
+        pricing: {
+            rates: {
+                bw: 500,
+                color: 2000
+            },
+            paperSizes: {
+                A3: {
+                    bw: 1000,
+                    color: 4000
+                }
+            },
+            qualityMultipliers: {
+                draft: 0.8,
+                normal: 1,
+                high: 1.5
+            },
+            duplexDiscount: 0,
+            volumeTiers: [],
+            minimumCharge: 0,
+            printers: {}
+        },
+        bot: {
+            adminNumbers: [],
+            userRoles: {},
+            enableLogging: true,
+            responseLanguage: 'id'
+        },
+        security: {
+            enableRateLimit: true,
+            maxRequestsPerHour: 50,
+            enableFileValidation: true,
+            quarantineEnabled: false,
+            quarantineDir: 'quarantine',
+            clamav: {
+                enabled: false,
+                socket: '',
+                host: '127.0.0.1',
+                port: 3310,
+                timeout: 30000,
+                failClosed: false
+            }
+        },
+        storage: {
+            dataDir: 'data',
+            compactThreshold: 1000
+        },
+        conversion: {
+            libreOfficePath: '',
+            qpdfPath: '',
+            timeout: 120000
+        },
+        downloads: {
+            enabled: true,
+            timeout: 30000,
+            totalTimeout: 120000,
+            maxRedirects: 5,
+            renderPages: true,
+            allowPrivateNetworks: false
+        },
+        thumbnails: {
+            enabled: true,
+            pdftoppmPath: '',
+            width: 480
+        },
+        wallet: {
+            enabled: false
+        },
+        groups: {},
+        access: {
+            defaultRole: 'member',
+            roles: {
+                admin: {
+                    permissions: ['*'],
+                    color: true,
+                    maxCopies: 10,
+                    printers: null
+                },
+                operator: {
+                    permissions: ['print', 'jobs.manage', 'ratelimit.bypass', 'admin.stats', 'admin.users', 'admin.queue', 'admin.printer', 'admin.quota', 'admin.logs'],
+                    color: true,
+                    maxCopies: 10,
+                    printers: null
+                },
+                member: {
+                    permissions: ['print'],
+                    color: true,
+                    maxCopies: 10,
+                    printers: null
+                },
+                guest: {
+                    permissions: ['print'],
+                    color: false,
+                    maxCopies: 1,
+                    printers: null
+                }
+            }
+        },
+        quotas: {
+            enabled: false,
+            roles: {
+                member: {},
+                admin: {}
+            },
+            users: {},
+            groups: {}
+        },
+        payments: {
+            enabled: false,
+            provider: 'mock',
+            webhookSecret: '',
+            expiryMinutes: 15,
+            publicUrl: '',
+            webhook: {
+                host: '127.0.0.1',
+                port: 3001,
+                path: '/payments/webhook'
+            },
+            mock: {
+                autoPayAfter: 0,
+                allowPayLink: false
+            }
+        }
+    };
+}
+
+module.exports = { defaultConfig };
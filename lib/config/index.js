@@ -0,0 +1,259 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { defaultConfig } = require('./defaults');
+const { migrate, CONFIG_VERSION } = require('./migrations');
+const { validateConfig, specAt, parseValue } = require('./schema');
+
+const RELOAD_DEBOUNCE_MS = 300;
+
+class ConfigError extends Error {
+    constructor(message, errors = []) {
+        super(errors.length > 0 ? `${message}:\n- ${errors.join('\n- ')}` : message);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Objects merge key by key; arrays and scalars from `override` replace the base.
+function mergeConfig(base, override) {
+    if (!isPlainObject(base) || !isPlainObject(override)) {
+        return override === undefined ? base : override;
+    }
+    const merged = { ...base };
+    Object.entries(override).forEach(([key, value]) => {
+        merged[key] = mergeConfig(base[key], value);
+    });
+    return merged;
+}
+
+function splitPath(configPath) {
+    const segments = String(configPath || '').split('.').filter(Boolean);
+    if (segments.length === 0) throw new Error('config path is empty');
+    return segments;
+}
+
+function valueAt(config, segments) {
+    return segments.reduce((value, segment) => (value === undefined || value === null ? undefined : value[segment]), config);
+}
+
+// A setting is secret when it or any section above it is marked secret.
+function isSecret(segments) {
+    return segments.some((segment, index) => {
+        const spec = specAt(segments.slice(0, index + 1));
+        return Boolean(spec && spec.secret);
+    });
+}
+
+// Masks every secret in `value`, the setting at `segments`, however deep.
+function redact(segments, value) {
+    if (isSecret(segments)) return value ? '***' : value;
+    if (Array.isArray(value)) {
+        return value.map((item, index) => redact([...segments, String(index)], item));
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redact([...segments, key], item)]));
+    }
+    return value;
+}
+
+// Leaf-level differences as [{ path, from, to }]; arrays compare as a whole.
+function diffConfig(previous, next, segments = []) {
+    if (isPlainObject(previous) && isPlainObject(next)) {
+        const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+        return [...keys].flatMap(key => diffConfig(previous[key], next[key], [...segments, key]));
+    }
+    if (JSON.stringify(previous) === JSON.stringify(next)) return [];
+    return [{
+        path: segments.join('.'),
+        from: redact(segments, previous),
+        to: redact(segments, next)
+    }];
+}
+
+// Owns config.json: migrates older shapes, merges onto the defaults,
+// validates, and re-reads the file whenever it changes on disk. Emits
+// 'change' with { config, previous, changes, source, by } after every
+// accepted update and 'invalid' with { errors, source } when an edit is
+// rejected (the previous config stays active).
+class ConfigManager extends EventEmitter {
+    constructor(configPath, log = () => {}) {
+        super();
+        this.configPath = configPath;
+        this.log = log;
+        this.config = null;
+        this.text = null;
+        this.migration = null;
+        this.watcher = null;
+        this.reloadTimer = null;
+    }
+
+    // Returns { config, file, text, migration } without applying anything.
+    read() {
+        if (!fs.existsSync(this.configPath)) {
+            const config = defaultConfig();
+            return { config, file: null, text: null, migration: null };
+        }
+
+        const text = fs.readFileSync(this.configPath, 'utf8');
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new ConfigError(`${path.basename(this.configPath)} is not valid JSON`, [error.message]);
+        }
+
+        let migration;
+        try {
+            migration = migrate(parsed);
+        } catch (error) {
+            throw new ConfigError(`Cannot migrate ${path.basename(this.configPath)}`, [error.message]);
+        }
+
+        const config = mergeConfig(defaultConfig(), migration.config);
+        const errors = validateConfig(config);
+        if (errors.length > 0) {
+            throw new ConfigError(`${path.basename(this.configPath)} is invalid`, errors);
+        }
+        return { config, file: migration.config, text, migration };
+    }
+
+    // Initial load. Files written for an older version are upgraded in
+    // place; the original is kept next to it as config.json.v<version>.bak
+    // and `this.migration` tells the caller what was applied.
+    load() {
+        const { config, file, text, migration } = this.read();
+
+        if (migration && migration.applied.length > 0) {
+            fs.writeFileSync(`${this.configPath}.v${migration.from}.bak`, text);
+            this.write(file);
+            this.migration = migration;
+        } else {
+            this.text = text;
+        }
+
+        this.config = config;
+        return config;
+    }
+
+    write(file) {
+        this.text = `${JSON.stringify(file, null, 2)}\n`;
+        fs.writeFileSync(this.configPath, this.text);
+    }
+
+    watch() {
+        if (this.watcher) return;
+
+        // Editors often replace the file instead of writing to it, so the
+        // directory is watched rather than the file itself.
+        const fileName = path.basename(this.configPath);
+        this.watcher = fs.watch(path.dirname(this.configPath), (eventType, changed) => {
+            if (changed && changed !== fileName) return;
+            clearTimeout(this.reloadTimer);
+            this.reloadTimer = setTimeout(() => this.reload('file'), RELOAD_DEBOUNCE_MS);
+        });
+        this.watcher.on('error', (error) => this.log('error', 'Config watcher failed', { error: error.message }));
+    }
+
+    close() {
+        clearTimeout(this.reloadTimer);
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    // Re-reads config.json. Returns the list of changes, or null when the
+    // file is unchanged. Throws ConfigError (after emitting 'invalid') when
+    // the file cannot be used.
+    reload(source = 'file', by = null) {
+        let result;
+        try {
+            if (fs.existsSync(this.configPath) && fs.readFileSync(this.configPath, 'utf8') === this.text) {
+                return null;
+            }
+            result = this.read();
+        } catch (error) {
+            const errors = error instanceof ConfigError ? error.errors : [error.message];
+            this.log('warn', 'Config reload rejected', { source, errors });
+            this.emit('invalid', { errors, source, by });
+            if (source === 'file') return null;
+            throw error;
+        }
+
+        this.text = result.text;
+        return this.apply(result.config, source, by);
+    }
+
+    // The whole active config with its secrets masked, e.g. for logs.
+    redacted() {
+        return redact([], this.config);
+    }
+
+    get(configPath) {
+        const segments = splitPath(configPath);
+        if (!specAt(segments)) throw new Error(`unknown setting "${configPath}"`);
+        return redact(segments, valueAt(this.config, segments));
+    }
+
+    // Parses `input` for the setting at `configPath`, validates the whole
+    // config with it and writes config.json. Returns the list of changes.
+    set(configPath, input, by = null) {
+        const segments = splitPath(configPath);
+        const spec = specAt(segments);
+        if (!spec) throw new Error(`unknown setting "${configPath}"`);
+        if (segments[0] === 'version') throw new Error('"version" is managed by the bot');
+
+        const value = parseValue(spec, input);
+        const { file } = this.read();
+        const target = file || defaultConfig();
+
+        // Sections missing from config.json start from the active values.
+        let node = target;
+        segments.slice(0, -1).forEach((segment, index) => {
+            if (node[segment] === undefined || node[segment] === null) {
+                const current = valueAt(this.config, segments.slice(0, index + 1));
+                node[segment] = current === undefined ? {} : JSON.parse(JSON.stringify(current));
+            }
+            node = node[segment];
+        });
+        if (Array.isArray(node) && Number(segments[segments.length - 1]) > node.length) {
+            throw new Error(`${segments.slice(0, -1).join('.')} has only ${node.length} item(s)`);
+        }
+        node[segments[segments.length - 1]] = value;
+
+        const config = mergeConfig(defaultConfig(), target);
+        const errors = validateConfig(config);
+        if (errors.length > 0) {
+            throw new ConfigError('Change rejected', errors);
+        }
+
+        this.write(target);
+        return this.apply(config, 'command', by);
+    }
+
+    apply(config, source, by) {
+        const previous = this.config;
+        const changes = diffConfig(previous, config);
+        if (changes.length === 0) return changes;
+
+        this.config = config;
+        this.log('info', 'Config updated', { source, by, changes: changes.map(change => change.path) });
+        this.emit('change', { config, previous, changes, source, by });
+        return changes;
+    }
+}
+
+module.exports = {
+    ConfigManager,
+    ConfigError,
+    defaultConfig,
+    migrate,
+    validateConfig,
+    diffConfig,
+    CONFIG_VERSION
+};
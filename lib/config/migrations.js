@@ -0,0 +1,69 @@
+// Each migration upgrades a config from `version - 1` to `version`.
+// config.json files without a `version` (the original setup.js shape,
+// with a single printer configured in printSettings) are version 0.
+const LEGACY_PRINTER_KEYS = ['printerName', 'driver', 'printerUri', 'outputDir', 'capabilities'];
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'move the printSettings printer into printers[]',
+        up(config) {
+            const printSettings = config.printSettings || {};
+            const hasPrinters = Array.isArray(config.printers) && config.printers.length > 0;
+
+            if (!hasPrinters && LEGACY_PRINTER_KEYS.some(key => printSettings[key] !== undefined)) {
+                const printer = {
+                    id: 'default',
+                    name: printSettings.printerName || 'default',
+                    driver: printSettings.driver || 'auto',
+                    printerName: printSettings.printerName || 'default',
+                    printerUri: printSettings.printerUri || '',
+                    default: true
+                };
+                if (printSettings.outputDir) printer.outputDir = printSettings.outputDir;
+                if (printSettings.capabilities) printer.capabilities = printSettings.capabilities;
+                config.printers = [printer];
+            }
+            LEGACY_PRINTER_KEYS.forEach(key => delete printSettings[key]);
+        }
+    },
+    {
+        version: 2,
+        description: 'move printers[].costs into pricing.printers',
+        up(config) {
+            (config.printers || []).forEach(printer => {
+                if (!printer.costs) return;
+
+                config.pricing = config.pricing || {};
+                config.pricing.printers = config.pricing.printers || {};
+                const override = config.pricing.printers[printer.id] || {};
+                override.rates = { ...printer.costs, ...(override.rates || {}) };
+                config.pricing.printers[printer.id] = override;
+                delete printer.costs;
+            });
+        }
+    }
+];
+
+const CONFIG_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Returns { config, from, applied } without touching the input object.
+function migrate(input) {
+    const config = JSON.parse(JSON.stringify(input));
+    const from = Number.isInteger(config.version) ? config.version : 0;
+
+    if (from > CONFIG_VERSION) {
+        throw new Error(`config version ${from} is newer than this bot supports (${CONFIG_VERSION})`);
+    }
+
+    const applied = [];
+    MIGRATIONS.filter(migration => migration.version > from).forEach(migration => {
+        migration.up(config);
+        config.version = migration.version;
+        applied.push(`v${migration.version}: ${migration.description}`);
+    });
+
+    return { config, from, applied };
+}
+
+module.exports = { migrate, MIGRATIONS, CONFIG_VERSION };
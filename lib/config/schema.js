@@ -0,0 +1,378 @@
+const PricingEngine = require('../pricing');
+const { DEFAULT_ROLES } = require('../roles');
+
+const string = (options = {}) => ({ type: 'string', ...options });
+const number = (options = {}) => ({ type: 'number', ...options });
+const integer = (options = {}) => ({ type: 'number', integer: true, ...options });
+const boolean = () => ({ type: 'boolean' });
+const array = (items, options = {}) => ({ type: 'array', items, ...options });
+const object = (properties, options = {}) => ({ type: 'object', properties, ...options });
+// Objects keyed by ids, phone numbers or names chosen by the user.
+const map = (values) => ({ type: 'object', properties: {}, values });
+const nullable = (spec) => ({ ...spec, nullable: true });
+
+const phoneNumber = string({ pattern: /^\d+$/, hint: 'digits only with country code, e.g. 6281234567890' });
+const duration = (min = 0) => integer({ min, unit: 'ms' });
+
+const quotaLimits = object({
+    daily: object({ pages: nullable(integer({ min: 0 })), sheets: nullable(integer({ min: 0 })) }),
+    weekly: object({ pages: nullable(integer({ min: 0 })), sheets: nullable(integer({ min: 0 })) }),
+    monthly: object({ pages: nullable(integer({ min: 0 })), sheets: nullable(integer({ min: 0 })) })
+});
+
+const rates = object({ bw: number({ min: 0 }), color: number({ min: 0 }) });
+
+const SCHEMA = object({
+    version: integer({ min: 0 }),
+    printSettings: object({
+        allowedFormats: array(string({ pattern: /^\.[a-z0-9]+$/, hint: 'e.g. ".pdf"' }), { minItems: 1 }),
+        maxFileSize: integer({ min: 1024, unit: 'bytes' }),
+        defaultCopies: integer({ min: 1, max: 10 }),
+        allowedUsers: array(phoneNumber),
+        autoCleanup: boolean(),
+        cleanupInterval: duration(60000),
+        jobTracking: object({
+            enabled: boolean(),
+            pollInterval: duration(500),
+            timeout: duration(10000)
+        }),
+        batching: object({
+            enabled: boolean(),
+            window: duration(500),
+            maxFiles: integer({ min: 1, max: 100 })
+        }),
+        scheduling: object({
+            enabled: boolean(),
+            maxDaysAhead: integer({ min: 1, max: 31 }),
+            holdTimeout: duration(60000)
+        })
+    }),
+    // Drivers read extra keys of their own (cupsUri, ...), so printers stay open.
+    printers: array(object({
+        id: string({ required: true, pattern: /^[\w-]+$/, hint: 'letters, digits, "_" or "-"' }),
+        name: string(),
+        driver: string({ enum: ['auto', 'cups', 'windows', 'ipp', 'virtual'] }),
+        printerName: string(),
+        printerUri: string(),
+        outputDir: string(),
+        default: boolean(),
+        capabilities: object({
+            paperSizes: array(string(), { minItems: 1 }),
+            qualities: array(string(), { minItems: 1 }),
+            duplex: boolean(),
+            color: boolean(),
+            monochrome: boolean()
+        })
+    }, { additional: true }), { minItems: 1 }),
+    pricing: object({
+        rates,
+        paperSizes: map(rates),
+        qualityMultipliers: map(number({ min: 0 })),
+        duplexDiscount: number({ min: 0, max: 0.99 }),
+        volumeTiers: array(object({ minSheets: integer({ min: 1, required: true }), discount: number({ min: 0, max: 0.99, required: true }) })),
+        minimumCharge: number({ min: 0 }),
+        printers: map(object({}, { additional: true }))
+    }),
+    bot: object({
+        adminNumbers: array(phoneNumber),
+        userRoles: map(string()),
+        enableLogging: boolean(),
+        responseLanguage: string()
+    }),
+    security: object({
+        enableRateLimit: boolean(),
+        maxRequestsPerHour: integer({ min: 1 }),
+        enableFileValidation: boolean(),
+        quarantineEnabled: boolean(),
+        quarantineDir: string({ minLength: 1 }),
+        clamav: object({
+            enabled: boolean(),
+            socket: string(),
+            host: string(),
+            port: integer({ min: 1, max: 65535 }),
+            timeout: duration(1000),
+            failClosed: boolean()
+        })
+    }),
+    storage: object({
+        dataDir: string({ minLength: 1 }),
+        compactThreshold: integer({ min: 1 })
+    }),
+    conversion: object({
+        libreOfficePath: string(),
+        qpdfPath: string(),
+        timeout: duration(1000)
+    }),
+    // Links sent with /url or on their own; size is capped by printSettings.maxFileSize.
+    downloads: object({
+        enabled: boolean(),
+        timeout: duration(1000),
+        totalTimeout: duration(1000),
+        maxRedirects: integer({ min: 0, max: 20 }),
+        renderPages: boolean(),
+        allowPrivateNetworks: boolean()
+    }),
+    thumbnails: object({
+        enabled: boolean(),
+        pdftoppmPath: string(),
+        width: integer({ min: 64, max: 4096 })
+    }),
+    wallet: object({
+        enabled: boolean()
+    }),
+    groups: map(object({
+        name: nullable(string()),
+        printer: nullable(string()),
+        costCenter: nullable(string()),
+        allowedMembers: array(phoneNumber)
+    })),
+    access: object({
+        defaultRole: string({ minLength: 1 }),
+        roles: map(object({
+            permissions: array(string({ pattern: /^(\*|[a-z]+(\.[a-z*]+)?)$/, hint: 'e.g. "print" or "admin.stats"' })),
+            color: boolean(),
+            maxCopies: integer({ min: 1, max: 10 }),
+            printers: nullable(array(string()))
+        }))
+    }),
+    quotas: object({
+        enabled: boolean(),
+        roles: map(quotaLimits),
+        users: map(quotaLimits),
+        groups: map(quotaLimits)
+    }),
+    // Providers read a section named after themselves, e.g. `mock`.
+    payments: object({
+        enabled: boolean(),
+        provider: string({ minLength: 1 }),
+        webhookSecret: string({ secret: true }),
+        expiryMinutes: integer({ min: 1, max: 1440 }),
+        publicUrl: string({ pattern: /^(https?:\/\/.+)?$/, hint: 'empty or an http(s) URL' }),
+        webhook: object({
+            host: string({ minLength: 1 }),
+            port: integer({ min: 1, max: 65535 }),
+            path: string({ pattern: /^\//, hint: 'must start with "/"' })
+        }),
+        mock: object({
+            autoPayAfter: duration(0),
+            allowPayLink: boolean()
+        })
+    // Provider sections (payments.<provider>) hold gateway keys; their
+    // contents are not described here, so they are masked as a whole.
+    }, { additional: { secret: true } })
+});
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function describe(spec) {
+    if (spec.enum) return `one of ${spec.enum.join(', ')}`;
+    if (spec.type === 'number') {
+        const kind = spec.integer ? 'an integer' : 'a number';
+        const unit = spec.unit ? ` (${spec.unit})` : '';
+        if (spec.min !== undefined && spec.max !== undefined) return `${kind} from ${spec.min} to ${spec.max}${unit}`;
+        if (spec.min !== undefined) return `${kind} >= ${spec.min}${unit}`;
+        return `${kind}${unit}`;
+    }
+    if (spec.type === 'array') return 'a list';
+    if (spec.type === 'object') return 'an object';
+    return `a ${spec.type}`;
+}
+
+function validateValue(spec, value, where, errors) {
+    if (value === null && spec.nullable) return;
+
+    const actual = typeOf(value);
+    if (actual !== spec.type) {
+        errors.push(`${where}: must be ${describe(spec)}${spec.nullable ? ' or null' : ''}, got ${actual === 'string' ? JSON.stringify(value) : actual}`);
+        return;
+    }
+
+    switch (spec.type) {
+        case 'number':
+            if (!Number.isFinite(value)
+                || (spec.integer && !Number.isInteger(value))
+                || (spec.min !== undefined && value < spec.min)
+                || (spec.max !== undefined && value > spec.max)) {
+                errors.push(`${where}: must be ${describe(spec)}, got ${value}`);
+            }
+            break;
+
+        case 'string':
+            if (spec.enum && !spec.enum.includes(value)) {
+                errors.push(`${where}: must be ${describe(spec)}, got ${JSON.stringify(value)}`);
+            } else if (spec.minLength && value.length < spec.minLength) {
+                errors.push(`${where}: must not be empty`);
+            } else if (spec.pattern && !spec.pattern.test(value)) {
+                errors.push(`${where}: invalid value ${JSON.stringify(value)}${spec.hint ? ` (${spec.hint})` : ''}`);
+            }
+            break;
+
+        case 'array':
+            if (spec.minItems && value.length < spec.minItems) {
+                errors.push(`${where}: needs at least ${spec.minItems} item(s)`);
+            }
+            value.forEach((item, index) => validateValue(spec.items, item, `${where}[${index}]`, errors));
+            break;
+
+        case 'object':
+            Object.entries(spec.properties).forEach(([key, child]) => {
+                if (value[key] === undefined) {
+                    if (child.required) errors.push(`${where}.${key}: is required`);
+                    return;
+                }
+                validateValue(child, value[key], `${where}.${key}`, errors);
+            });
+            Object.keys(value).filter(key => !spec.properties[key]).forEach(key => {
+                if (spec.values) {
+                    validateValue(spec.values, value[key], `${where}.${key}`, errors);
+                } else if (!spec.additional) {
+                    errors.push(`${where}.${key}: unknown setting`);
+                }
+            });
+            break;
+    }
+}
+
+// Rules that span several sections.
+function crossChecks(config) {
+    const errors = [];
+    const printerIds = (config.printers || []).map(printer => printer.id);
+
+    printerIds.filter((id, index) => printerIds.indexOf(id) !== index).forEach(id => {
+        errors.push(`printers: duplicate printer id "${id}"`);
+    });
+    if ((config.printers || []).filter(printer => printer.default).length > 1) {
+        errors.push('printers: only one printer can have "default": true');
+    }
+
+    Object.entries(config.groups || {}).forEach(([groupId, group]) => {
+        if (!groupId.endsWith('@g.us')) errors.push(`groups.${groupId}: group ids end with "@g.us"`);
+        if (group.printer && !printerIds.includes(group.printer)) errors.push(`groups.${groupId}.printer: unknown printer "${group.printer}"`);
+    });
+
+    const roles = { ...DEFAULT_ROLES, ...((config.access || {}).roles || {}) };
+    if (config.access && !roles[config.access.defaultRole]) {
+        errors.push(`access.defaultRole: unknown role "${config.access.defaultRole}"`);
+    }
+    Object.entries(roles).forEach(([name, role]) => {
+        (role.printers || []).filter(id => !printerIds.includes(id)).forEach(id => {
+            errors.push(`access.roles.${name}.printers: unknown printer "${id}"`);
+        });
+    });
+    Object.entries((config.bot || {}).userRoles || {}).forEach(([userNumber, role]) => {
+        if (!roles[role]) errors.push(`bot.userRoles.${userNumber}: unknown role "${role}"`);
+    });
+
+    if (config.payments && config.payments.enabled && !config.payments.webhookSecret) {
+        errors.push('payments.webhookSecret: is required when payments are enabled');
+    }
+    // The local webhook address cannot be reached by a real gateway.
+    if (config.payments && config.payments.enabled && (config.payments.provider || 'mock') !== 'mock' && !config.payments.publicUrl) {
+        errors.push(`payments.publicUrl: is required for provider "${config.payments.provider}"`);
+    }
+
+    try {
+        new PricingEngine(config.pricing || {});
+    } catch (error) {
+        errors.push(`pricing: ${error.message}`);
+    }
+    return errors;
+}
+
+// Returns a list of human readable problems; empty when the config is valid.
+function validateConfig(config) {
+    const errors = [];
+    if (typeOf(config) !== 'object') {
+        return ['config: must be a JSON object'];
+    }
+
+    Object.entries(SCHEMA.properties).forEach(([key, spec]) => {
+        if (config[key] !== undefined) validateValue(spec, config[key], key, errors);
+    });
+    Object.keys(config).filter(key => !SCHEMA.properties[key]).forEach(key => errors.push(`${key}: unknown setting`));
+
+    return errors.length > 0 ? errors : crossChecks(config);
+}
+
+// Schema node for a dotted path such as "printSettings.maxFileSize" or
+// "printers.0.name"; null when the path does not exist.
+function specAt(segments) {
+    let spec = SCHEMA;
+    for (const segment of segments) {
+        if (!spec) return null;
+        if (spec.type === 'array') {
+            spec = /^\d+$/.test(segment) ? spec.items : null;
+        } else if (spec.type === 'object') {
+            spec = spec.properties[segment] || spec.values || (spec.additional === true ? {} : spec.additional || null);
+        } else {
+            return null;
+        }
+    }
+    return spec;
+}
+
+const BYTE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+const MS_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+const BOOLEAN_WORDS = {
+    true: true, on: true, yes: true, ya: true, '1': true,
+    false: false, off: false, no: false, tidak: false, '0': false
+};
+
+function parseUnit(input, units, fallback) {
+    const match = input.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/);
+    if (!match || (match[2] && !units[match[2]])) {
+        throw new Error(`"${input}" is not a valid amount (units: ${Object.keys(units).join(', ')})`);
+    }
+    return Math.round(parseFloat(match[1]) * units[match[2] || fallback]);
+}
+
+// Converts text typed in chat ("20MB", "15m", "off", "A4,A3") into the
+// value the schema expects at that spot. Validation happens afterwards.
+function parseValue(spec, input) {
+    const text = input.trim();
+    if (spec.nullable && text.toLowerCase() === 'null') return null;
+
+    switch (spec.type) {
+        case 'number':
+            if (spec.unit === 'bytes') return parseUnit(text, BYTE_UNITS, 'b');
+            if (spec.unit === 'ms') return parseUnit(text, MS_UNITS, 'ms');
+            if (text === '' || !Number.isFinite(Number(text))) {
+                throw new Error(`"${input}" is not a number`);
+            }
+            return Number(text);
+
+        case 'boolean':
+            if (BOOLEAN_WORDS[text.toLowerCase()] === undefined) {
+                throw new Error(`"${input}" is not a boolean (use on/off)`);
+            }
+            return BOOLEAN_WORDS[text.toLowerCase()];
+
+        case 'array':
+            if (text.startsWith('[')) return parseJson(text);
+            return text === '' ? [] : text.split(',').map(item => parseValue(spec.items, item));
+
+        case 'object':
+            return parseJson(text);
+
+        case 'string':
+            return text;
+
+        default:
+            // Keys of open sections (printer driver options, ...) have no spec.
+            return /^[[{"]|^(true|false|null|-?\d+(\.\d+)?)$/.test(text) ? parseJson(text) : text;
+    }
+}
+
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`invalid JSON: ${error.message}`);
+    }
+}
+
+module.exports = { SCHEMA, validateConfig, specAt, parseValue, describe };
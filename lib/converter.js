@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { PDFDocument, StandardFonts, PageSizes } = require('pdf-lib');
+const puppeteer = require('puppeteer');
+const { renderPhotos } = require('./photoLayout');
+const { redactUrl } = require('./urlDownloader');
+
+const OFFICE_FORMATS = ['doc', 'docx', 'odt', 'rtf', 'xls', 'xlsx', 'ods', 'ppt', 'pptx', 'odp'];
+const IMAGE_FORMATS = ['jpg', 'jpeg', 'png'];
+const TEXT_FORMATS = ['txt'];
+const HTML_FORMATS = ['html', 'htm'];
+
+const PAGE_SIZES = {
+    A3: PageSizes.A3,
+    A4: PageSizes.A4,
+    A5: PageSizes.A5,
+    Letter: PageSizes.Letter,
+    Legal: PageSizes.Legal
+};
+
+const TEXT_MARGIN = 50;
+const TEXT_FONT_SIZE = 10;
+const TEXT_LINE_HEIGHT = 12;
+const MAX_PAGE_RESOURCES = 100;
+
+function defaultLibreOfficePath() {
+    return process.platform === 'win32'
+        ? 'C:\\Program Files\\LibreOffice\\program\\soffice.exe'
+        : 'soffice';
+}
+
+class DocumentConverter {
+    constructor(options = {}, log = () => {}) {
+        this.libreOfficePath = options.libreOfficePath || defaultLibreOfficePath();
+        this.timeout = options.timeout || 120000;
+        this.log = log;
+
+        // LibreOffice refuses to run twice against the same profile, so
+        // office conversions are serialized.
+        this.officeQueue = Promise.resolve();
+    }
+
+    static supports(extension) {
+        return extension === 'pdf' || [...OFFICE_FORMATS, ...IMAGE_FORMATS, ...TEXT_FORMATS, ...HTML_FORMATS].includes(extension);
+    }
+
+    static isImage(extension) {
+        return IMAGE_FORMATS.includes(extension);
+    }
+
+    static pageSize(paperSize) {
+        return PAGE_SIZES[paperSize] || PageSizes.A4;
+    }
+
+    // Returns { pdfPath, converter }. The PDF is written next to the input
+    // file with the same base name; PDFs are passed through untouched.
+    async toPdf(inputPath, extension, options = {}) {
+        const pdfPath = path.join(path.dirname(inputPath), `${path.basename(inputPath, path.extname(inputPath))}.pdf`);
+        let converter;
+
+        if (extension === 'pdf') {
+            return { pdfPath: inputPath, converter: 'none' };
+        } else if (OFFICE_FORMATS.includes(extension)) {
+            converter = 'libreoffice';
+            await this.convertOffice(inputPath);
+        } else if (IMAGE_FORMATS.includes(extension)) {
+            converter = 'image';
+            await this.convertImage(inputPath, extension, pdfPath, options);
+        } else if (TEXT_FORMATS.includes(extension)) {
+            converter = 'text';
+            await this.convertText(inputPath, pdfPath, options);
+        } else if (HTML_FORMATS.includes(extension)) {
+            converter = 'html';
+            await this.convertHtml(inputPath, pdfPath, options);
+        } else {
+            throw new Error(`No converter for .${extension} files`);
+        }
+
+        if (!fs.existsSync(pdfPath)) {
+            throw new Error(`${converter} conversion produced no output`);
+        }
+
+        this.log('info', 'Document converted to PDF', { input: path.basename(inputPath), converter });
+        return { pdfPath, converter };
+    }
+
+    convertOffice(inputPath) {
+        const run = () => new Promise((resolve, reject) => {
+            execFile(this.libreOfficePath, [
+                '--headless',
+                '--norestore',
+                '--convert-to', 'pdf',
+                '--outdir', path.dirname(inputPath),
+                inputPath
+            ], { timeout: this.timeout, windowsHide: true }, (error, stdout, stderr) => {
+                if (error) {
+                    reject(new Error(`LibreOffice conversion failed: ${(stderr || error.message).trim()}`));
+                    return;
+                }
+                resolve();
+            });
+        });
+
+        const result = this.officeQueue.then(run);
+        this.officeQueue = result.catch(() => {});
+        return result;
+    }
+
+    // One photo per page, turned upright by its EXIF orientation.
+    async convertImage(inputPath, extension, pdfPath, options) {
+        await renderPhotos([{ path: inputPath, extension }], pdfPath, {
+            pageSize: DocumentConverter.pageSize(options.paperSize)
+        });
+    }
+
+    async convertText(inputPath, pdfPath, options) {
+        const pdfDoc = await PDFDocument.create();
+        const font = await pdfDoc.embedFont(StandardFonts.Courier);
+        const [width, height] = DocumentConverter.pageSize(options.paperSize);
+
+        const charsPerLine = Math.floor((width - TEXT_MARGIN * 2) / font.widthOfTextAtSize('M', TEXT_FONT_SIZE));
+        const linesPerPage = Math.floor((height - TEXT_MARGIN * 2) / TEXT_LINE_HEIGHT);
+
+        // Standard fonts only cover WinAnsi; anything else would make pdf-lib throw.
+        const text = fs.readFileSync(inputPath, 'utf8')
+            .replace(/^\uFEFF/, '')
+            .replace(/\t/g, '    ')
+            .replace(/[^\n\x20-\x7E\xA0-\xFF]/g, '?');
+
+        const lines = [];
+        for (const rawLine of text.split(/\r?\n/)) {
+            if (rawLine.length === 0) {
+                lines.push('');
+                continue;
+            }
+            for (let offset = 0; offset < rawLine.length; offset += charsPerLine) {
+                lines.push(rawLine.slice(offset, offset + charsPerLine));
+            }
+        }
+
+        for (let start = 0; start < lines.length; start += linesPerPage) {
+            const page = pdfDoc.addPage([width, height]);
+            lines.slice(start, start + linesPerPage).forEach((line, index) => {
+                page.drawText(line, {
+                    x: TEXT_MARGIN,
+                    y: height - TEXT_MARGIN - TEXT_FONT_SIZE - index * TEXT_LINE_HEIGHT,
+                    size: TEXT_FONT_SIZE,
+                    font
+                });
+            });
+        }
+
+        fs.writeFileSync(pdfPath, await pdfDoc.save());
+    }
+
+    async convertHtml(inputPath, pdfPath, options) {
+        const browser = await puppeteer.launch({
+            headless: 'new',
+            args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu']
+        });
+
+        try {
+            const page = await browser.newPage();
+            await page.setJavaScriptEnabled(false);
+
+            // Uploaded HTML must not reach out to the network. A page downloaded
+            // from a link (`options.baseUrl`) may load its images and styles,
+            // but only through `options.fetchResource`, which applies the same
+            // checks as the download itself. All resources together may take
+            // up to `options.resourceBudget` bytes.
+            const budget = options.resourceBudget || Infinity;
+            let resources = 0;
+            let bytes = 0;
+            await page.setRequestInterception(true);
+            page.on('request', async request => {
+                const url = request.url();
+                if (url.startsWith('data:') || url.startsWith('about:')) {
+                    request.continue();
+                    return;
+                }
+                if (options.fetchResource && /^https?:/.test(url) && resources++ < MAX_PAGE_RESOURCES && bytes < budget) {
+                    try {
+                        const resource = await options.fetchResource(url, budget - bytes);
+                        bytes += resource.buffer.length;
+                        if (bytes > budget) {
+                            throw new Error(`page resources exceed ${budget} bytes`);
+                        }
+                        await request.respond({ status: 200, contentType: resource.contentType, body: resource.buffer });
+                        return;
+                    } catch (error) {
+                        this.log('warn', 'Page resource not loaded', { url: redactUrl(url), error: error.message });
+                    }
+                }
+                request.abort();
+            });
+
+            let html = fs.readFileSync(inputPath, 'utf8');
+            if (options.baseUrl) {
+                const base = `<base href="${options.baseUrl.replace(/"/g, '&quot;')}">`;
+                html = /<head[^>]*>/i.test(html) ? html.replace(/<head[^>]*>/i, head => head + base) : base + html;
+            }
+
+            await page.setContent(html, { waitUntil: 'load', timeout: this.timeout });
+            await page.pdf({
+                path: pdfPath,
+                format: PAGE_SIZES[options.paperSize] ? options.paperSize : 'A4',
+                printBackground: true
+            });
+        } finally {
+            await browser.close();
+        }
+    }
+}
+
+module.exports = DocumentConverter;
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const {
+    PDFDocument,
+    pushGraphicsState,
+    popGraphicsState,
+    rectangle,
+    clip,
+    endPath
+} = require('pdf-lib');
+
+const PAGES_PER_SHEET = [1, 2, 4, 6, 9];
+const SCALING_MODES = ['fit', 'fill', 'actual'];
+const ORIENTATIONS = ['auto', 'portrait', 'landscape'];
+
+const DEFAULT_LAYOUT = {
+    pagesPerSheet: 1,
+    booklet: false,
+    scaling: 'fit',
+    orientation: 'auto'
+};
+
+const NUP_MARGIN = 12;
+
+function layoutOf(printOptions = {}) {
+    return {
+        pagesPerSheet: printOptions.pagesPerSheet || DEFAULT_LAYOUT.pagesPerSheet,
+        booklet: Boolean(printOptions.booklet),
+        scaling: printOptions.scaling || DEFAULT_LAYOUT.scaling,
+        orientation: printOptions.orientation || DEFAULT_LAYOUT.orientation
+    };
+}
+
+function isDefaultLayout(layout) {
+    return Object.keys(DEFAULT_LAYOUT).every(key => layout[key] === DEFAULT_LAYOUT[key]);
+}
+
+function slotsPerSide(layout) {
+    return layout.booklet ? 2 : layout.pagesPerSheet;
+}
+
+// Returns one entry per printed side, each listing the 1-based source pages
+// placed on it in reading order (null for blank slots).
+function planSides(pageCount, layout) {
+    const sides = [];
+
+    if (layout.booklet) {
+        // Saddle stitch: pad to a multiple of four, outermost sheet first.
+        const padded = Math.ceil(pageCount / 4) * 4;
+        const page = (number) => (number <= pageCount ? number : null);
+
+        for (let sheet = 0; sheet < padded / 4; sheet++) {
+            sides.push([page(padded - sheet * 2), page(sheet * 2 + 1)]);
+            sides.push([page(sheet * 2 + 2), page(padded - sheet * 2 - 1)]);
+        }
+        return sides;
+    }
+
+    const perSide = layout.pagesPerSheet;
+    for (let start = 1; start <= pageCount; start += perSide) {
+        const side = [];
+        for (let page = start; page < start + perSide; page++) {
+            side.push(page <= pageCount ? page : null);
+        }
+        sides.push(side);
+    }
+    return sides;
+}
+
+function chooseGrid(slots, sheetWidth, sheetHeight, pageSize, margin) {
+    let best = null;
+
+    for (let cols = 1; cols <= slots; cols++) {
+        if (slots % cols !== 0) continue;
+        const rows = slots / cols;
+        const cellWidth = (sheetWidth - margin * (cols + 1)) / cols;
+        const cellHeight = (sheetHeight - margin * (rows + 1)) / rows;
+        const scale = Math.min(cellWidth / pageSize.width, cellHeight / pageSize.height);
+
+        if (!best || scale > best.scale) {
+            best = { cols, rows, cellWidth, cellHeight, scale };
+        }
+    }
+    return best;
+}
+
+function planSheet(sheetSize, layout, pageSize) {
+    const [short, long] = [Math.min(...sheetSize), Math.max(...sheetSize)];
+    const slots = slotsPerSide(layout);
+    const margin = slots > 1 && !layout.booklet ? NUP_MARGIN : 0;
+
+    const portrait = { width: short, height: long };
+    const landscape = { width: long, height: short };
+
+    let candidates;
+    if (layout.booklet || layout.orientation === 'landscape') {
+        candidates = [landscape];
+    } else if (layout.orientation === 'portrait') {
+        candidates = [portrait];
+    } else {
+        candidates = [portrait, landscape];
+    }
+
+    return candidates
+        .map(sheet => ({ ...sheet, margin, grid: chooseGrid(slots, sheet.width, sheet.height, pageSize, margin) }))
+        .sort((a, b) => b.grid.scale - a.grid.scale)[0];
+}
+
+function placement(page, cell, scaling) {
+    const fitScale = Math.min(cell.width / page.width, cell.height / page.height);
+    const fillScale = Math.max(cell.width / page.width, cell.height / page.height);
+    const scale = scaling === 'fill' ? fillScale : (scaling === 'actual' ? 1 : fitScale);
+
+    const width = page.width * scale;
+    const height = page.height * scale;
+    return {
+        x: cell.x + (cell.width - width) / 2,
+        y: cell.y + (cell.height - height) / 2,
+        width,
+        height,
+        clipped: width > cell.width + 0.01 || height > cell.height + 0.01
+    };
+}
+
+// Writes the imposed document and returns { sides, landscape }.
+async function imposePdf(inputPath, outputPath, layout, sheetSize) {
+    const source = await PDFDocument.load(fs.readFileSync(inputPath));
+    const output = await PDFDocument.create();
+
+    const sourcePages = source.getPages();
+    const embedded = await output.embedPages(sourcePages);
+    const sheet = planSheet(sheetSize, layout, sourcePages[0].getSize());
+    const { cols, cellWidth, cellHeight } = sheet.grid;
+    const sides = planSides(sourcePages.length, layout);
+
+    for (const slots of sides) {
+        const outputPage = output.addPage([sheet.width, sheet.height]);
+
+        slots.forEach((pageNumber, index) => {
+            if (!pageNumber) return;
+
+            const col = index % cols;
+            const row = Math.floor(index / cols);
+            const cell = {
+                x: sheet.margin + col * (cellWidth + sheet.margin),
+                y: sheet.height - (row + 1) * (cellHeight + sheet.margin),
+                width: cellWidth,
+                height: cellHeight
+            };
+
+            const embeddedPage = embedded[pageNumber - 1];
+            const position = placement(embeddedPage, cell, layout.scaling);
+
+            if (position.clipped) {
+                outputPage.pushOperators(
+                    pushGraphicsState(),
+                    rectangle(cell.x, cell.y, cell.width, cell.height),
+                    clip(),
+                    endPath()
+                );
+            }
+
+            outputPage.drawPage(embeddedPage, {
+                x: position.x,
+                y: position.y,
+                width: position.width,
+                height: position.height
+            });
+
+            if (position.clipped) {
+                outputPage.pushOperators(popGraphicsState());
+            }
+        });
+    }
+
+    fs.writeFileSync(outputPath, await output.save());
+    return { sides: sides.length, landscape: sheet.width > sheet.height };
+}
+
+module.exports = {
+    PAGES_PER_SHEET,
+    SCALING_MODES,
+    ORIENTATIONS,
+    DEFAULT_LAYOUT,
+    layoutOf,
+    isDefaultLayout,
+    planSides,
+    imposePdf
+};
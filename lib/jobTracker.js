@@ -0,0 +1,51 @@
+const FINAL_STATES = ['completed', 'aborted', 'canceled'];
+
+class JobTracker {
+    constructor(options = {}) {
+        this.pollInterval = options.pollInterval || 5000;
+        this.timeout = options.timeout || 1800000;
+        this.maxUnknown = options.maxUnknown || 5;
+    }
+
+    static isFinal(state) {
+        return FINAL_STATES.includes(state);
+    }
+
+    // Polls the driver until the spooler reports a final state. onUpdate is
+    // called whenever the state or its reasons change, e.g. when a job is
+    // held because the printer ran out of paper.
+    async track(driver, spoolJobId, onUpdate = () => {}) {
+        const startedAt = Date.now();
+        let previousKey = null;
+        let unknownCount = 0;
+
+        while (true) {
+            const result = await driver.jobState(spoolJobId);
+            const key = `${result.state}|${(result.reasons || []).join(',')}`;
+
+            if (key !== previousKey) {
+                previousKey = key;
+                await onUpdate(result);
+            }
+
+            if (JobTracker.isFinal(result.state)) {
+                return result;
+            }
+
+            // A spooler that keeps failing to answer (or has forgotten the
+            // job) gives us nothing to wait for.
+            unknownCount = result.state === 'unknown' ? unknownCount + 1 : 0;
+            if (unknownCount >= this.maxUnknown) {
+                return { ...result, state: 'unknown' };
+            }
+
+            if (Date.now() - startedAt >= this.timeout) {
+                return { ...result, timedOut: true };
+            }
+
+            await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+        }
+    }
+}
+
+module.exports = JobTracker;
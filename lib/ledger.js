@@ -0,0 +1,139 @@
+const TransactionType = {
+    TOPUP: 'topup',
+    RESERVE: 'reserve',
+    CAPTURE: 'capture',
+    REFUND: 'refund'
+};
+
+// Error codes set on errors thrown by Ledger.
+const LedgerError = {
+    NEGATIVE_BALANCE: 'NEGATIVE_BALANCE'
+};
+
+const CSV_COLUMNS = ['id', 'createdAt', 'userNumber', 'type', 'amount', 'available', 'reserved', 'jobId', 'by', 'note'];
+
+// Text starting with = + - @ (or a tab or carriage return) would run as a
+// formula in a spreadsheet, so it is prefixed with ' to stay plain text.
+// Numbers such as negative amounts are left alone.
+function csvField(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Prepaid balances kept in the bot's Store. A confirmed job reserves its
+// quote (available -> reserved); the hold is then captured when the job
+// prints or refunded when it fails or is cancelled. Every movement is
+// appended to the `transactions` collection.
+class Ledger {
+    constructor(store, log = () => {}) {
+        this.store = store;
+        this.log = log;
+        this.sequence = 0;
+    }
+
+    account(userNumber) {
+        return this.store.get('balances', userNumber) || { available: 0, reserved: 0 };
+    }
+
+    hold(jobId) {
+        return this.store.get('holds', String(jobId)) || null;
+    }
+
+    topup(userNumber, amount, details = {}) {
+        if (!Number.isInteger(amount) || amount === 0) {
+            throw new Error('Top up amount must be a non-zero integer');
+        }
+
+        const account = this.account(userNumber);
+        if (account.available + amount < 0) {
+            const error = new Error(`Balance of ${userNumber} would become negative`);
+            error.code = LedgerError.NEGATIVE_BALANCE;
+            throw error;
+        }
+
+        account.available += amount;
+        return this.record(userNumber, account, TransactionType.TOPUP, amount, details);
+    }
+
+    // Returns the reserve transaction, or null when the balance is too low.
+    reserve(userNumber, jobId, amount) {
+        const account = this.account(userNumber);
+        if (this.hold(jobId)) {
+            throw new Error(`Job ${jobId} already has a reserved payment`);
+        }
+        if (account.available < amount) {
+            return null;
+        }
+
+        account.available -= amount;
+        account.reserved += amount;
+        this.store.set('holds', String(jobId), { userNumber, amount, createdAt: Date.now() });
+        return this.record(userNumber, account, TransactionType.RESERVE, amount, { jobId });
+    }
+
+    capture(jobId) {
+        return this.settle(jobId, TransactionType.CAPTURE);
+    }
+
+    refund(jobId) {
+        return this.settle(jobId, TransactionType.REFUND);
+    }
+
+    // Settling a job without a hold is a no-op, so callers need not track
+    // whether the job was paid from the balance.
+    settle(jobId, type) {
+        const hold = this.hold(jobId);
+        if (!hold) return null;
+
+        const account = this.account(hold.userNumber);
+        account.reserved = Math.max(0, account.reserved - hold.amount);
+        if (type === TransactionType.REFUND) {
+            account.available += hold.amount;
+        }
+
+        this.store.delete('holds', String(jobId));
+        return this.record(hold.userNumber, account, type, hold.amount, { jobId });
+    }
+
+    record(userNumber, account, type, amount, details) {
+        account.updatedAt = Date.now();
+        this.store.set('balances', userNumber, account);
+
+        const transaction = {
+            id: `${Date.now()}-${++this.sequence}`,
+            createdAt: Date.now(),
+            userNumber,
+            type,
+            amount,
+            available: account.available,
+            reserved: account.reserved,
+            jobId: details.jobId || null,
+            by: details.by || null,
+            note: details.note || null
+        };
+        this.store.set('transactions', transaction.id, transaction);
+
+        this.log('info', 'Ledger transaction recorded', { id: transaction.id, user: userNumber, type, amount, jobId: transaction.jobId });
+        return transaction;
+    }
+
+    transactions(userNumber = null) {
+        return this.store.values('transactions')
+            .filter(transaction => !userNumber || transaction.userNumber === userNumber)
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    exportCsv(userNumber = null) {
+        const rows = this.transactions(userNumber).map(transaction => CSV_COLUMNS.map(column => {
+            const value = column === 'createdAt' ? new Date(transaction.createdAt).toISOString() : transaction[column];
+            return csvField(value);
+        }).join(','));
+
+        return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+    }
+}
+
+module.exports = { Ledger, LedgerError, TransactionType };
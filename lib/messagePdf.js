@@ -0,0 +1,197 @@
+const fs = require('fs');
+const { PDFDocument, StandardFonts, PageSizes, rgb } = require('pdf-lib');
+
+const PAGE_SIZES = {
+    A3: PageSizes.A3,
+    A4: PageSizes.A4,
+    A5: PageSizes.A5,
+    Letter: PageSizes.Letter,
+    Legal: PageSizes.Legal
+};
+
+const MARGIN = 56;
+const LINE_SPACING = 1.35;
+const MESSAGE_GAP = 14;
+const QUOTE_INDENT = 12;
+const HEADER_COLOR = rgb(0.35, 0.35, 0.35);
+const QUOTE_COLOR = rgb(0.6, 0.6, 0.6);
+
+// WhatsApp formatting markers. A marker only opens after the start of the
+// line, whitespace or punctuation and only closes before those, with no
+// space just inside it, the way WhatsApp itself decides.
+const INLINE_STYLES = [
+    { style: 'mono', pattern: /`([^`\n]+)`/ },
+    { style: 'bold', pattern: /(^|[\s\p{P}])\*(\S(?:[^*\n]*?\S)?)\*(?=$|[\s\p{P}])/u },
+    { style: 'italic', pattern: /(^|[\s\p{P}])_(\S(?:[^_\n]*?\S)?)_(?=$|[\s\p{P}])/u },
+    { style: 'strike', pattern: /(^|[\s\p{P}])~(\S(?:[^~\n]*?\S)?)~(?=$|[\s\p{P}])/u }
+];
+
+function parseInline(text, style, runs) {
+    while (text) {
+        let first = null;
+        for (const { style: name, pattern } of INLINE_STYLES) {
+            if (style.mono) break;
+            const match = text.match(pattern);
+            if (!match) continue;
+            // The bold/italic/strike patterns capture the character before the marker.
+            const lead = match.length > 2 ? match[1] : '';
+            const index = match.index + lead.length;
+            if (!first || index < first.index) {
+                first = { name, index, length: match[0].length - lead.length, inner: match.length > 2 ? match[2] : match[1] };
+            }
+        }
+
+        if (!first) {
+            runs.push({ text, ...style });
+            return runs;
+        }
+        if (first.index > 0) {
+            runs.push({ text: text.slice(0, first.index), ...style });
+        }
+        parseInline(first.inner, { ...style, [first.name]: true }, runs);
+        text = text.slice(first.index + first.length);
+    }
+    return runs;
+}
+
+// Splits WhatsApp-formatted text into lines of styled runs
+// ({ text, bold, italic, strike, mono }). ```blocks``` keep their line
+// breaks and are not formatted further; "> " lines are marked as quotes.
+function parseWhatsAppMarkdown(text) {
+    const lines = [];
+    const parts = String(text).split(/```([\s\S]*?)```/);
+
+    parts.forEach((part, index) => {
+        const isBlock = index % 2 === 1;
+        part.split('\n').forEach((line, lineIndex) => {
+            // Text around a ``` block continues the line it started on.
+            const continues = lineIndex === 0 && lines.length > 0 && index > 0;
+            const quote = !isBlock && /^>\s/.test(line);
+            const content = quote ? line.replace(/^>\s/, '') : line;
+            const runs = isBlock ? [{ text: content, mono: true }] : parseInline(content, {}, []);
+
+            if (continues) {
+                lines[lines.length - 1].runs.push(...runs);
+            } else {
+                lines.push({ runs, quote });
+            }
+        });
+    });
+    return lines;
+}
+
+function fontFor(fonts, run) {
+    if (run.mono) return fonts.mono;
+    if (run.bold && run.italic) return fonts.boldItalic;
+    if (run.bold) return fonts.bold;
+    if (run.italic) return fonts.italic;
+    return fonts.regular;
+}
+
+// Typesets chat messages ({ text, sender, timestamp, forwarded }) into a PDF.
+// `header` prints the sender and time above each message; `fontSize` is in
+// points. Characters the standard PDF fonts cannot show (emoji, non-Latin
+// scripts) are left out or replaced with "?".
+async function renderMessagesPdf(messages, outputPath, { paperSize = 'A4', fontSize = 11, header = true } = {}) {
+    const pdfDoc = await PDFDocument.create();
+    const fonts = {
+        regular: await pdfDoc.embedFont(StandardFonts.Helvetica),
+        bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold),
+        italic: await pdfDoc.embedFont(StandardFonts.HelveticaOblique),
+        boldItalic: await pdfDoc.embedFont(StandardFonts.HelveticaBoldOblique),
+        mono: await pdfDoc.embedFont(StandardFonts.Courier)
+    };
+    const supported = new Set(fonts.regular.getCharacterSet());
+    const clean = text => text
+        .replace(/\r/g, '')
+        .replace(/\t/g, '    ')
+        .replace(/[\p{Extended_Pictographic}\u{1F3FB}-\u{1F3FF}\uFE0F\u200D]/gu, '')
+        .replace(/[^\n]/gu, char => (supported.has(char.codePointAt(0)) ? char : '?'));
+
+    const [width, height] = PAGE_SIZES[paperSize] || PageSizes.A4;
+    const lineHeight = fontSize * LINE_SPACING;
+    let page = null;
+    let y = 0;
+
+    const newLine = (size = lineHeight) => {
+        if (!page || y - size < MARGIN) {
+            page = pdfDoc.addPage([width, height]);
+            y = height - MARGIN;
+        }
+        y -= size;
+    };
+
+    // Breaks styled runs into words and lays them out within `maxWidth`,
+    // breaking words that are longer than a whole line.
+    const drawRuns = (runs, { indent = 0, size = fontSize, color, quote = false }) => {
+        const maxWidth = width - MARGIN * 2 - indent;
+        const tokens = runs.flatMap(run => clean(run.text).split(/(\s+)/).filter(Boolean).map(text => ({ ...run, text })));
+        let line = [];
+        let lineWidth = 0;
+
+        const flush = () => {
+            newLine(size * LINE_SPACING);
+            let x = MARGIN + indent;
+            if (quote) {
+                page.drawLine({ start: { x: MARGIN + 2, y: y - size * 0.25 }, end: { x: MARGIN + 2, y: y + size }, thickness: 2, color: QUOTE_COLOR });
+            }
+            line.forEach(token => {
+                const font = fontFor(fonts, token);
+                const tokenWidth = font.widthOfTextAtSize(token.text, size);
+                page.drawText(token.text, { x, y, size, font, color });
+                if (token.strike) {
+                    page.drawLine({ start: { x, y: y + size * 0.3 }, end: { x: x + tokenWidth, y: y + size * 0.3 }, thickness: size / 14, color });
+                }
+                x += tokenWidth;
+            });
+            line = [];
+            lineWidth = 0;
+        };
+
+        // Leading spaces are kept (code indentation), except where a line wraps.
+        for (let token of tokens) {
+            const font = fontFor(fonts, token);
+            const isSpace = /^\s+$/.test(token.text);
+
+            let tokenWidth = font.widthOfTextAtSize(token.text, size);
+            if (lineWidth + tokenWidth > maxWidth && line.length > 0) {
+                flush();
+                if (isSpace) continue;
+            }
+            while (tokenWidth > maxWidth) {
+                let fit = token.text.length - 1;
+                while (fit > 1 && font.widthOfTextAtSize(token.text.slice(0, fit), size) > maxWidth) fit--;
+                line.push({ ...token, text: token.text.slice(0, fit) });
+                flush();
+                token = { ...token, text: token.text.slice(fit) };
+                tokenWidth = font.widthOfTextAtSize(token.text, size);
+            }
+            line.push(token);
+            lineWidth += tokenWidth;
+        }
+        flush();
+    };
+
+    messages.forEach((message, index) => {
+        if (index > 0) newLine(MESSAGE_GAP);
+
+        if (header) {
+            const time = message.timestamp ? new Date(message.timestamp).toLocaleString('id-ID') : '';
+            const label = [message.sender, time].filter(Boolean).join(' • ') + (message.forwarded ? ' (diteruskan)' : '');
+            drawRuns([{ text: label, bold: true }], { size: fontSize * 0.85, color: HEADER_COLOR });
+        }
+
+        parseWhatsAppMarkdown(message.text).forEach(({ runs, quote }) => {
+            drawRuns(runs, { indent: quote ? QUOTE_INDENT : 0, quote });
+        });
+    });
+
+    if (pdfDoc.getPageCount() === 0) {
+        pdfDoc.addPage([width, height]);
+    }
+
+    fs.writeFileSync(outputPath, await pdfDoc.save());
+    return outputPath;
+}
+
+module.exports = { renderMessagesPdf, parseWhatsAppMarkdown };
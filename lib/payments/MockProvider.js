@@ -0,0 +1,96 @@
+const axios = require('axios');
+const { PaymentProvider, sign } = require('./PaymentProvider');
+
+// Offline stand-in for a QRIS gateway. Payments are "paid" by opening the
+// returned paymentUrl (or automatically after autoPayAfter ms), which makes
+// the provider post a signed callback to the bot's own webhook, exactly as a
+// real gateway would. The pay link marks any payment as paid without
+// authentication, so it is only served with allowPayLink set.
+class MockProvider extends PaymentProvider {
+    constructor(options = {}, log) {
+        super(options, log);
+        this.webhookUrl = options.webhookUrl;
+        this.autoPayAfter = options.autoPayAfter || 0;
+        this.allowPayLink = Boolean(options.allowPayLink);
+        this.payments = new Map();
+        this.counter = 0;
+    }
+
+    get type() {
+        return 'mock';
+    }
+
+    payUrl(paymentId) {
+        const url = new URL(this.webhookUrl);
+        url.pathname = `${url.pathname.replace(/\/$/, '')}/mock/pay`;
+        url.search = `id=${encodeURIComponent(paymentId)}`;
+        return url.toString();
+    }
+
+    async createPayment(request) {
+        const paymentId = `mock-${Date.now()}-${++this.counter}`;
+        const payment = {
+            paymentId,
+            amount: request.amount,
+            expiresAt: request.expiresAt,
+            qrString: `MOCKQRIS|${paymentId}|${request.amount}`,
+            qrImage: null,
+            paymentUrl: this.allowPayLink ? this.payUrl(paymentId) : null
+        };
+        this.payments.set(paymentId, { ...payment, status: 'pending' });
+
+        if (this.autoPayAfter > 0) {
+            setTimeout(() => {
+                this.simulate(paymentId, 'paid').catch(error => {
+                    this.log('error', 'Mock auto payment failed', { paymentId, error: error.message });
+                });
+            }, this.autoPayAfter);
+        }
+
+        this.log('info', 'Mock payment created', { paymentId, orderId: request.orderId, amount: request.amount });
+        return payment;
+    }
+
+    async cancelPayment(paymentId) {
+        const payment = this.payments.get(paymentId);
+        if (!payment || payment.status !== 'pending') return false;
+        payment.status = 'failed';
+        return true;
+    }
+
+    async simulate(paymentId, status) {
+        const payment = this.payments.get(paymentId);
+        if (!payment) {
+            throw new Error(`Unknown mock payment ${paymentId}`);
+        }
+        if (payment.status !== 'pending') {
+            return payment.status;
+        }
+
+        payment.status = status;
+        const rawBody = JSON.stringify({ paymentId, status, amount: payment.amount, paidAt: new Date().toISOString() });
+        await axios.post(this.webhookUrl, rawBody, {
+            headers: { 'Content-Type': 'application/json', 'X-Signature': sign(this.webhookSecret, rawBody) },
+            timeout: 10000
+        });
+        return status;
+    }
+
+    async handleRequest(url) {
+        if (!this.allowPayLink || !url.pathname.endsWith('/mock/pay')) return null;
+
+        const paymentId = url.searchParams.get('id');
+        const payment = this.payments.get(paymentId);
+        if (!payment) {
+            return { status: 404, contentType: 'text/plain; charset=utf-8', body: 'Pembayaran tidak ditemukan' };
+        }
+        if (payment.status !== 'pending') {
+            return { status: 409, contentType: 'text/plain; charset=utf-8', body: `Pembayaran mock ${paymentId} sudah berstatus ${payment.status}.` };
+        }
+
+        await this.simulate(paymentId, 'paid');
+        return { status: 200, contentType: 'text/plain; charset=utf-8', body: `Pembayaran mock ${paymentId} berhasil. Silakan kembali ke WhatsApp.` };
+    }
+}
+
+module.exports = MockProvider;
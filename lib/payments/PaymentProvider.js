@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+const PAYMENT_STATES = ['pending', 'paid', 'expired', 'failed'];
+
+function sign(secret, rawBody) {
+    return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+class PaymentProvider {
+    constructor(options = {}, log = () => {}) {
+        this.options = options;
+        this.webhookSecret = options.webhookSecret || '';
+        this.log = log;
+    }
+
+    get type() {
+        return 'abstract';
+    }
+
+    // Resolves { paymentId, amount, expiresAt, qrString, qrImage, paymentUrl }.
+    // qrImage (PNG Buffer) and paymentUrl are optional; without qrImage the
+    // bot renders qrString itself.
+    async createPayment(request) {
+        throw new Error(`${this.constructor.name}.createPayment() not implemented`);
+    }
+
+    async cancelPayment(paymentId) {
+        return false;
+    }
+
+    // Lets a provider serve extra GET pages on the webhook server.
+    // Resolves { status, contentType, body } or null when not handled.
+    async handleRequest(url) {
+        return null;
+    }
+
+    // Returns { paymentId, status, amount } where status is one of
+    // PAYMENT_STATES, or throws when the callback is not authentic.
+    parseWebhook(headers, rawBody) {
+        this.verifySignature(headers['x-signature'], rawBody);
+
+        const event = JSON.parse(rawBody.toString('utf8'));
+        if (!event.paymentId || !PAYMENT_STATES.includes(event.status)) {
+            throw new Error('Malformed payment callback');
+        }
+        return { paymentId: String(event.paymentId), status: event.status, amount: Number(event.amount) };
+    }
+
+    // HMAC-SHA256 of the raw request body, hex encoded.
+    verifySignature(signature, rawBody) {
+        if (!this.webhookSecret) {
+            throw new Error('payments.webhookSecret is not configured');
+        }
+
+        const expected = Buffer.from(sign(this.webhookSecret, rawBody), 'hex');
+        const received = Buffer.from(String(signature || ''), 'hex');
+        if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+            throw new Error('Invalid payment callback signature');
+        }
+    }
+}
+
+module.exports = { PaymentProvider, PAYMENT_STATES, sign };
@@ -0,0 +1,101 @@
+const http = require('http');
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+function send(res, status, contentType, body) {
+    res.writeHead(status, { 'Content-Type': contentType });
+    res.end(body);
+}
+
+// Local HTTP endpoint for payment gateway callbacks. Only POSTs to `path`
+// with a valid signature reach onEvent; onEvent resolves false for payments
+// the bot does not know about.
+class PaymentWebhookServer {
+    constructor(options = {}, onEvent, log = () => {}) {
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port || 3001;
+        this.path = options.path || '/payments/webhook';
+        this.provider = null;
+        this.onEvent = onEvent;
+        this.log = log;
+        this.server = null;
+    }
+
+    get url() {
+        return `http://${this.host}:${this.port}${this.path}`;
+    }
+
+    start(provider) {
+        this.provider = provider;
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => {
+                this.log('error', 'Payment webhook error', { error: error.message });
+                if (!res.headersSent) send(res, 500, 'application/json', JSON.stringify({ error: 'internal' }));
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.log('info', 'Payment webhook listening', { url: this.url });
+                resolve();
+            });
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host || this.host}`);
+
+        if (req.method === 'GET') {
+            const page = await this.provider.handleRequest(url);
+            if (page) {
+                send(res, page.status, page.contentType, page.body);
+            } else {
+                send(res, 404, 'application/json', JSON.stringify({ error: 'not found' }));
+            }
+            return;
+        }
+
+        if (req.method !== 'POST' || url.pathname !== this.path) {
+            send(res, 404, 'application/json', JSON.stringify({ error: 'not found' }));
+            return;
+        }
+
+        let event;
+        try {
+            event = this.provider.parseWebhook(req.headers, await readBody(req));
+        } catch (error) {
+            this.log('warn', 'Rejected payment callback', { error: error.message, remote: req.socket.remoteAddress });
+            send(res, 401, 'application/json', JSON.stringify({ error: 'invalid callback' }));
+            return;
+        }
+
+        const known = await this.onEvent(event);
+        send(res, known ? 200 : 404, 'application/json', JSON.stringify(known ? { ok: true } : { error: 'unknown payment' }));
+    }
+}
+
+module.exports = PaymentWebhookServer;
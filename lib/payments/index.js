@@ -0,0 +1,29 @@
+const { PaymentProvider, PAYMENT_STATES, sign } = require('./PaymentProvider');
+const MockProvider = require('./MockProvider');
+const PaymentWebhookServer = require('./WebhookServer');
+const { renderQrPng } = require('./qrImage');
+
+const PROVIDERS = {
+    mock: MockProvider
+};
+
+function createPaymentProvider(options = {}, log) {
+    const type = options.provider || 'mock';
+    const Provider = PROVIDERS[type];
+
+    if (!Provider) {
+        throw new Error(`Unknown payment provider "${type}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    // Settings in the provider's own block win over the shared ones.
+    return new Provider({ ...options, ...(options[type] || {}) }, log);
+}
+
+module.exports = {
+    createPaymentProvider,
+    PaymentProvider,
+    PAYMENT_STATES,
+    sign,
+    MockProvider,
+    PaymentWebhookServer,
+    renderQrPng
+};
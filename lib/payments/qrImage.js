@@ -0,0 +1,73 @@
+const zlib = require('zlib');
+const QRCode = require('qrcode-terminal/vendor/QRCode');
+const QRErrorCorrectLevel = require('qrcode-terminal/vendor/QRCode/QRErrorCorrectLevel');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// Renders `text` as a black-on-white grayscale PNG. qrcode-terminal already
+// ships an encoder, so no image library is needed just for payment QR codes.
+function renderQrPng(text, options = {}) {
+    const scale = options.scale || 8;
+    const margin = options.margin !== undefined ? options.margin : 4;
+
+    const qrcode = new QRCode(-1, QRErrorCorrectLevel.M);
+    qrcode.addData(text);
+    qrcode.make();
+
+    const modules = qrcode.getModuleCount();
+    const size = (modules + margin * 2) * scale;
+    const rows = [];
+
+    for (let y = 0; y < size; y++) {
+        const row = Buffer.alloc(size + 1, 0xFF);
+        row[0] = 0; // filter: none
+        const moduleRow = Math.floor(y / scale) - margin;
+
+        for (let x = 0; x < size; x++) {
+            const moduleCol = Math.floor(x / scale) - margin;
+            if (moduleRow >= 0 && moduleRow < modules && moduleCol >= 0 && moduleCol < modules
+                && qrcode.isDark(moduleRow, moduleCol)) {
+                row[x + 1] = 0;
+            }
+        }
+        rows.push(row);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(size, 0);
+    header.writeUInt32BE(size, 4);
+    header[8] = 8; // bit depth
+    header[9] = 0; // grayscale
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(Buffer.concat(rows))),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+module.exports = { renderQrPng };
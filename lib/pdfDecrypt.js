@@ -0,0 +1,68 @@
+const fs = require('fs');
+const { execFile } = require('child_process');
+const { PDFDocument } = require('pdf-lib');
+
+// Error codes set on rejections from PdfDecrypter.decrypt().
+const DecryptError = {
+    INVALID_PASSWORD: 'INVALID_PASSWORD',
+    UNAVAILABLE: 'QPDF_UNAVAILABLE',
+    FAILED: 'DECRYPT_FAILED'
+};
+
+function decryptError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// Writes an unencrypted copy of a password-protected PDF using qpdf. The
+// password goes to qpdf on stdin, so it never shows up in the process list,
+// and it is not stored or logged here.
+class PdfDecrypter {
+    constructor(options = {}, log = () => {}) {
+        this.qpdfPath = options.qpdfPath || 'qpdf';
+        this.timeout = options.timeout || 60000;
+        this.log = log;
+    }
+
+    async isEncrypted(pdfPath) {
+        try {
+            const pdfDoc = await PDFDocument.load(fs.readFileSync(pdfPath), { ignoreEncryption: true, updateMetadata: false });
+            return pdfDoc.isEncrypted;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // An empty password opens PDFs that only carry an owner password
+    // (copy/print restrictions), which is most "protected" PDFs.
+    decrypt(inputPath, password, outputPath) {
+        return new Promise((resolve, reject) => {
+            const child = execFile(this.qpdfPath, [
+                '--password-file=-',
+                '--decrypt',
+                inputPath,
+                outputPath
+            ], { timeout: this.timeout, windowsHide: true }, (error, stdout, stderr) => {
+                const details = (stderr || (error && error.message) || '').trim();
+
+                // Exit code 3 means qpdf succeeded with warnings.
+                if (!error || (error.code === 3 && fs.existsSync(outputPath))) {
+                    resolve(outputPath);
+                } else if (error.code === 'ENOENT') {
+                    reject(decryptError(DecryptError.UNAVAILABLE, `qpdf not found at "${this.qpdfPath}"`));
+                } else if (/invalid password/i.test(details)) {
+                    reject(decryptError(DecryptError.INVALID_PASSWORD, 'invalid password'));
+                } else {
+                    this.log('error', 'PDF decryption failed', { input: inputPath, error: details });
+                    reject(decryptError(DecryptError.FAILED, `qpdf failed: ${details}`));
+                }
+            });
+
+            child.stdin.on('error', () => {});
+            child.stdin.end(`${password}\n`);
+        });
+    }
+}
+
+module.exports = { PdfDecrypter, DecryptError };
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const { PDFDocument } = require('pdf-lib');
+
+// Parses "1-3,8,10-12" into sorted, unique 1-based page numbers.
+// Returns { pages } or { error } with a user-facing reason.
+function parsePageRanges(spec, pageCount) {
+    const parts = String(spec || '').replace(/\s+/g, '').split(',').filter(Boolean);
+    if (parts.length === 0) {
+        return { error: 'Format halaman kosong.' };
+    }
+
+    const pages = new Set();
+    for (const part of parts) {
+        const match = part.match(/^(\d+)(?:-(\d+))?$/);
+        if (!match) {
+            return { error: `"${part}" bukan format halaman yang valid.` };
+        }
+
+        const start = parseInt(match[1]);
+        const end = match[2] ? parseInt(match[2]) : start;
+        if (start < 1 || end < start) {
+            return { error: `Rentang "${part}" tidak valid.` };
+        }
+        if (end > pageCount) {
+            return { error: `Halaman ${end} melebihi jumlah halaman dokumen (${pageCount}).` };
+        }
+
+        for (let page = start; page <= end; page++) {
+            pages.add(page);
+        }
+    }
+
+    return { pages: Array.from(pages).sort((a, b) => a - b) };
+}
+
+function formatPageRanges(pages) {
+    const ranges = [];
+    pages.forEach(page => {
+        const last = ranges[ranges.length - 1];
+        if (last && page === last[1] + 1) {
+            last[1] = page;
+        } else {
+            ranges.push([page, page]);
+        }
+    });
+    return ranges.map(([start, end]) => start === end ? `${start}` : `${start}-${end}`).join(', ');
+}
+
+async function extractPages(sourcePath, pages, outputPath) {
+    const source = await PDFDocument.load(fs.readFileSync(sourcePath));
+    const output = await PDFDocument.create();
+
+    const copied = await output.copyPages(source, pages.map(page => page - 1));
+    copied.forEach(page => output.addPage(page));
+
+    fs.writeFileSync(outputPath, await output.save());
+    return outputPath;
+}
+
+// Appends every page of each input, in order, into one document.
+async function mergePdfs(inputPaths, outputPath) {
+    const output = await PDFDocument.create();
+
+    for (const inputPath of inputPaths) {
+        const source = await PDFDocument.load(fs.readFileSync(inputPath));
+        const copied = await output.copyPages(source, source.getPageIndices());
+        copied.forEach(page => output.addPage(page));
+    }
+
+    fs.writeFileSync(outputPath, await output.save());
+    return outputPath;
+}
+
+module.exports = { parsePageRanges, formatPageRanges, extractPages, mergePdfs };
@@ -0,0 +1,282 @@
+const fs = require('fs');
+const {
+    PDFDocument,
+    pushGraphicsState,
+    popGraphicsState,
+    rectangle,
+    clip,
+    endPath,
+    concatTransformationMatrix,
+    drawObject
+} = require('pdf-lib');
+
+const MM = 72 / 25.4;
+
+// `size` is the photo in millimetres (portrait); `grid` is columns x rows
+// of a contact sheet.
+const PHOTO_LAYOUTS = {
+    page: {},
+    '4r': { size: [102, 152] },
+    '3r': { size: [89, 127] },
+    'pas-2x3': { size: [20, 30] },
+    'pas-3x4': { size: [30, 40] },
+    'pas-4x6': { size: [40, 60] },
+    'contact-4': { grid: [2, 2] },
+    'contact-6': { grid: [2, 3] },
+    'contact-9': { grid: [3, 3] }
+};
+const PHOTO_PLACEMENTS = ['fit', 'fill', 'borderless'];
+
+const DEFAULT_PHOTO = {
+    photoLayout: 'page',
+    photoPlacement: 'fit'
+};
+
+const PAGE_MARGIN = 18;
+const CUT_GAP = 3 * MM;
+const CONTACT_GAP = 8;
+
+// EXIF orientation 1-8 as the unit-square mapping from stored pixels
+// (u, v) to the upright picture (s, t):
+// s = su*u + sv*v + s0, t = tu*u + tv*v + t0.
+const ORIENTATIONS = {
+    1: [1, 0, 0, 0, 1, 0],
+    2: [-1, 0, 1, 0, 1, 0],
+    3: [-1, 0, 1, 0, -1, 1],
+    4: [1, 0, 0, 0, -1, 1],
+    5: [0, -1, 1, -1, 0, 1],
+    6: [0, 1, 0, -1, 0, 1],
+    7: [0, 1, 0, 1, 0, 0],
+    8: [0, -1, 1, 1, 0, 0]
+};
+
+function photoOptionsOf(printOptions = {}) {
+    return {
+        photoLayout: PHOTO_LAYOUTS[printOptions.photoLayout] ? printOptions.photoLayout : DEFAULT_PHOTO.photoLayout,
+        photoPlacement: PHOTO_PLACEMENTS.includes(printOptions.photoPlacement) ? printOptions.photoPlacement : DEFAULT_PHOTO.photoPlacement
+    };
+}
+
+function exifOrientation(buffer, tiff, end) {
+    const little = buffer.toString('ascii', tiff, tiff + 2) === 'II';
+    const u16 = offset => (little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+    const u32 = offset => (little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+
+    const ifd = tiff + u32(tiff + 4);
+    const count = u16(ifd);
+    for (let index = 0; index < count; index++) {
+        const entry = ifd + 2 + index * 12;
+        if (entry + 12 > end) break;
+        if (u16(entry) === 0x0112) {
+            const value = u16(entry + 8);
+            return ORIENTATIONS[value] ? value : 1;
+        }
+    }
+    return 1;
+}
+
+function jpegInfo(buffer) {
+    const info = { type: 'jpeg', width: null, height: null, orientation: 1 };
+    let offset = 2;
+
+    while (offset + 4 <= buffer.length) {
+        if (buffer[offset] !== 0xFF) return info;
+        const marker = buffer[offset + 1];
+        // Fill bytes and markers without a length.
+        if (marker === 0xFF) {
+            offset++;
+            continue;
+        }
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD8)) {
+            offset += 2;
+            continue;
+        }
+        if (marker === 0xD9 || marker === 0xDA) return info;
+
+        const start = offset + 4;
+        const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+        if (marker === 0xE1 && buffer.toString('ascii', start, start + 6) === 'Exif\0\0') {
+            info.orientation = exifOrientation(buffer, start + 6, Math.min(end, buffer.length));
+        }
+        // SOF0-15, except DHT (C4), JPG (C8) and DAC (CC).
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+            info.height = buffer.readUInt16BE(start + 1);
+            info.width = buffer.readUInt16BE(start + 3);
+            return info;
+        }
+        offset = end;
+    }
+    return info;
+}
+
+// Returns { type, width, height, orientation } for a JPEG or PNG, or null.
+// `width` and `height` are the stored pixels; with EXIF orientation 5-8 the
+// picture is upright only after turning it a quarter, swapping the two.
+function readImageInfo(buffer) {
+    try {
+        if (buffer.length > 24 && buffer.readUInt32BE(0) === 0x89504E47) {
+            return { type: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20), orientation: 1 };
+        }
+        if (buffer.length > 4 && buffer[0] === 0xFF && buffer[1] === 0xD8) {
+            return jpegInfo(buffer);
+        }
+    } catch (error) {
+        // Truncated headers read past the end of the buffer.
+        if (buffer[0] === 0xFF) return { type: 'jpeg', width: null, height: null, orientation: 1 };
+    }
+    return null;
+}
+
+function uprightSize(photo) {
+    const { width, height } = photo.image;
+    return photo.orientation >= 5 ? [height, width] : [width, height];
+}
+
+// Draws a photo upright into `cell` ({ x, y, width, height }). `fit` keeps
+// the whole picture, `fill` covers the cell and crops what sticks out.
+// `turn` turns the picture a quarter clockwise to match the cell.
+function drawPhoto(page, photo, cell, { fill = false, turn = false, maxScale = Infinity }) {
+    let [width, height] = uprightSize(photo);
+    let [su, sv, s0, tu, tv, t0] = ORIENTATIONS[photo.orientation] || ORIENTATIONS[1];
+    if (turn) {
+        [width, height] = [height, width];
+        [su, sv, s0, tu, tv, t0] = [tu, tv, t0, -su, -sv, 1 - s0];
+    }
+
+    const fitScale = Math.min(cell.width / width, cell.height / height, maxScale);
+    const scale = fill ? Math.max(cell.width / width, cell.height / height) : fitScale;
+    const drawWidth = width * scale;
+    const drawHeight = height * scale;
+    const x = cell.x + (cell.width - drawWidth) / 2;
+    const y = cell.y + (cell.height - drawHeight) / 2;
+
+    const name = page.node.newXObject('Image', photo.image.ref);
+    page.pushOperators(
+        pushGraphicsState(),
+        rectangle(cell.x, cell.y, cell.width, cell.height),
+        clip(),
+        endPath(),
+        concatTransformationMatrix(
+            drawWidth * su, drawHeight * tu,
+            drawWidth * sv, drawHeight * tv,
+            x + drawWidth * s0, y + drawHeight * t0
+        ),
+        drawObject(name),
+        popGraphicsState()
+    );
+}
+
+// One photo per page; the page turns with the picture so it is not shrunk.
+// Fitted photos are never enlarged past their own size.
+function layoutPages(pdfDoc, photos, [pageWidth, pageHeight], placement) {
+    const margin = placement === 'borderless' ? 0 : PAGE_MARGIN;
+
+    photos.forEach(photo => {
+        const [width, height] = uprightSize(photo);
+        const size = width > height ? [pageHeight, pageWidth] : [pageWidth, pageHeight];
+        const page = pdfDoc.addPage(size);
+        const cell = { x: margin, y: margin, width: size[0] - margin * 2, height: size[1] - margin * 2 };
+        drawPhoto(page, photo, cell, { fill: placement !== 'fit', maxScale: placement === 'fit' ? 1 : Infinity });
+    });
+}
+
+// Fixed-size prints (4R, pas foto) tiled with a gap to cut along. A single
+// photo is repeated to fill the page; several photos are printed once each.
+function layoutPrints(pdfDoc, photos, [pageWidth, pageHeight], size, placement) {
+    const area = [pageWidth - PAGE_MARGIN * 2, pageHeight - PAGE_MARGIN * 2];
+    const fitting = ([width, height]) => ({
+        columns: Math.max(1, Math.floor((area[0] + CUT_GAP) / (width + CUT_GAP))),
+        rows: Math.max(1, Math.floor((area[1] + CUT_GAP) / (height + CUT_GAP))),
+        width,
+        height
+    });
+    // Lay the prints sideways when more of them fit that way.
+    const upright = fitting([size[0] * MM, size[1] * MM]);
+    const sideways = fitting([size[1] * MM, size[0] * MM]);
+    const grid = sideways.columns * sideways.rows > upright.columns * upright.rows ? sideways : upright;
+    const perPage = grid.columns * grid.rows;
+
+    const left = (pageWidth - (grid.columns * (grid.width + CUT_GAP) - CUT_GAP)) / 2;
+    const top = (pageHeight + (grid.rows * (grid.height + CUT_GAP) - CUT_GAP)) / 2;
+    const cells = photos.length === 1 ? new Array(perPage).fill(photos[0]) : photos;
+
+    let page = null;
+    cells.forEach((photo, index) => {
+        const slot = index % perPage;
+        if (slot === 0) page = pdfDoc.addPage([pageWidth, pageHeight]);
+
+        const column = slot % grid.columns;
+        const row = Math.floor(slot / grid.columns);
+        const cell = {
+            x: left + column * (grid.width + CUT_GAP),
+            y: top - (row + 1) * grid.height - row * CUT_GAP,
+            width: grid.width,
+            height: grid.height
+        };
+        const [width, height] = uprightSize(photo);
+        const turn = (width > height) !== (cell.width > cell.height) && width !== height;
+        drawPhoto(page, photo, cell, { fill: placement !== 'fit', turn });
+    });
+}
+
+// Contact sheet: photos in reading order on a columns x rows grid, upright.
+function layoutContactSheet(pdfDoc, photos, [pageWidth, pageHeight], [columns, rows], placement) {
+    const margin = placement === 'borderless' ? 0 : PAGE_MARGIN;
+    const gap = placement === 'borderless' ? 0 : CONTACT_GAP;
+    const width = (pageWidth - margin * 2 - gap * (columns - 1)) / columns;
+    const height = (pageHeight - margin * 2 - gap * (rows - 1)) / rows;
+
+    let page = null;
+    photos.forEach((photo, index) => {
+        const slot = index % (columns * rows);
+        if (slot === 0) page = pdfDoc.addPage([pageWidth, pageHeight]);
+
+        const column = slot % columns;
+        const row = Math.floor(slot / columns);
+        const cell = {
+            x: margin + column * (width + gap),
+            y: pageHeight - margin - (row + 1) * height - row * gap,
+            width,
+            height
+        };
+        drawPhoto(page, photo, cell, { fill: placement !== 'fit' });
+    });
+}
+
+// Renders JPEG/PNG images ({ path, extension }) into a PDF of `pageSize`
+// ([width, height] in points), turned upright by their EXIF orientation.
+async function renderPhotos(images, outputPath, { pageSize, photoLayout, photoPlacement } = {}) {
+    const options = photoOptionsOf({ photoLayout, photoPlacement });
+    const layout = PHOTO_LAYOUTS[options.photoLayout];
+    const pdfDoc = await PDFDocument.create();
+
+    const photos = [];
+    for (const { path: imagePath, extension } of images) {
+        const buffer = fs.readFileSync(imagePath);
+        const info = readImageInfo(buffer);
+        // pdf-lib's JPEG parser ignores Buffer offsets, so hand it a standalone copy.
+        const bytes = new Uint8Array(buffer);
+        const image = extension === 'png' ? await pdfDoc.embedPng(bytes) : await pdfDoc.embedJpg(bytes);
+        photos.push({ image, orientation: info ? info.orientation : 1 });
+    }
+
+    if (layout.size) {
+        layoutPrints(pdfDoc, photos, pageSize, layout.size, options.photoPlacement);
+    } else if (layout.grid) {
+        layoutContactSheet(pdfDoc, photos, pageSize, layout.grid, options.photoPlacement);
+    } else {
+        layoutPages(pdfDoc, photos, pageSize, options.photoPlacement);
+    }
+
+    fs.writeFileSync(outputPath, await pdfDoc.save());
+    return { pdfPath: outputPath, pageCount: pdfDoc.getPageCount() };
+}
+
+module.exports = {
+    PHOTO_LAYOUTS,
+    PHOTO_PLACEMENTS,
+    DEFAULT_PHOTO,
+    photoOptionsOf,
+    readImageInfo,
+    renderPhotos
+};
@@ -0,0 +1,179 @@
+const DEFAULT_PRICING = {
+    rates: { bw: 500, color: 2000 },
+    // Replaces `rates` for a paper size, e.g. { "A3": { "bw": 1000, "color": 4000 } }.
+    paperSizes: {},
+    qualityMultipliers: { draft: 1, normal: 1, high: 1 },
+    // Fraction taken off the price of every sheet printed on both sides.
+    duplexDiscount: 0,
+    // [{ "minSheets": 100, "discount": 0.1 }]; the largest tier reached applies.
+    volumeTiers: [],
+    minimumCharge: 0,
+    // Per-printer overrides of any of the keys above.
+    printers: {}
+};
+
+function formatRupiah(amount) {
+    return `Rp ${Math.round(amount).toLocaleString('id-ID')}`;
+}
+
+function formatPercent(fraction) {
+    return `${Math.round(fraction * 1000) / 10}%`;
+}
+
+function validateRates(rates, where) {
+    for (const key of ['bw', 'color']) {
+        if (rates[key] !== undefined && !(typeof rates[key] === 'number' && rates[key] >= 0)) {
+            throw new Error(`${where}.${key} must be a non-negative number`);
+        }
+    }
+}
+
+function validateFraction(value, where) {
+    if (!(typeof value === 'number' && value >= 0 && value < 1)) {
+        throw new Error(`${where} must be a number from 0 up to (not including) 1`);
+    }
+}
+
+function validateSection(section, where) {
+    if (section.rates) validateRates(section.rates, `${where}.rates`);
+    Object.entries(section.paperSizes || {}).forEach(([size, rates]) => validateRates(rates, `${where}.paperSizes.${size}`));
+    Object.entries(section.qualityMultipliers || {}).forEach(([quality, multiplier]) => {
+        if (!(typeof multiplier === 'number' && multiplier > 0)) {
+            throw new Error(`${where}.qualityMultipliers.${quality} must be a positive number`);
+        }
+    });
+    if (section.duplexDiscount !== undefined) validateFraction(section.duplexDiscount, `${where}.duplexDiscount`);
+    (section.volumeTiers || []).forEach((tier, index) => {
+        if (!(Number.isInteger(tier.minSheets) && tier.minSheets > 0)) {
+            throw new Error(`${where}.volumeTiers[${index}].minSheets must be a positive integer`);
+        }
+        validateFraction(tier.discount, `${where}.volumeTiers[${index}].discount`);
+    });
+    if (section.minimumCharge !== undefined && !(typeof section.minimumCharge === 'number' && section.minimumCharge >= 0)) {
+        throw new Error(`${where}.minimumCharge must be a non-negative number`);
+    }
+}
+
+class PricingEngine {
+    // Throws when the section is invalid so a bad reload keeps the old prices.
+    constructor(pricingConfig = {}) {
+        validateSection(pricingConfig, 'pricing');
+        Object.entries(pricingConfig.printers || {}).forEach(([id, section]) => validateSection(section, `pricing.printers.${id}`));
+
+        this.config = {
+            ...DEFAULT_PRICING,
+            ...pricingConfig,
+            rates: { ...DEFAULT_PRICING.rates, ...(pricingConfig.rates || {}) },
+            qualityMultipliers: { ...DEFAULT_PRICING.qualityMultipliers, ...(pricingConfig.qualityMultipliers || {}) }
+        };
+    }
+
+    // `legacyCosts` is the printer's own `costs` entry from older configs; it
+    // stands in for that printer's rates when the pricing section has none.
+    settingsFor(printerId, legacyCosts = null) {
+        const override = this.config.printers[printerId] || {};
+
+        return {
+            rates: { ...this.config.rates, ...(legacyCosts || {}), ...(override.rates || {}) },
+            paperSizes: { ...this.config.paperSizes, ...(override.paperSizes || {}) },
+            qualityMultipliers: { ...this.config.qualityMultipliers, ...(override.qualityMultipliers || {}) },
+            duplexDiscount: override.duplexDiscount !== undefined ? override.duplexDiscount : this.config.duplexDiscount,
+            volumeTiers: override.volumeTiers || this.config.volumeTiers,
+            minimumCharge: override.minimumCharge !== undefined ? override.minimumCharge : this.config.minimumCharge
+        };
+    }
+
+    // Per-sheet prices for one printer, paper size and quality.
+    sheetRates(printerId, legacyCosts, paperSize, quality) {
+        const settings = this.settingsFor(printerId, legacyCosts);
+        const rates = { ...settings.rates, ...(settings.paperSizes[paperSize] || {}) };
+        const multiplier = settings.qualityMultipliers[quality] || 1;
+
+        return {
+            bw: Math.round(rates.bw * multiplier),
+            color: Math.round(rates.color * multiplier)
+        };
+    }
+
+    // `sheets` describes one copy: { sheets, colorSheets, twoSidedSheets, colorTwoSidedSheets }.
+    // Returns { items, subtotal, discounts, minimumCharge, total } with amounts in rupiah.
+    quote({ printerId, legacyCosts, colorCapable, paperSize, quality, copies, sheets }) {
+        const settings = this.settingsFor(printerId, legacyCosts);
+        const rates = this.sheetRates(printerId, legacyCosts, paperSize, quality);
+
+        const colorSheets = colorCapable ? sheets.colorSheets * copies : 0;
+        const bwSheets = sheets.sheets * copies - colorSheets;
+        const colorTwoSided = colorCapable ? sheets.colorTwoSidedSheets * copies : 0;
+        const bwTwoSided = sheets.twoSidedSheets * copies - colorTwoSided;
+
+        const items = [];
+        if (bwSheets > 0) {
+            items.push({ label: `B/W ${paperSize}`, quantity: bwSheets, unitPrice: rates.bw, amount: bwSheets * rates.bw });
+        }
+        if (colorSheets > 0) {
+            items.push({ label: `Warna ${paperSize}`, quantity: colorSheets, unitPrice: rates.color, amount: colorSheets * rates.color });
+        }
+        const subtotal = items.reduce((sum, item) => sum + item.amount, 0);
+
+        const discounts = [];
+        if (settings.duplexDiscount > 0 && bwTwoSided + colorTwoSided > 0) {
+            discounts.push({
+                label: `Diskon bolak-balik ${formatPercent(settings.duplexDiscount)}`,
+                amount: Math.round((bwTwoSided * rates.bw + colorTwoSided * rates.color) * settings.duplexDiscount)
+            });
+        }
+
+        const totalSheets = bwSheets + colorSheets;
+        const tier = settings.volumeTiers
+            .filter(candidate => totalSheets >= candidate.minSheets)
+            .sort((a, b) => b.minSheets - a.minSheets)[0];
+        if (tier) {
+            const afterDuplex = subtotal - discounts.reduce((sum, discount) => sum + discount.amount, 0);
+            discounts.push({
+                label: `Diskon volume ≥${tier.minSheets} lbr ${formatPercent(tier.discount)}`,
+                amount: Math.round(afterDuplex * tier.discount)
+            });
+        }
+
+        const discounted = subtotal - discounts.reduce((sum, discount) => sum + discount.amount, 0);
+        const minimumCharge = totalSheets > 0 && discounted < settings.minimumCharge ? settings.minimumCharge : null;
+
+        return {
+            items,
+            subtotal,
+            discounts,
+            minimumCharge,
+            total: minimumCharge !== null ? minimumCharge : discounted
+        };
+    }
+
+    describe() {
+        const lines = [
+            `B/W ${formatRupiah(this.config.rates.bw)} • Warna ${formatRupiah(this.config.rates.color)} per lembar`
+        ];
+
+        Object.entries(this.config.paperSizes).forEach(([size, rates]) => {
+            lines.push(`${size}: B/W ${formatRupiah(rates.bw !== undefined ? rates.bw : this.config.rates.bw)} • Warna ${formatRupiah(rates.color !== undefined ? rates.color : this.config.rates.color)}`);
+        });
+
+        const multipliers = Object.entries(this.config.qualityMultipliers).filter(([, multiplier]) => multiplier !== 1);
+        if (multipliers.length > 0) {
+            lines.push(`Kualitas: ${multipliers.map(([quality, multiplier]) => `${quality} ×${multiplier}`).join(', ')}`);
+        }
+        if (this.config.duplexDiscount > 0) {
+            lines.push(`Diskon bolak-balik: ${formatPercent(this.config.duplexDiscount)}`);
+        }
+        this.config.volumeTiers.forEach(tier => {
+            lines.push(`Diskon volume ≥${tier.minSheets} lbr: ${formatPercent(tier.discount)}`);
+        });
+        if (this.config.minimumCharge > 0) {
+            lines.push(`Biaya minimum: ${formatRupiah(this.config.minimumCharge)}`);
+        }
+        if (Object.keys(this.config.printers).length > 0) {
+            lines.push(`Tarif khusus printer: ${Object.keys(this.config.printers).join(', ')}`);
+        }
+        return lines;
+    }
+}
+
+module.exports = PricingEngine;
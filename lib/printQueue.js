@@ -0,0 +1,229 @@
+const EventEmitter = require('events');
+
+const JobStatus = {
+    PENDING: 'pending',
+    AWAITING_PAYMENT: 'awaiting_payment',
+    SCHEDULED: 'scheduled',
+    QUEUED: 'queued',
+    PRINTING: 'printing',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+const TRANSITIONS = {
+    pending: ['queued', 'awaiting_payment', 'scheduled', 'cancelled'],
+    awaiting_payment: ['queued', 'pending', 'scheduled', 'cancelled'],
+    scheduled: ['queued', 'cancelled'],
+    queued: ['printing', 'cancelled', 'failed'],
+    printing: ['completed', 'failed', 'queued'],
+    completed: [],
+    failed: [],
+    cancelled: []
+};
+
+const TIMESTAMP_FIELDS = {
+    awaiting_payment: 'paymentRequestedAt',
+    queued: 'queuedAt',
+    printing: 'startedAt',
+    completed: 'completedAt',
+    failed: 'failedAt',
+    cancelled: 'cancelledAt'
+};
+
+class PrintQueue extends EventEmitter {
+    constructor(processor, options = {}) {
+        super();
+        this.processor = processor;
+        this.defaultPrinter = options.defaultPrinter || 'default';
+        this.queues = new Map();
+        this.active = new Map();
+        // Jobs the processor handed back while the spooler still has them.
+        this.following = new Map();
+        this.workerStats = new Map();
+    }
+
+    static canTransition(from, to) {
+        return (TRANSITIONS[from] || []).includes(to);
+    }
+
+    transition(job, status) {
+        const from = job.status;
+        if (!PrintQueue.canTransition(from, status)) {
+            throw new Error(`Invalid job transition ${from} -> ${status} (job ${job.id})`);
+        }
+
+        job.status = status;
+        if (TIMESTAMP_FIELDS[status]) {
+            job[TIMESTAMP_FIELDS[status]] = new Date();
+        }
+
+        this.emit('transition', job, from);
+        return job;
+    }
+
+    printerKey(job) {
+        return job.printerId || this.defaultPrinter;
+    }
+
+    enqueue(job) {
+        const key = this.printerKey(job);
+        this.transition(job, JobStatus.QUEUED);
+
+        if (!this.queues.has(key)) {
+            this.queues.set(key, []);
+        }
+        this.queues.get(key).push(job);
+
+        const position = this.getPosition(job.id);
+        this.emit('queued', job, position);
+
+        setImmediate(() => this.runWorker(key));
+        return position;
+    }
+
+    restore(job) {
+        const key = this.printerKey(job);
+        if (!this.queues.has(key)) {
+            this.queues.set(key, []);
+        }
+        this.queues.get(key).push(job);
+    }
+
+    resume() {
+        for (const key of this.queues.keys()) {
+            setImmediate(() => this.runWorker(key));
+        }
+    }
+
+    cancel(jobId) {
+        for (const waiting of this.queues.values()) {
+            const index = waiting.findIndex(job => job.id === jobId);
+            if (index !== -1) {
+                const [job] = waiting.splice(index, 1);
+                this.transition(job, JobStatus.CANCELLED);
+                return job;
+            }
+        }
+        return null;
+    }
+
+    getPosition(jobId) {
+        for (const [key, waiting] of this.queues) {
+            const index = waiting.findIndex(job => job.id === jobId);
+            if (index !== -1) {
+                return index + 1 + (this.active.has(key) ? 1 : 0);
+            }
+        }
+
+        for (const job of this.active.values()) {
+            if (job.id === jobId) return 0;
+        }
+        return this.following.has(jobId) ? 0 : -1;
+    }
+
+    getJobs(printerKey = null) {
+        const keys = printerKey ? [printerKey] : Array.from(new Set([...this.queues.keys(), ...this.active.keys()]));
+        const jobs = [];
+
+        for (const key of keys) {
+            for (const followed of this.following.values()) {
+                if (followed.key === key) jobs.push(followed.job);
+            }
+            if (this.active.has(key)) jobs.push(this.active.get(key));
+            jobs.push(...(this.queues.get(key) || []));
+        }
+        return jobs;
+    }
+
+    size() {
+        return this.getJobs().length;
+    }
+
+    isBusy(printerKey) {
+        return this.active.has(printerKey);
+    }
+
+    getWorkerStats(key) {
+        if (!this.workerStats.has(key)) {
+            this.workerStats.set(key, { processed: 0, failed: 0, lastFinishedAt: null });
+        }
+        return this.workerStats.get(key);
+    }
+
+    getHealth() {
+        const keys = new Set([...this.queues.keys(), ...this.active.keys(), ...this.workerStats.keys()]);
+
+        return Array.from(keys).map(key => {
+            const activeJob = this.active.get(key) || null;
+            const stats = this.getWorkerStats(key);
+
+            return {
+                printer: key,
+                busy: Boolean(activeJob),
+                activeJobId: activeJob ? activeJob.id : null,
+                activeSince: activeJob ? activeJob.startedAt : null,
+                following: Array.from(this.following.values()).filter(followed => followed.key === key).length,
+                waiting: (this.queues.get(key) || []).length,
+                processed: stats.processed,
+                failed: stats.failed,
+                lastFinishedAt: stats.lastFinishedAt
+            };
+        });
+    }
+
+    async runWorker(key) {
+        if (this.active.has(key)) return;
+
+        const waiting = this.queues.get(key) || [];
+        while (waiting.length > 0) {
+            const job = waiting.shift();
+            this.active.set(key, job);
+
+            let outcome = false;
+            let error = null;
+
+            try {
+                this.transition(job, JobStatus.PRINTING);
+                this.emit('started', job);
+                outcome = await this.processor(job);
+            } catch (err) {
+                error = err;
+            }
+            this.active.delete(key);
+
+            // The processor resolves to a success flag, or to { finished } when
+            // the job is handed to the spooler and only done once `finished`
+            // resolves. The worker does not wait for that.
+            if (outcome && outcome.finished) {
+                this.following.set(job.id, { key, job });
+                outcome.finished.then(
+                    success => this.finish(key, job, success, null),
+                    err => this.finish(key, job, false, err)
+                );
+            } else {
+                this.finish(key, job, Boolean(outcome), error);
+            }
+        }
+    }
+
+    finish(key, job, success, error) {
+        this.following.delete(job.id);
+        if (job.status === JobStatus.PRINTING) {
+            this.transition(job, success ? JobStatus.COMPLETED : JobStatus.FAILED);
+        }
+
+        const stats = this.getWorkerStats(key);
+        stats.processed++;
+        if (!success) stats.failed++;
+        stats.lastFinishedAt = new Date();
+
+        if (success) {
+            this.emit('completed', job);
+        } else {
+            this.emit('failed', job, error);
+        }
+    }
+}
+
+module.exports = { PrintQueue, JobStatus };
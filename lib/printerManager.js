@@ -0,0 +1,150 @@
+class PrinterManager {
+    constructor(printerConfigs, createDriver) {
+        this.printers = new Map();
+
+        printerConfigs.forEach((printerConfig, index) => {
+            const id = printerConfig.id || `printer${index + 1}`;
+            const driver = createDriver(printerConfig);
+
+            this.printers.set(id, {
+                id,
+                name: printerConfig.name || printerConfig.printerName || id,
+                config: printerConfig,
+                driver,
+                capabilities: driver.configuredCapabilities(),
+                // Older configs price each printer here; see PricingEngine.settingsFor.
+                costs: printerConfig.costs || null,
+                status: null
+            });
+        });
+
+        if (this.printers.size === 0) {
+            throw new Error('At least one printer must be configured');
+        }
+
+        const flagged = this.list().find(printer => printer.config.default);
+        this.defaultId = flagged ? flagged.id : this.list()[0].id;
+    }
+
+    // Older configs only have printSettings.printerName; treat that as a single printer.
+    static printerConfigsFrom(config) {
+        if (Array.isArray(config.printers) && config.printers.length > 0) {
+            return config.printers;
+        }
+
+        const printSettings = config.printSettings || {};
+        return [{
+            id: 'default',
+            name: printSettings.printerName || 'default',
+            driver: printSettings.driver || 'auto',
+            printerName: printSettings.printerName || 'default',
+            printerUri: printSettings.printerUri || '',
+            outputDir: printSettings.outputDir,
+            capabilities: printSettings.capabilities,
+            default: true
+        }];
+    }
+
+    get(id) {
+        return this.printers.get(id) || null;
+    }
+
+    getDefault() {
+        return this.printers.get(this.defaultId);
+    }
+
+    resolve(id) {
+        return this.get(id) || this.getDefault();
+    }
+
+    list() {
+        return Array.from(this.printers.values());
+    }
+
+    findByIdOrName(query) {
+        const needle = String(query || '').toLowerCase();
+        return this.list().find(printer => printer.id.toLowerCase() === needle || printer.name.toLowerCase() === needle) || null;
+    }
+
+    async checkStatus(id) {
+        const printer = this.resolve(id);
+        try {
+            printer.status = { ...(await printer.driver.status()), lastCheck: Date.now() };
+        } catch (error) {
+            printer.status = { online: false, state: 'unknown', message: error.message, lastCheck: Date.now() };
+        }
+        return printer.status;
+    }
+
+    async checkAll() {
+        return Promise.all(this.list().map(printer => this.checkStatus(printer.id)));
+    }
+
+    async refreshCapabilities() {
+        await Promise.all(this.list().map(async (printer) => {
+            try {
+                printer.capabilities = await printer.driver.capabilities();
+            } catch (error) {
+                printer.capabilities = printer.driver.configuredCapabilities();
+            }
+        }));
+    }
+
+    combinedCapabilities() {
+        const printers = this.list();
+        const union = (key) => Array.from(new Set(printers.flatMap(printer => printer.capabilities[key])));
+
+        return {
+            paperSizes: union('paperSizes'),
+            qualities: union('qualities'),
+            duplex: printers.some(printer => printer.capabilities.duplex),
+            color: printers.some(printer => printer.capabilities.color)
+        };
+    }
+
+    // Paper size, quality and duplex are hard requirements. Color is not:
+    // a color job may fall back to a B/W device and print in grayscale.
+    // Grayscale is billed at the B/W rate, so a color device must be able
+    // to force it.
+    unsupportedOptions(printer, printOptions) {
+        const capabilities = printer.capabilities;
+        const unsupported = [];
+
+        if (printOptions.paperSize && !capabilities.paperSizes.includes(printOptions.paperSize)) {
+            unsupported.push('paperSize');
+        }
+        if (printOptions.quality && !capabilities.qualities.includes(printOptions.quality)) {
+            unsupported.push('quality');
+        }
+        if (printOptions.duplex && !capabilities.duplex) {
+            unsupported.push('duplex');
+        }
+        if (printOptions.grayscale && capabilities.color && !capabilities.monochrome) {
+            unsupported.push('grayscale');
+        }
+        return unsupported;
+    }
+
+    // allowedIds limits routing to those printers; null allows all of them.
+    route(printOptions, preferredId = null, allowedIds = null) {
+        const candidates = (preferredId ? [this.get(preferredId)].filter(Boolean) : this.list())
+            .filter(printer => !allowedIds || allowedIds.includes(printer.id));
+        const eligible = candidates.filter(printer => this.unsupportedOptions(printer, printOptions).length === 0);
+
+        if (eligible.length === 0) return null;
+
+        const score = (printer) => {
+            let value = 0;
+            if (Boolean(printOptions.color) === printer.capabilities.color) value += 4;
+            if (printer.status && !printer.status.online) value -= 8;
+            if (printer.id === this.defaultId) value += 1;
+            return value;
+        };
+
+        return eligible
+            .map((printer, index) => ({ printer, index, score: score(printer) }))
+            .sort((a, b) => b.score - a.score || a.index - b.index)[0].printer;
+    }
+}
+
+module.exports = PrinterManager;
@@ -0,0 +1,109 @@
+const { PrinterDriver, QUALITY_LEVELS, runCommand: run } = require('./PrinterDriver');
+const IppDriver = require('./IppDriver');
+
+const PAGE_SIZE_NAMES = {
+    A3: 'A3',
+    A4: 'A4',
+    A5: 'A5',
+    Letter: 'Letter',
+    Legal: 'Legal'
+};
+
+class CupsDriver extends PrinterDriver {
+    constructor(options = {}, log) {
+        super(options, log);
+
+        // The local CUPS scheduler speaks IPP, which is the only reliable way
+        // to read a queued job's state.
+        const cupsUri = (options.cupsUri || 'ipp://localhost:631').replace(/\/$/, '');
+        this.ipp = new IppDriver({
+            ...options,
+            printerUri: `${cupsUri}/printers/${encodeURIComponent(this.name)}`
+        }, log);
+    }
+
+    get type() {
+        return 'cups';
+    }
+
+    buildArgs(printJob) {
+        const options = printJob.printOptions || {};
+        const args = ['-d', this.name, '-n', String(printJob.copies || 1), '-t', printJob.originalName || printJob.fileName];
+
+        if (options.duplex) args.push('-o', `sides=two-sided-${options.duplexEdge === 'short' ? 'short' : 'long'}-edge`);
+        if (options.paperSize) args.push('-o', `media=${PAGE_SIZE_NAMES[options.paperSize] || options.paperSize}`);
+        if (QUALITY_LEVELS[options.quality]) args.push('-o', `print-quality=${QUALITY_LEVELS[options.quality]}`);
+        if (options.grayscale) args.push('-o', 'print-color-mode=monochrome');
+
+        args.push(printJob.filePath);
+        return args;
+    }
+
+    async print(printJob) {
+        const args = this.buildArgs(printJob);
+        this.log('info', 'Executing print command', { command: `lp ${args.join(' ')}`, jobId: printJob.id });
+
+        const { error, stdout, stderr } = await run('lp', args);
+        if (error) {
+            this.log('error', 'Print command failed', { error: error.message, stderr, jobId: printJob.id });
+            return { success: false, spoolJobId: null, message: stderr || error.message };
+        }
+
+        const match = stdout.match(/request id is (\S+)/);
+        this.log('info', 'Print command successful', { stdout, jobId: printJob.id });
+        return { success: true, spoolJobId: match ? match[1] : null, message: stdout.trim() };
+    }
+
+    async status() {
+        const { error, stdout, stderr } = await run('lpstat', ['-p', this.name]);
+        if (error) {
+            return { online: false, state: 'unknown', message: (stderr || error.message).trim() };
+        }
+
+        const disabled = /disabled/i.test(stdout);
+        const state = disabled ? 'stopped' : (/now printing/i.test(stdout) ? 'processing' : 'idle');
+        return { online: !disabled, state, message: stdout.trim() };
+    }
+
+    async cancel(spoolJobId) {
+        const { error } = await run('cancel', [spoolJobId]);
+        return !error;
+    }
+
+    async jobState(spoolJobId) {
+        const match = String(spoolJobId).match(/-(\d+)$/);
+        if (!match) {
+            return { state: 'unknown', reasons: [], message: `Unrecognised CUPS request id ${spoolJobId}` };
+        }
+        return this.ipp.jobState(match[1]);
+    }
+
+    async capabilities() {
+        const { error, stdout } = await run('lpoptions', ['-p', this.name, '-l']);
+        if (error) {
+            return this.configuredCapabilities();
+        }
+
+        const discovered = {};
+        for (const line of stdout.split('\n')) {
+            const [key, values] = line.split(':');
+            if (!values) continue;
+
+            const choices = values.trim().split(/\s+/).map(choice => choice.replace(/^\*/, ''));
+            const optionName = key.split('/')[0];
+
+            if (optionName === 'PageSize') {
+                const paperSizes = Object.keys(PAGE_SIZE_NAMES).filter(size => choices.includes(PAGE_SIZE_NAMES[size]));
+                if (paperSizes.length > 0) discovered.paperSizes = paperSizes;
+            } else if (optionName === 'Duplex') {
+                discovered.duplex = choices.some(choice => choice !== 'None');
+            } else if (optionName === 'ColorModel') {
+                discovered.color = choices.some(choice => /rgb|cmyk|color/i.test(choice));
+            }
+        }
+
+        return this.configuredCapabilities(discovered);
+    }
+}
+
+module.exports = CupsDriver;
@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+const ipp = require('./ipp');
+const { PrinterDriver, QUALITY_LEVELS } = require('./PrinterDriver');
+
+const { Operation, Group, Tag } = ipp;
+
+const MEDIA_KEYWORDS = {
+    A3: 'iso_a3_297x420mm',
+    A4: 'iso_a4_210x297mm',
+    A5: 'iso_a5_148x210mm',
+    Letter: 'na_letter_8.5x11in',
+    Legal: 'na_legal_8.5x14in'
+};
+
+const JOB_STATES = {
+    3: 'pending',
+    4: 'held',
+    5: 'processing',
+    6: 'held',
+    7: 'canceled',
+    8: 'aborted',
+    9: 'completed'
+};
+
+const PRINTER_STATES = {
+    3: 'idle',
+    4: 'processing',
+    5: 'stopped'
+};
+
+const DOCUMENT_FORMATS = {
+    '.pdf': 'application/pdf',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.txt': 'text/plain'
+};
+
+class IppDriver extends PrinterDriver {
+    constructor(options = {}, log) {
+        super(options, log);
+        this.printerUri = options.printerUri;
+        this.requestId = 1;
+    }
+
+    get type() {
+        return 'ipp';
+    }
+
+    operationAttributes(extra = []) {
+        return [
+            [Tag.CHARSET, 'attributes-charset', 'utf-8'],
+            [Tag.NATURAL_LANGUAGE, 'attributes-natural-language', 'en'],
+            [Tag.URI, 'printer-uri', this.printerUri],
+            [Tag.NAME, 'requesting-user-name', this.options.requestingUserName || 'waprint'],
+            ...extra
+        ];
+    }
+
+    jobAttributes(printJob) {
+        const options = printJob.printOptions || {};
+        return [
+            [Tag.INTEGER, 'copies', printJob.copies || 1],
+            [Tag.KEYWORD, 'sides', options.duplex ? `two-sided-${options.duplexEdge === 'short' ? 'short' : 'long'}-edge` : 'one-sided'],
+            [Tag.KEYWORD, 'media', MEDIA_KEYWORDS[options.paperSize]],
+            [Tag.ENUM, 'print-quality', QUALITY_LEVELS[options.quality]],
+            [Tag.KEYWORD, 'print-color-mode', options.grayscale ? 'monochrome' : undefined]
+        ];
+    }
+
+    async request(operation, groups, data = null) {
+        const body = ipp.encodeRequest(operation, this.requestId++, groups, data);
+        const response = await ipp.sendRequest(this.printerUri, body, this.options.timeout);
+
+        if (!ipp.isSuccess(response.statusCode)) {
+            const statusMessage = response.operation['status-message'] || `status 0x${response.statusCode.toString(16).padStart(4, '0')}`;
+            throw new Error(`IPP request failed: ${statusMessage}`);
+        }
+        return response;
+    }
+
+    async print(printJob) {
+        if (!this.printerUri) {
+            return { success: false, spoolJobId: null, message: 'printerUri is not configured' };
+        }
+
+        const documentFormat = DOCUMENT_FORMATS[path.extname(printJob.filePath).toLowerCase()] || 'application/octet-stream';
+        this.log('info', 'Sending IPP Create-Job', { uri: this.printerUri, jobId: printJob.id, documentFormat });
+
+        let spoolJobId = null;
+        try {
+            const created = await this.request(Operation.CREATE_JOB, [
+                {
+                    tag: Group.OPERATION,
+                    attributes: this.operationAttributes([
+                        [Tag.NAME, 'job-name', printJob.originalName || printJob.fileName]
+                    ])
+                },
+                { tag: Group.JOB, attributes: this.jobAttributes(printJob) }
+            ]);
+
+            spoolJobId = created.job['job-id'];
+            if (!spoolJobId) {
+                throw new Error('Create-Job response did not include a job-id');
+            }
+
+            const sent = await this.request(Operation.SEND_DOCUMENT, [
+                {
+                    tag: Group.OPERATION,
+                    attributes: this.operationAttributes([
+                        [Tag.INTEGER, 'job-id', spoolJobId],
+                        [Tag.MIME_MEDIA_TYPE, 'document-format', documentFormat],
+                        [Tag.BOOLEAN, 'last-document', true]
+                    ])
+                }
+            ], fs.readFileSync(printJob.filePath));
+
+            this.log('info', 'IPP job accepted', { jobId: printJob.id, spoolJobId });
+            return { success: true, spoolJobId, message: sent.job['job-state-message'] || '' };
+        } catch (error) {
+            this.log('error', 'IPP print failed', { jobId: printJob.id, spoolJobId, error: error.message });
+            if (spoolJobId) {
+                await this.cancel(spoolJobId);
+            }
+            return { success: false, spoolJobId: null, message: error.message };
+        }
+    }
+
+    async getPrinterAttributes(requested) {
+        const response = await this.request(Operation.GET_PRINTER_ATTRIBUTES, [
+            {
+                tag: Group.OPERATION,
+                attributes: this.operationAttributes([[Tag.KEYWORD, 'requested-attributes', requested]])
+            }
+        ]);
+        return response.printer;
+    }
+
+    async status() {
+        if (!this.printerUri) {
+            return { online: false, state: 'unknown', message: 'printerUri is not configured' };
+        }
+
+        try {
+            const attributes = await this.getPrinterAttributes(['printer-state', 'printer-state-reasons', 'printer-state-message']);
+            const state = PRINTER_STATES[attributes['printer-state']] || 'unknown';
+            const reasons = [].concat(attributes['printer-state-reasons'] || []).filter(reason => reason !== 'none');
+
+            return {
+                online: state === 'idle' || state === 'processing',
+                state,
+                reasons,
+                message: attributes['printer-state-message'] || reasons.join(', ')
+            };
+        } catch (error) {
+            return { online: false, state: 'unknown', message: error.message };
+        }
+    }
+
+    async cancel(spoolJobId) {
+        try {
+            await this.request(Operation.CANCEL_JOB, [
+                {
+                    tag: Group.OPERATION,
+                    attributes: this.operationAttributes([[Tag.INTEGER, 'job-id', parseInt(spoolJobId)]])
+                }
+            ]);
+            return true;
+        } catch (error) {
+            this.log('error', 'IPP Cancel-Job failed', { spoolJobId, error: error.message });
+            return false;
+        }
+    }
+
+    async jobState(spoolJobId) {
+        try {
+            const response = await this.request(Operation.GET_JOB_ATTRIBUTES, [
+                {
+                    tag: Group.OPERATION,
+                    attributes: this.operationAttributes([
+                        [Tag.INTEGER, 'job-id', parseInt(spoolJobId)],
+                        [Tag.KEYWORD, 'requested-attributes', ['job-state', 'job-state-reasons', 'job-state-message']]
+                    ])
+                }
+            ]);
+
+            const state = JOB_STATES[response.job['job-state']] || 'unknown';
+            let reasons = [].concat(response.job['job-state-reasons'] || []).filter(reason => reason !== 'none');
+
+            // Out-of-paper and toner problems are reported on the printer, not
+            // the job, and can stop a job that is already processing.
+            if (['pending', 'held', 'processing'].includes(state)) {
+                const printerStatus = await this.status();
+                reasons = Array.from(new Set([...reasons, ...(printerStatus.reasons || [])]));
+            }
+
+            return { state, reasons, message: response.job['job-state-message'] || '' };
+        } catch (error) {
+            return { state: 'unknown', reasons: [], message: error.message };
+        }
+    }
+
+    async capabilities() {
+        try {
+            const attributes = await this.getPrinterAttributes([
+                'media-supported',
+                'sides-supported',
+                'print-quality-supported',
+                'color-supported'
+            ]);
+
+            const media = [].concat(attributes['media-supported'] || []);
+            const sides = [].concat(attributes['sides-supported'] || []);
+            const qualities = [].concat(attributes['print-quality-supported'] || []);
+
+            const discovered = {
+                duplex: sides.some(side => side.startsWith('two-sided')),
+                color: attributes['color-supported'] !== false
+            };
+
+            const paperSizes = Object.keys(MEDIA_KEYWORDS).filter(size => media.includes(MEDIA_KEYWORDS[size]));
+            if (paperSizes.length > 0) discovered.paperSizes = paperSizes;
+
+            const qualityNames = Object.keys(QUALITY_LEVELS).filter(name => qualities.includes(QUALITY_LEVELS[name]));
+            if (qualityNames.length > 0) discovered.qualities = qualityNames;
+
+            return this.configuredCapabilities(discovered);
+        } catch (error) {
+            this.log('warn', 'IPP capability query failed', { error: error.message });
+            return this.configuredCapabilities();
+        }
+    }
+}
+
+module.exports = IppDriver;
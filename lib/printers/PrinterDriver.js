@@ -0,0 +1,87 @@
+const { execFile } = require('child_process');
+
+const DEFAULT_CAPABILITIES = {
+    paperSizes: ['A4', 'A3', 'Letter'],
+    qualities: ['draft', 'normal', 'high'],
+    duplex: true,
+    color: true,
+    // Can force a color document to print in black and white.
+    monochrome: true
+};
+
+const JOB_STATES = ['pending', 'processing', 'held', 'completed', 'aborted', 'canceled', 'unknown'];
+
+const QUALITY_LEVELS = {
+    draft: 3,
+    normal: 4,
+    high: 5
+};
+
+function runCommand(command, args, timeout = 30000) {
+    return new Promise((resolve) => {
+        execFile(command, args, { timeout, windowsHide: true }, (error, stdout, stderr) => {
+            resolve({ error, stdout: stdout || '', stderr: stderr || '' });
+        });
+    });
+}
+
+class PrinterDriver {
+    constructor(options = {}, log = () => {}) {
+        this.options = options;
+        this.name = options.printerName || 'default';
+        this.log = log;
+    }
+
+    get type() {
+        return 'abstract';
+    }
+
+    // Resolves { success, spoolJobId, message }.
+    async print(printJob) {
+        throw new Error(`${this.constructor.name}.print() not implemented`);
+    }
+
+    // Resolves { online, state, message }.
+    async status() {
+        throw new Error(`${this.constructor.name}.status() not implemented`);
+    }
+
+    async cancel(spoolJobId) {
+        throw new Error(`${this.constructor.name}.cancel() not implemented`);
+    }
+
+    // Resolves { state, reasons, message } where state is one of JOB_STATES.
+    async jobState(spoolJobId) {
+        return { state: 'unknown', reasons: [], message: 'Job tracking not supported' };
+    }
+
+    async capabilities() {
+        return this.configuredCapabilities();
+    }
+
+    // Configured capabilities can only narrow what the device reports.
+    configuredCapabilities(discovered = {}) {
+        const configured = this.options.capabilities || {};
+
+        const pickList = (key) => {
+            if (!discovered[key]) return configured[key] || DEFAULT_CAPABILITIES[key];
+            if (!configured[key]) return discovered[key];
+            return discovered[key].filter(value => configured[key].includes(value));
+        };
+
+        const pickFlag = (key) => {
+            const supported = key in discovered ? discovered[key] : DEFAULT_CAPABILITIES[key];
+            return supported && configured[key] !== false;
+        };
+
+        return {
+            paperSizes: pickList('paperSizes'),
+            qualities: pickList('qualities'),
+            duplex: pickFlag('duplex'),
+            color: pickFlag('color'),
+            monochrome: pickFlag('monochrome')
+        };
+    }
+}
+
+module.exports = { PrinterDriver, DEFAULT_CAPABILITIES, QUALITY_LEVELS, JOB_STATES, runCommand };
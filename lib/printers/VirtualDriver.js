@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const { PrinterDriver } = require('./PrinterDriver');
+
+class VirtualDriver extends PrinterDriver {
+    constructor(options = {}, log) {
+        super(options, log);
+        this.outputDir = path.resolve(options.outputDir || 'output');
+        this.spoolCounter = 0;
+    }
+
+    get type() {
+        return 'virtual';
+    }
+
+    ensureOutputDir() {
+        if (!fs.existsSync(this.outputDir)) {
+            fs.mkdirSync(this.outputDir, { recursive: true });
+        }
+    }
+
+    async print(printJob) {
+        try {
+            this.ensureOutputDir();
+
+            const spoolJobId = `${this.name}-${++this.spoolCounter}`;
+            const baseName = `${printJob.id}_${path.basename(printJob.filePath)}`;
+            const outputPath = path.join(this.outputDir, baseName);
+
+            fs.copyFileSync(printJob.filePath, outputPath);
+            fs.writeFileSync(`${outputPath}.json`, JSON.stringify({
+                spoolJobId,
+                jobId: printJob.id,
+                originalName: printJob.originalName,
+                copies: printJob.copies,
+                colorMode: (printJob.printOptions || {}).grayscale ? 'monochrome' : 'color',
+                printOptions: printJob.printOptions,
+                printedAt: new Date().toISOString()
+            }, null, 2));
+
+            this.log('info', 'Virtual print written', { jobId: printJob.id, outputPath });
+            return { success: true, spoolJobId, message: outputPath };
+        } catch (error) {
+            this.log('error', 'Virtual print failed', { jobId: printJob.id, error: error.message });
+            return { success: false, spoolJobId: null, message: error.message };
+        }
+    }
+
+    async status() {
+        try {
+            this.ensureOutputDir();
+            fs.accessSync(this.outputDir, fs.constants.W_OK);
+            return { online: true, state: 'idle', message: `Output: ${this.outputDir}` };
+        } catch (error) {
+            return { online: false, state: 'stopped', message: error.message };
+        }
+    }
+
+    async cancel(spoolJobId) {
+        return false;
+    }
+
+    async jobState(spoolJobId) {
+        return { state: 'completed', reasons: [], message: 'Written to output directory' };
+    }
+}
+
+module.exports = VirtualDriver;
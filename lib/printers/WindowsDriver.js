@@ -0,0 +1,99 @@
+const { PrinterDriver, runCommand } = require('./PrinterDriver');
+
+function psQuote(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function powershell(script, timeout = 60000) {
+    return runCommand('powershell', ['-NoProfile', '-NonInteractive', '-Command', script], timeout);
+}
+
+class WindowsDriver extends PrinterDriver {
+    get type() {
+        return 'windows';
+    }
+
+    usesDefaultPrinter() {
+        return !this.options.printerName || this.options.printerName === 'default';
+    }
+
+    // The shell "Print" verb prints with the document's own settings, so only
+    // SumatraPDF (`sumatraPath`) can force black and white.
+    configuredCapabilities(discovered = {}) {
+        return super.configuredCapabilities({ monochrome: Boolean(this.options.sumatraPath), ...discovered });
+    }
+
+    sumatraArgs(printJob) {
+        const options = printJob.printOptions || {};
+        const settings = [
+            `${printJob.copies || 1}x`,
+            options.grayscale ? 'monochrome' : 'color',
+            options.duplex ? `duplex${options.duplexEdge === 'short' ? 'short' : 'long'}` : 'simplex'
+        ];
+        if (options.paperSize) settings.push(`paper=${options.paperSize}`);
+
+        const target = this.usesDefaultPrinter() ? ['-print-to-default'] : ['-print-to', this.name];
+        return [...target, '-print-settings', settings.join(','), '-silent', printJob.filePath];
+    }
+
+    async printWithSumatra(printJob) {
+        const args = this.sumatraArgs(printJob);
+        this.log('info', 'Executing print command', { command: `${this.options.sumatraPath} ${args.join(' ')}`, jobId: printJob.id });
+
+        const { error, stdout, stderr } = await runCommand(this.options.sumatraPath, args, 120000);
+        if (error) {
+            this.log('error', 'Print command failed', { error: error.message, stderr, jobId: printJob.id });
+            return { success: false, spoolJobId: null, message: stderr || error.message };
+        }
+
+        this.log('info', 'Print command successful', { stdout, jobId: printJob.id });
+        return { success: true, spoolJobId: null, message: stdout.trim() };
+    }
+
+    async print(printJob) {
+        if (this.options.sumatraPath) {
+            return this.printWithSumatra(printJob);
+        }
+
+        const copies = printJob.copies || 1;
+        const verb = this.usesDefaultPrinter()
+            ? '-Verb Print'
+            : `-Verb PrintTo -ArgumentList ${psQuote(`"${this.name}"`)}`;
+
+        const script = `for ($i = 0; $i -lt ${copies}; $i++) { Start-Process -FilePath ${psQuote(printJob.filePath)} ${verb} -Wait }`;
+        this.log('info', 'Executing print command', { command: script, jobId: printJob.id });
+
+        const { error, stdout, stderr } = await powershell(script);
+        if (error) {
+            this.log('error', 'Print command failed', { error: error.message, stderr, jobId: printJob.id });
+            return { success: false, spoolJobId: null, message: stderr || error.message };
+        }
+
+        this.log('info', 'Print command successful', { stdout, jobId: printJob.id });
+        return { success: true, spoolJobId: null, message: stdout.trim() };
+    }
+
+    async status() {
+        const target = this.usesDefaultPrinter()
+            ? "Get-CimInstance Win32_Printer | Where-Object { $_.Default } | ForEach-Object { Get-Printer -Name $_.Name }"
+            : `Get-Printer -Name ${psQuote(this.name)}`;
+
+        const { error, stdout, stderr } = await powershell(`${target} | Select-Object -ExpandProperty PrinterStatus`);
+        if (error) {
+            return { online: false, state: 'unknown', message: (stderr || error.message).trim() };
+        }
+
+        const printerStatus = stdout.trim();
+        const online = ['Normal', 'Printing', 'Processing'].includes(printerStatus);
+        return { online, state: online ? 'idle' : 'stopped', message: printerStatus };
+    }
+
+    async cancel(spoolJobId) {
+        if (this.usesDefaultPrinter()) return false;
+
+        const { error } = await powershell(`Remove-PrintJob -PrinterName ${psQuote(this.name)} -ID ${parseInt(spoolJobId)}`);
+        return !error;
+    }
+}
+
+module.exports = WindowsDriver;
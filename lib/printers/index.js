@@ -0,0 +1,40 @@
+const { PrinterDriver, DEFAULT_CAPABILITIES } = require('./PrinterDriver');
+const CupsDriver = require('./CupsDriver');
+const WindowsDriver = require('./WindowsDriver');
+const IppDriver = require('./IppDriver');
+const VirtualDriver = require('./VirtualDriver');
+
+const DRIVERS = {
+    cups: CupsDriver,
+    windows: WindowsDriver,
+    ipp: IppDriver,
+    virtual: VirtualDriver
+};
+
+function resolveDriverType(options) {
+    const type = options.driver || 'auto';
+    if (type !== 'auto') return type;
+
+    if (options.printerUri) return 'ipp';
+    return process.platform === 'win32' ? 'windows' : 'cups';
+}
+
+function createPrinterDriver(options = {}, log) {
+    const type = resolveDriverType(options);
+    const Driver = DRIVERS[type];
+
+    if (!Driver) {
+        throw new Error(`Unknown printer driver "${type}". Available: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+    return new Driver(options, log);
+}
+
+module.exports = {
+    createPrinterDriver,
+    PrinterDriver,
+    DEFAULT_CAPABILITIES,
+    CupsDriver,
+    WindowsDriver,
+    IppDriver,
+    VirtualDriver
+};
@@ -0,0 +1,205 @@
+const axios = require('axios');
+
+const Operation = {
+    PRINT_JOB: 0x0002,
+    VALIDATE_JOB: 0x0004,
+    CREATE_JOB: 0x0005,
+    SEND_DOCUMENT: 0x0006,
+    CANCEL_JOB: 0x0008,
+    GET_JOB_ATTRIBUTES: 0x0009,
+    GET_PRINTER_ATTRIBUTES: 0x000B
+};
+
+const Group = {
+    OPERATION: 0x01,
+    JOB: 0x02,
+    END: 0x03,
+    PRINTER: 0x04,
+    UNSUPPORTED: 0x05
+};
+
+const Tag = {
+    INTEGER: 0x21,
+    BOOLEAN: 0x22,
+    ENUM: 0x23,
+    BEGIN_COLLECTION: 0x34,
+    END_COLLECTION: 0x37,
+    TEXT: 0x41,
+    NAME: 0x42,
+    KEYWORD: 0x44,
+    URI: 0x45,
+    CHARSET: 0x47,
+    NATURAL_LANGUAGE: 0x48,
+    MIME_MEDIA_TYPE: 0x49
+};
+
+const GROUP_NAMES = {
+    [Group.OPERATION]: 'operation',
+    [Group.JOB]: 'job',
+    [Group.PRINTER]: 'printer',
+    [Group.UNSUPPORTED]: 'unsupported'
+};
+
+function encodeValue(tag, value) {
+    if (tag === Tag.INTEGER || tag === Tag.ENUM) {
+        const buffer = Buffer.alloc(4);
+        buffer.writeInt32BE(value);
+        return buffer;
+    }
+    if (tag === Tag.BOOLEAN) {
+        return Buffer.from([value ? 1 : 0]);
+    }
+    return Buffer.from(String(value), 'utf8');
+}
+
+function encodeAttribute(tag, name, values) {
+    const parts = [];
+    (Array.isArray(values) ? values : [values]).forEach((value, index) => {
+        const nameBuffer = Buffer.from(index === 0 ? name : '', 'utf8');
+        const valueBuffer = encodeValue(tag, value);
+        const header = Buffer.alloc(3);
+        header.writeUInt8(tag, 0);
+        header.writeUInt16BE(nameBuffer.length, 1);
+        const valueLength = Buffer.alloc(2);
+        valueLength.writeUInt16BE(valueBuffer.length);
+        parts.push(header, nameBuffer, valueLength, valueBuffer);
+    });
+    return Buffer.concat(parts);
+}
+
+// groups: [{ tag: Group.OPERATION, attributes: [[Tag.URI, 'printer-uri', uri], ...] }]
+function encodeRequest(operation, requestId, groups, data = null) {
+    const header = Buffer.alloc(8);
+    header.writeUInt8(1, 0);
+    header.writeUInt8(1, 1);
+    header.writeUInt16BE(operation, 2);
+    header.writeUInt32BE(requestId, 4);
+
+    const parts = [header];
+    for (const group of groups) {
+        parts.push(Buffer.from([group.tag]));
+        for (const [tag, name, values] of group.attributes) {
+            if (values === undefined || values === null) continue;
+            parts.push(encodeAttribute(tag, name, values));
+        }
+    }
+    parts.push(Buffer.from([Group.END]));
+
+    if (data) parts.push(data);
+    return Buffer.concat(parts);
+}
+
+function decodeValue(tag, buffer) {
+    if ((tag === Tag.INTEGER || tag === Tag.ENUM) && buffer.length === 4) {
+        return buffer.readInt32BE(0);
+    }
+    if (tag === Tag.BOOLEAN) {
+        return buffer[0] === 1;
+    }
+    if (tag >= 0x40 && tag <= 0x4F) {
+        return buffer.toString('utf8');
+    }
+    return buffer;
+}
+
+function decodeResponse(buffer) {
+    const response = {
+        version: `${buffer[0]}.${buffer[1]}`,
+        statusCode: buffer.readUInt16BE(2),
+        requestId: buffer.readUInt32BE(4),
+        groups: {}
+    };
+
+    let offset = 8;
+    let currentGroup = null;
+    let lastName = null;
+    let collectionDepth = 0;
+
+    while (offset < buffer.length) {
+        const tag = buffer[offset++];
+
+        if (tag === Group.END) break;
+        if (tag <= 0x0F) {
+            const groupName = GROUP_NAMES[tag] || `group-${tag}`;
+            currentGroup = {};
+            response.groups[groupName] = response.groups[groupName] || [];
+            response.groups[groupName].push(currentGroup);
+            continue;
+        }
+
+        const nameLength = buffer.readUInt16BE(offset);
+        offset += 2;
+        const name = buffer.toString('utf8', offset, offset + nameLength);
+        offset += nameLength;
+        const valueLength = buffer.readUInt16BE(offset);
+        offset += 2;
+        const value = buffer.subarray(offset, offset + valueLength);
+        offset += valueLength;
+
+        // Collection members are skipped; callers only need flat attributes.
+        if (tag === Tag.BEGIN_COLLECTION) {
+            if (collectionDepth === 0 && name) lastName = name;
+            collectionDepth++;
+            continue;
+        }
+        if (tag === Tag.END_COLLECTION) {
+            collectionDepth--;
+            continue;
+        }
+        if (collectionDepth > 0 || !currentGroup) continue;
+
+        const attributeName = name || lastName;
+        const decoded = decodeValue(tag, value);
+        lastName = attributeName;
+
+        if (name) {
+            currentGroup[attributeName] = decoded;
+        } else if (Array.isArray(currentGroup[attributeName])) {
+            currentGroup[attributeName].push(decoded);
+        } else if (attributeName in currentGroup) {
+            currentGroup[attributeName] = [currentGroup[attributeName], decoded];
+        }
+    }
+
+    response.operation = (response.groups.operation || [])[0] || {};
+    response.job = (response.groups.job || [])[0] || {};
+    response.printer = (response.groups.printer || [])[0] || {};
+    return response;
+}
+
+function toHttpUrl(printerUri) {
+    const url = new URL(printerUri);
+    if (!['ipp:', 'ipps:'].includes(url.protocol)) {
+        return printerUri;
+    }
+
+    const scheme = url.protocol === 'ipps:' ? 'https' : 'http';
+    return `${scheme}://${url.hostname}:${url.port || 631}${url.pathname}${url.search}`;
+}
+
+async function sendRequest(printerUri, body, timeout = 30000) {
+    const response = await axios.post(toHttpUrl(printerUri), body, {
+        headers: { 'Content-Type': 'application/ipp' },
+        responseType: 'arraybuffer',
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
+        timeout
+    });
+
+    return decodeResponse(Buffer.from(response.data));
+}
+
+function isSuccess(statusCode) {
+    return statusCode >= 0x0000 && statusCode <= 0x00FF;
+}
+
+module.exports = {
+    Operation,
+    Group,
+    Tag,
+    encodeRequest,
+    decodeResponse,
+    sendRequest,
+    toHttpUrl,
+    isSuccess
+};
@@ -0,0 +1,192 @@
+const PERIODS = ['daily', 'weekly', 'monthly'];
+const METRICS = ['pages', 'sheets'];
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function startOfPeriod(period, date) {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    if (period === 'weekly') {
+        // Weeks start on Monday.
+        start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    } else if (period === 'monthly') {
+        start.setDate(1);
+    }
+    return start;
+}
+
+function periodKey(period, date) {
+    const start = startOfPeriod(period, date);
+    const day = `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}`;
+    return period === 'monthly' ? day.slice(0, 7) : (period === 'weekly' ? `W${day}` : day);
+}
+
+function periodEnd(period, date) {
+    const end = startOfPeriod(period, date);
+    if (period === 'daily') end.setDate(end.getDate() + 1);
+    if (period === 'weekly') end.setDate(end.getDate() + 7);
+    if (period === 'monthly') end.setMonth(end.getMonth() + 1);
+    return end;
+}
+
+// Merges limit sections ({ daily: { pages, sheets }, ... }); later sections win
+// per period and metric. null means unlimited.
+function mergeLimits(...sections) {
+    const limits = {};
+    for (const section of sections) {
+        for (const period of PERIODS) {
+            if (!section || !section[period]) continue;
+            limits[period] = { ...(limits[period] || {}), ...section[period] };
+        }
+    }
+    return limits;
+}
+
+// Page and sheet allowances per user and per group chat, counted in the
+// bot's Store. Usage is reserved when a job leaves the confirmation step and
+// released again if it fails or is cancelled.
+class QuotaManager {
+    constructor(store, config = {}, log = () => {}) {
+        this.store = store;
+        this.config = config;
+        this.log = log;
+    }
+
+    get enabled() {
+        return Boolean(this.config.enabled);
+    }
+
+    // Role limits, overridden per period and metric by per-user limits.
+    userSubject(userNumber, role) {
+        return {
+            id: `user:${userNumber}`,
+            type: 'user',
+            limits: mergeLimits((this.config.roles || {})[role], (this.config.users || {})[userNumber])
+        };
+    }
+
+    // A group chat shares one pool between all of its members.
+    groupSubject(chatId) {
+        return {
+            id: `group:${chatId}`,
+            type: 'group',
+            limits: mergeLimits((this.config.groups || {})[chatId])
+        };
+    }
+
+    subjectsFor({ userNumber, role, chatId }) {
+        const subjects = [this.userSubject(userNumber, role)];
+        if (chatId && chatId.endsWith('@g.us')) {
+            subjects.push(this.groupSubject(chatId));
+        }
+        return subjects;
+    }
+
+    // Usage for the current periods; counters from an earlier period read as zero.
+    usage(subjectId, now = new Date()) {
+        const stored = this.store.get('quotaUsage', subjectId) || {};
+        const usage = {};
+
+        for (const period of PERIODS) {
+            const key = periodKey(period, now);
+            const entry = stored[period] && stored[period].key === key ? stored[period] : null;
+            usage[period] = {
+                key,
+                pages: entry ? entry.pages : 0,
+                sheets: entry ? entry.sheets : 0,
+                bonus: entry ? { ...entry.bonus } : { pages: 0, sheets: 0 }
+            };
+        }
+        return usage;
+    }
+
+    // One entry per limited period/metric with its remaining allowance.
+    remaining(subject, now = new Date()) {
+        const usage = this.usage(subject.id, now);
+        const entries = [];
+
+        for (const period of PERIODS) {
+            for (const metric of METRICS) {
+                const limit = subject.limits[period] ? subject.limits[period][metric] : null;
+                if (limit === null || limit === undefined) continue;
+
+                const allowance = limit + usage[period].bonus[metric];
+                entries.push({
+                    subject: subject.id,
+                    type: subject.type,
+                    period,
+                    metric,
+                    limit: allowance,
+                    used: usage[period][metric],
+                    remaining: Math.max(0, allowance - usage[period][metric]),
+                    resetsAt: periodEnd(period, now)
+                });
+            }
+        }
+        return entries;
+    }
+
+    // Returns the limits the job would exceed; empty when it fits.
+    check(subjects, amounts, now = new Date()) {
+        return subjects
+            .flatMap(subject => this.remaining(subject, now))
+            .filter(entry => amounts[entry.metric] > entry.remaining);
+    }
+
+    // Returns the reservation to hand back to release().
+    reserve(subjects, amounts, now = new Date()) {
+        const keys = {};
+        for (const subject of subjects) {
+            this.add(subject.id, amounts, now);
+        }
+        PERIODS.forEach(period => { keys[period] = periodKey(period, now); });
+
+        return { subjects: subjects.map(subject => subject.id), pages: amounts.pages, sheets: amounts.sheets, keys };
+    }
+
+    // Usage only comes back while the period it was counted in is still running.
+    release(reservation, now = new Date()) {
+        for (const subjectId of reservation.subjects) {
+            const stored = this.store.get('quotaUsage', subjectId) || {};
+            for (const period of PERIODS) {
+                const entry = stored[period];
+                if (!entry || entry.key !== reservation.keys[period] || entry.key !== periodKey(period, now)) continue;
+                entry.pages = Math.max(0, entry.pages - reservation.pages);
+                entry.sheets = Math.max(0, entry.sheets - reservation.sheets);
+            }
+            this.store.set('quotaUsage', subjectId, stored);
+        }
+    }
+
+    add(subjectId, amounts, now) {
+        const usage = this.usage(subjectId, now);
+        for (const period of PERIODS) {
+            usage[period].pages += amounts.pages;
+            usage[period].sheets += amounts.sheets;
+        }
+        this.store.set('quotaUsage', subjectId, usage);
+    }
+
+    // Extra allowance for the current period only.
+    grant(subjectId, period, metric, amount, now = new Date()) {
+        const usage = this.usage(subjectId, now);
+        usage[period].bonus[metric] += amount;
+        this.store.set('quotaUsage', subjectId, usage);
+        this.log('info', 'Quota granted', { subject: subjectId, period, metric, amount });
+        return usage[period];
+    }
+
+    // Clears the counters of the current period; granted allowance is kept.
+    reset(subjectId, period = null, now = new Date()) {
+        const usage = this.usage(subjectId, now);
+        for (const name of period ? [period] : PERIODS) {
+            usage[name].pages = 0;
+            usage[name].sheets = 0;
+        }
+        this.store.set('quotaUsage', subjectId, usage);
+        this.log('info', 'Quota reset', { subject: subjectId, period: period || 'all' });
+    }
+}
+
+module.exports = { QuotaManager, PERIODS, METRICS };
@@ -0,0 +1,125 @@
+const DEFAULT_ROLES = {
+    admin: {
+        permissions: ['*'],
+        color: true,
+        maxCopies: 10,
+        printers: null
+    },
+    operator: {
+        permissions: ['print', 'jobs.manage', 'ratelimit.bypass', 'admin.stats', 'admin.users', 'admin.queue', 'admin.printer', 'admin.quota', 'admin.logs'],
+        color: true,
+        maxCopies: 10,
+        printers: null
+    },
+    member: {
+        permissions: ['print'],
+        color: true,
+        maxCopies: 10,
+        printers: null
+    },
+    guest: {
+        permissions: ['print'],
+        color: false,
+        maxCopies: 1,
+        printers: null
+    }
+};
+
+// `permissions` entries are exact names ("admin.broadcast"), a prefix
+// wildcard ("admin.*") or "*" for everything.
+function grants(permissions, permission) {
+    return permissions.some(entry => entry === '*'
+        || entry === permission
+        || (entry.endsWith('.*') && permission.startsWith(entry.slice(0, -1))));
+}
+
+// Resolves each number to a role and its policy. Lookup order: numbers in
+// adminNumbers, roles assigned from WhatsApp (kept in the `roles` Store
+// collection), bot.userRoles from config, then defaultRole. When
+// allowedUsers is non-empty, numbers outside it get no role at all.
+class RoleManager {
+    constructor(store, options = {}, log = () => {}) {
+        this.store = store;
+        this.log = log;
+        this.configure(options);
+    }
+
+    configure(options) {
+        const configured = options.roles || {};
+        this.roles = {};
+        for (const name of new Set([...Object.keys(DEFAULT_ROLES), ...Object.keys(configured)])) {
+            this.roles[name] = { permissions: [], color: true, maxCopies: 10, printers: null, ...DEFAULT_ROLES[name], ...configured[name] };
+        }
+
+        this.defaultRole = options.defaultRole || 'member';
+        if (!this.roles[this.defaultRole]) {
+            throw new Error(`Default role "${this.defaultRole}" is not defined`);
+        }
+
+        this.adminNumbers = new Set(options.adminNumbers || []);
+        this.assignments = options.assignments || {};
+        this.allowedUsers = options.allowedUsers || [];
+    }
+
+    roleOf(userNumber) {
+        if (this.adminNumbers.has(userNumber)) return 'admin';
+
+        const assigned = this.store.get('roles', userNumber) || this.assignments[userNumber];
+        if (assigned) {
+            if (this.roles[assigned]) return assigned;
+            this.log('warn', 'Unknown role assigned, using default', { user: userNumber, role: assigned });
+        }
+
+        if (this.allowedUsers.length > 0 && !this.allowedUsers.includes(userNumber)) {
+            return null;
+        }
+        return this.defaultRole;
+    }
+
+    // Returns { name, permissions, color, maxCopies, printers } or null for
+    // numbers without access.
+    policy(userNumber) {
+        const name = this.roleOf(userNumber);
+        return name ? { name, ...this.roles[name] } : null;
+    }
+
+    can(userNumber, permission) {
+        const policy = this.policy(userNumber);
+        return Boolean(policy) && grants(policy.permissions, permission);
+    }
+
+    // True when the role grants at least one permission under `prefix`.
+    canAny(userNumber, prefix) {
+        const policy = this.policy(userNumber);
+        return Boolean(policy) && policy.permissions.some(entry => entry === '*' || entry.startsWith(prefix));
+    }
+
+    // Passing null removes the WhatsApp assignment so config applies again.
+    assign(userNumber, role, by) {
+        if (this.adminNumbers.has(userNumber)) {
+            throw new Error(`${userNumber} is listed in bot.adminNumbers`);
+        }
+        if (role !== null && !this.roles[role]) {
+            throw new Error(`Unknown role "${role}"`);
+        }
+
+        if (role === null) {
+            this.store.delete('roles', userNumber);
+        } else {
+            this.store.set('roles', userNumber, role);
+        }
+        this.log('info', 'Role assigned', { user: userNumber, role: role || 'default', by });
+        return this.roleOf(userNumber);
+    }
+
+    // Every number with an explicit role, from config and from WhatsApp.
+    members() {
+        const members = {};
+        this.adminNumbers.forEach(userNumber => { members[userNumber] = 'admin'; });
+        Object.entries(this.assignments).forEach(([userNumber, role]) => { members[userNumber] = role; });
+        this.store.entries('roles').forEach(([userNumber, role]) => { members[userNumber] = role; });
+        return members;
+    }
+}
+
+module.exports = { RoleManager, DEFAULT_ROLES };
@@ -0,0 +1,66 @@
+const DAY_OFFSETS = {
+    besok: 1,
+    lusa: 2
+};
+
+const RELATIVE_UNITS = {
+    m: 60 * 1000,
+    menit: 60 * 1000,
+    j: 60 * 60 * 1000,
+    jam: 60 * 60 * 1000
+};
+
+// Parses when a job should print, in the server's time zone:
+// "07:00" / "7.30" / "19" (today, or tomorrow once that time has passed),
+// "besok 07:00", "lusa 7", "20/10 07:00" (next year once that date has
+// passed), "20/10/2026 07:00", and "30m" /
+// "2 jam" from now. Returns { at } or { error } with a user-facing reason.
+function parseScheduleTime(text, now = new Date()) {
+    const spec = String(text || '').trim().toLowerCase();
+    if (!spec) {
+        return { error: 'Waktu jadwal kosong.' };
+    }
+
+    const relative = spec.match(/^(\d+)\s*(m|menit|j|jam)$/);
+    if (relative) {
+        return { at: new Date(now.getTime() + parseInt(relative[1]) * RELATIVE_UNITS[relative[2]]) };
+    }
+
+    const match = spec.match(/^(?:(besok|lusa)|(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?)?\s*(?:jam\s*)?(\d{1,2})(?:[:.](\d{2}))?$/);
+    if (!match) {
+        return { error: `"${text}" bukan format waktu yang valid.` };
+    }
+
+    const [, dayWord, day, month, year, hour, minute = '0'] = match;
+    if (parseInt(hour) > 23 || parseInt(minute) > 59) {
+        return { error: `Jam ${hour}:${minute.padStart(2, '0')} tidak valid.` };
+    }
+
+    const at = new Date(now);
+    at.setHours(parseInt(hour), parseInt(minute), 0, 0);
+
+    if (day) {
+        at.setFullYear(year ? parseInt(year) : now.getFullYear(), parseInt(month) - 1, parseInt(day));
+        if (at.getDate() !== parseInt(day) || at.getMonth() !== parseInt(month) - 1) {
+            return { error: `Tanggal ${day}/${month} tidak valid.` };
+        }
+        // "1/1 07:00" in October means next January.
+        if (!year && at <= now) {
+            at.setFullYear(at.getFullYear() + 1);
+            if (at.getDate() !== parseInt(day)) {
+                return { error: `Tanggal ${day}/${month} tidak valid.` };
+            }
+        }
+    } else if (dayWord) {
+        at.setDate(at.getDate() + DAY_OFFSETS[dayWord]);
+    } else if (at <= now) {
+        at.setDate(at.getDate() + 1);
+    }
+
+    if (at <= now) {
+        return { error: `Waktu ${at.toLocaleString('id-ID')} sudah lewat.` };
+    }
+    return { at };
+}
+
+module.exports = { parseScheduleTime };
@@ -0,0 +1,69 @@
+const net = require('net');
+
+const CHUNK_SIZE = 64 * 1024;
+
+// Minimal clamd client using the INSTREAM command, over a unix socket
+// (`socket`) or TCP (`host` + `port`).
+class ClamAvScanner {
+    constructor(options = {}) {
+        this.socket = options.socket || '';
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port || 3310;
+        this.timeout = options.timeout || 30000;
+    }
+
+    connectOptions() {
+        return this.socket ? { path: this.socket } : { host: this.host, port: this.port };
+    }
+
+    get target() {
+        return this.socket || `${this.host}:${this.port}`;
+    }
+
+    // Resolves { infected, signature }. Rejects when clamd is unreachable,
+    // times out or reports an error (e.g. the file exceeds StreamMaxLength).
+    scan(buffer) {
+        return new Promise((resolve, reject) => {
+            const connection = net.createConnection(this.connectOptions());
+            const chunks = [];
+            let settled = false;
+
+            const finish = (error, result) => {
+                if (settled) return;
+                settled = true;
+                connection.destroy();
+                if (error) reject(error); else resolve(result);
+            };
+
+            connection.setTimeout(this.timeout, () => finish(new Error(`clamd at ${this.target} timed out`)));
+            connection.on('error', error => finish(new Error(`clamd at ${this.target}: ${error.message}`)));
+            connection.on('data', chunk => chunks.push(chunk));
+            connection.on('end', () => {
+                const reply = Buffer.concat(chunks).toString('utf8').replace(/\0/g, '').trim();
+                const match = reply.match(/^stream: (.+) FOUND$/);
+
+                if (match) {
+                    finish(null, { infected: true, signature: match[1] });
+                } else if (reply === 'stream: OK') {
+                    finish(null, { infected: false, signature: null });
+                } else {
+                    finish(new Error(`clamd replied "${reply}"`));
+                }
+            });
+
+            connection.on('connect', () => {
+                connection.write('zINSTREAM\0');
+                for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+                    const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+                    const size = Buffer.alloc(4);
+                    size.writeUInt32BE(chunk.length);
+                    connection.write(size);
+                    connection.write(chunk);
+                }
+                connection.write(Buffer.alloc(4));
+            });
+        });
+    }
+}
+
+module.exports = ClamAvScanner;
@@ -0,0 +1,103 @@
+// Identifies files by their leading bytes instead of the mimetype the
+// sender's phone attached. `type` is a family name; `extensions` lists the
+// extensions that are allowed to carry it.
+const SIGNATURES = [
+    { type: 'png', extensions: ['png'], bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { type: 'jpeg', extensions: ['jpg', 'jpeg'], bytes: [0xff, 0xd8, 0xff] },
+    { type: 'gif', extensions: ['gif'], text: 'GIF8' },
+    { type: 'tiff', extensions: ['tif', 'tiff'], bytes: [0x49, 0x49, 0x2a, 0x00] },
+    { type: 'tiff', extensions: ['tif', 'tiff'], bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+    { type: 'rtf', extensions: ['rtf', 'doc'], text: '{\\rtf' },
+    { type: 'ole', extensions: ['doc', 'xls', 'ppt'], bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+    { type: 'zip', extensions: [], bytes: [0x50, 0x4b, 0x03, 0x04] },
+    { type: 'executable', extensions: [], text: 'MZ', binary: true },
+    { type: 'executable', extensions: [], bytes: [0x7f, 0x45, 0x4c, 0x46] },
+    { type: 'executable', extensions: [], bytes: [0xcf, 0xfa, 0xed, 0xfe] },
+    { type: 'executable', extensions: [], bytes: [0xfe, 0xed, 0xfa, 0xcf] },
+    { type: 'executable', extensions: [], bytes: [0xca, 0xfe, 0xba, 0xbe] },
+    { type: 'archive', extensions: [], text: 'Rar!' },
+    { type: 'archive', extensions: [], bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+    { type: 'archive', extensions: [], bytes: [0x1f, 0x8b] }
+];
+
+// Office Open XML and OpenDocument files are zip archives. Entry names are
+// stored uncompressed in the local headers and in the central directory at
+// the end, so they can be matched directly.
+const ZIP_FORMATS = [
+    { type: 'docx', extensions: ['docx'], marker: 'word/' },
+    { type: 'xlsx', extensions: ['xlsx'], marker: 'xl/' },
+    { type: 'pptx', extensions: ['pptx'], marker: 'ppt/' },
+    { type: 'odt', extensions: ['odt'], marker: 'application/vnd.oasis.opendocument.text' },
+    { type: 'ods', extensions: ['ods'], marker: 'application/vnd.oasis.opendocument.spreadsheet' },
+    { type: 'odp', extensions: ['odp'], marker: 'application/vnd.oasis.opendocument.presentation' }
+];
+
+// A wrong mimetype within one of these groups (a PNG sent as image/jpeg) is
+// corrected; across groups it is refused.
+const INTERCHANGEABLE = [
+    ['jpg', 'jpeg', 'png', 'gif', 'tif', 'tiff'],
+    ['txt', 'html', 'htm']
+];
+
+// Types that must never reach the printer, whatever they are called.
+const DANGEROUS_TYPES = ['executable', 'archive', 'zip'];
+
+// The PDF header may be preceded by junk, which readers tolerate.
+const PDF_HEADER_WINDOW = 1024;
+const TEXT_SAMPLE_SIZE = 8192;
+const ZIP_SEARCH_WINDOW = 64 * 1024;
+
+function startsWith(buffer, signature) {
+    const expected = signature.bytes ? Buffer.from(signature.bytes) : Buffer.from(signature.text, 'latin1');
+    return buffer.length >= expected.length && buffer.subarray(0, expected.length).equals(expected);
+}
+
+// Text in any single-byte or UTF-8 encoding has no NUL bytes and almost no
+// control characters other than tab, newline, form feed and carriage return.
+function looksLikeText(buffer) {
+    const sample = buffer.subarray(0, TEXT_SAMPLE_SIZE);
+    if (sample.length === 0 || sample.includes(0)) return false;
+
+    let control = 0;
+    for (const byte of sample) {
+        if (byte < 0x20 && ![0x09, 0x0a, 0x0c, 0x0d, 0x1b].includes(byte)) control++;
+    }
+    return control / sample.length < 0.01;
+}
+
+// Returns { type, extensions } or null when the content is not recognised.
+function detectFileType(buffer) {
+    // Magic numbers at offset 0 come first, so an executable or archive with
+    // "%PDF-" in its first kilobyte is still caught.
+    const signature = SIGNATURES.find(entry => startsWith(buffer, entry) && !(entry.binary && looksLikeText(buffer)));
+    if (signature && signature.type === 'zip') {
+        const names = buffer.subarray(0, ZIP_SEARCH_WINDOW).toString('latin1') + buffer.subarray(-ZIP_SEARCH_WINDOW).toString('latin1');
+        const format = ZIP_FORMATS.find(entry => names.includes(entry.marker));
+        return format ? { type: format.type, extensions: format.extensions } : { type: 'zip', extensions: [] };
+    }
+    if (signature) {
+        return { type: signature.type, extensions: signature.extensions };
+    }
+    if (buffer.subarray(0, PDF_HEADER_WINDOW).includes('%PDF-')) {
+        return { type: 'pdf', extensions: ['pdf'] };
+    }
+
+    if (looksLikeText(buffer)) {
+        const start = buffer.subarray(0, 512).toString('utf8').trimStart().toLowerCase();
+        if (start.startsWith('<!doctype html') || start.startsWith('<html')) {
+            return { type: 'html', extensions: ['html', 'htm', 'txt'] };
+        }
+        return { type: 'text', extensions: ['txt', 'html', 'htm'] };
+    }
+    return null;
+}
+
+function interchangeable(declared, actual) {
+    return INTERCHANGEABLE.some(group => group.includes(declared) && group.includes(actual));
+}
+
+function isDangerous(detected) {
+    return Boolean(detected) && DANGEROUS_TYPES.includes(detected.type);
+}
+
+module.exports = { detectFileType, isDangerous, interchangeable, DANGEROUS_TYPES };
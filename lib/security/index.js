@@ -0,0 +1,88 @@
+const { detectFileType, isDangerous, interchangeable } = require('./fileType');
+const { inspectPdf } = require('./pdfInspector');
+const ClamAvScanner = require('./clamav');
+const Quarantine = require('./quarantine');
+
+// Verdicts returned by FileScanner.scan().
+const Verdict = {
+    CLEAN: 'clean',
+    REJECT: 'reject',
+    QUARANTINE: 'quarantine'
+};
+
+// Checks an upload before it is written to temp/: the real type from its
+// magic bytes, the structure of PDFs and, when configured, a clamd scan.
+//
+// scan() resolves { verdict, extension, detectedType, code, reasons }:
+// - clean: `extension` is the type to process the file as (the detected one
+//   when the sender's mimetype was wrong but the content is allowed)
+// - reject: `code` says why (unrecognised, mismatch, damaged,
+//   scanUnavailable); the file is simply refused
+// - quarantine: `reasons` lists what was found; the file may be dangerous
+class FileScanner {
+    constructor(options = {}, log = () => {}) {
+        this.log = log;
+        this.configure(options);
+    }
+
+    configure(options) {
+        const clamav = options.clamav || {};
+        this.clamav = clamav.enabled ? new ClamAvScanner(clamav) : null;
+        this.failClosed = Boolean(clamav.failClosed);
+    }
+
+    async scan(buffer, { extension, allowedExtensions }) {
+        const detected = detectFileType(buffer);
+        const result = { verdict: Verdict.CLEAN, extension, detectedType: detected ? detected.type : null, code: null, reasons: [] };
+        const reject = (code, reason) => ({ ...result, verdict: Verdict.REJECT, code, reasons: [reason] });
+
+        if (isDangerous(detected)) {
+            return { ...result, verdict: Verdict.QUARANTINE, reasons: [`sent as .${extension} but the content is ${detected.type}`] };
+        }
+        if (!detected) {
+            return reject('unrecognised', `content does not match any supported format (sent as .${extension})`);
+        }
+        if (!detected.extensions.includes(extension)) {
+            const actual = detected.extensions.find(candidate => allowedExtensions.includes(candidate) && interchangeable(extension, candidate));
+            if (!actual) {
+                return reject('mismatch', `sent as .${extension} but the content is ${detected.type}`);
+            }
+            this.log('info', 'Upload type corrected from content', { declared: extension, detected: actual });
+            result.extension = actual;
+        }
+
+        if (detected.type === 'pdf') {
+            const inspection = await inspectPdf(buffer);
+            if (inspection.error) {
+                return reject('damaged', `PDF could not be parsed: ${inspection.error}`);
+            }
+            inspection.findings.forEach(finding => result.reasons.push(`PDF contains ${finding.description}`));
+        }
+
+        if (this.clamav) {
+            try {
+                const clamResult = await this.clamav.scan(buffer);
+                if (clamResult.infected) result.reasons.push(`ClamAV: ${clamResult.signature}`);
+            } catch (error) {
+                this.log('error', 'ClamAV scan failed', { error: error.message });
+                if (this.failClosed) {
+                    return reject('scanUnavailable', `virus scan unavailable: ${error.message}`);
+                }
+            }
+        }
+
+        if (result.reasons.length > 0) {
+            result.verdict = Verdict.QUARANTINE;
+        }
+        return result;
+    }
+}
+
+module.exports = {
+    FileScanner,
+    Verdict,
+    Quarantine,
+    ClamAvScanner,
+    detectFileType,
+    inspectPdf
+};
@@ -0,0 +1,63 @@
+const { PDFDocument, PDFDict, PDFName, PDFStream, PDFRef } = require('pdf-lib');
+
+// Structures that let a PDF do something other than display pages. Each one
+// is reported once per document.
+const FINDINGS = {
+    javascript: 'JavaScript',
+    launch: 'Launch action (runs an external program)',
+    openAction: 'OpenAction that runs when the document is opened',
+    embeddedFile: 'Embedded file',
+    richMedia: 'Rich media (Flash/video)',
+    xfa: 'XFA form'
+};
+
+const HARMLESS_ACTIONS = ['GoTo'];
+
+function nameOf(value) {
+    return value instanceof PDFName ? value.decodeText() : null;
+}
+
+// Returns { encrypted, findings: [{ code, description }], error }. Names are
+// compared after pdf-lib decodes them, so "/J#61vaScript" style obfuscation
+// and objects packed in compressed object streams are covered too.
+async function inspectPdf(buffer) {
+    let pdfDoc;
+    try {
+        pdfDoc = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false, throwOnInvalidObject: false });
+    } catch (error) {
+        return { encrypted: false, findings: [], error: error.message };
+    }
+
+    const found = new Set();
+    const lookup = value => (value instanceof PDFRef ? pdfDoc.context.lookup(value) : value);
+
+    for (const [, object] of pdfDoc.context.enumerateIndirectObjects()) {
+        const dict = object instanceof PDFStream ? object.dict : object;
+        if (!(dict instanceof PDFDict)) continue;
+
+        const keys = dict.keys().map(key => key.decodeText());
+        const type = nameOf(dict.get(PDFName.of('Type')));
+        const subtype = nameOf(dict.get(PDFName.of('Subtype')));
+        const action = nameOf(dict.get(PDFName.of('S')));
+
+        if (keys.includes('JS') || keys.includes('JavaScript') || action === 'JavaScript') found.add('javascript');
+        if (action === 'Launch') found.add('launch');
+        if (type === 'EmbeddedFile' || keys.includes('EmbeddedFiles') || subtype === 'FileAttachment') found.add('embeddedFile');
+        if (subtype === 'RichMedia') found.add('richMedia');
+        if (keys.includes('XFA')) found.add('xfa');
+    }
+
+    // Opening on a page (a destination array or a GoTo action) is harmless.
+    const openAction = lookup(pdfDoc.catalog.get(PDFName.of('OpenAction')));
+    if (openAction instanceof PDFDict && !HARMLESS_ACTIONS.includes(nameOf(openAction.get(PDFName.of('S'))))) {
+        found.add('openAction');
+    }
+
+    return {
+        encrypted: pdfDoc.isEncrypted,
+        findings: [...found].map(code => ({ code, description: FINDINGS[code] })),
+        error: null
+    };
+}
+
+module.exports = { inspectPdf, FINDINGS };
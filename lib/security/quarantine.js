@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Keeps flagged uploads out of temp/ until an admin decides. Files are
+// stored without their extension so nothing opens them by accident; the
+// metadata lives in the `quarantine` Store collection.
+class Quarantine {
+    constructor(dir, store, log = () => {}) {
+        this.dir = dir;
+        this.store = store;
+        this.log = log;
+    }
+
+    filePath(id) {
+        return path.join(this.dir, `${id}.quarantined`);
+    }
+
+    // `details` carries who sent the file and why it was flagged.
+    add(buffer, details) {
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+        }
+
+        const id = crypto.randomBytes(4).toString('hex');
+        fs.writeFileSync(this.filePath(id), buffer);
+
+        const entry = {
+            id,
+            size: buffer.length,
+            sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+            quarantinedAt: Date.now(),
+            ...details
+        };
+        this.store.set('quarantine', id, entry);
+        this.log('warn', 'File quarantined', { id, user: entry.userNumber, reasons: entry.reasons });
+        return entry;
+    }
+
+    get(id) {
+        return this.store.get('quarantine', id) || null;
+    }
+
+    list() {
+        return this.store.values('quarantine').sort((a, b) => b.quarantinedAt - a.quarantinedAt);
+    }
+
+    // Removes the entry and returns it together with the file contents.
+    release(id, by) {
+        const entry = this.get(id);
+        if (!entry) return null;
+
+        const buffer = fs.readFileSync(this.filePath(id));
+        this.remove(id);
+        this.log('info', 'Quarantined file released', { id, by });
+        return { entry, buffer };
+    }
+
+    delete(id, by) {
+        const entry = this.get(id);
+        if (!entry) return null;
+
+        this.remove(id);
+        this.log('info', 'Quarantined file deleted', { id, by });
+        return entry;
+    }
+
+    remove(id) {
+        if (fs.existsSync(this.filePath(id))) {
+            fs.unlinkSync(this.filePath(id));
+        }
+        this.store.delete('quarantine', id);
+    }
+}
+
+module.exports = Quarantine;
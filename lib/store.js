@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+
+// Append-only journal of set/delete operations, compacted into a snapshot
+// once it grows past compactThreshold entries. A torn last line from a
+// crash mid-write is skipped on replay and cut off the journal. A snapshot that cannot be parsed is
+// moved aside as snapshot.json.<time>.corrupt and load() throws; nothing is
+// compacted until a load succeeds, so the journal is never truncated onto
+// an empty state.
+class Store {
+    constructor(dataDir, options = {}) {
+        this.dataDir = dataDir;
+        this.journalPath = path.join(dataDir, 'journal.jsonl');
+        this.snapshotPath = path.join(dataDir, 'snapshot.json');
+        this.compactThreshold = options.compactThreshold || 1000;
+        this.onError = options.onError || (() => {});
+        this.collections = new Map();
+        this.journalEntries = 0;
+        this.loaded = false;
+    }
+
+    corruptSnapshots() {
+        const prefix = `${path.basename(this.snapshotPath)}.`;
+        return fs.readdirSync(this.dataDir)
+            .filter(file => file.startsWith(prefix) && file.endsWith('.corrupt'))
+            .map(file => path.join(this.dataDir, file));
+    }
+
+    load() {
+        if (!fs.existsSync(this.dataDir)) {
+            fs.mkdirSync(this.dataDir, { recursive: true });
+        }
+
+        // Starting over without the moved snapshot would silently drop it.
+        const corrupt = this.corruptSnapshots();
+        if (!fs.existsSync(this.snapshotPath) && corrupt.length > 0) {
+            throw new Error(`Unreadable snapshot kept at ${corrupt.join(', ')}; repair it and restore it as ${this.snapshotPath}, or delete it to start with the journal only`);
+        }
+
+        if (fs.existsSync(this.snapshotPath)) {
+            let snapshot;
+            try {
+                snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+            } catch (error) {
+                const backupPath = `${this.snapshotPath}.${Date.now()}.corrupt`;
+                fs.renameSync(this.snapshotPath, backupPath);
+                throw new Error(`Snapshot ${this.snapshotPath} is corrupt (${error.message}); moved to ${backupPath}`);
+            }
+            for (const [name, entries] of Object.entries(snapshot.collections || {})) {
+                this.collections.set(name, new Map(entries));
+            }
+        }
+
+        if (fs.existsSync(this.journalPath)) {
+            const journal = fs.readFileSync(this.journalPath);
+            let offset = 0;
+
+            while (offset < journal.length) {
+                const end = journal.indexOf(0x0a, offset);
+                const finished = end !== -1;
+                const line = journal.subarray(offset, finished ? end : journal.length).toString('utf8');
+
+                if (line.trim()) {
+                    try {
+                        this.apply(JSON.parse(line));
+                        this.journalEntries++;
+                        // The write got as far as the entry but not its newline.
+                        if (!finished) fs.appendFileSync(this.journalPath, '\n');
+                    } catch (error) {
+                        this.onError(new Error(`Skipping corrupt journal entry at byte ${offset}: ${error.message}`));
+                        // Cut off a torn last line, or the next append would
+                        // continue it and be lost with it.
+                        if (!finished) fs.truncateSync(this.journalPath, offset);
+                    }
+                }
+                if (!finished) break;
+                offset = end + 1;
+            }
+        }
+
+        this.loaded = true;
+        return this;
+    }
+
+    apply(entry) {
+        const collection = this.collection(entry.c);
+        if (entry.op === 'set') {
+            collection.set(entry.k, entry.v);
+        } else if (entry.op === 'del') {
+            collection.delete(entry.k);
+        }
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new Map());
+        }
+        return this.collections.get(name);
+    }
+
+    get(name, key) {
+        return this.collection(name).get(key);
+    }
+
+    values(name) {
+        return Array.from(this.collection(name).values());
+    }
+
+    entries(name) {
+        return Array.from(this.collection(name).entries());
+    }
+
+    set(name, key, value) {
+        // Round-trip through JSON so later in-memory mutations of the caller's
+        // object do not leak into the stored copy.
+        const stored = JSON.parse(JSON.stringify(value));
+        this.collection(name).set(key, stored);
+        this.append({ op: 'set', c: name, k: key, v: stored, t: Date.now() });
+    }
+
+    delete(name, key) {
+        if (!this.collection(name).has(key)) return;
+        this.collection(name).delete(key);
+        this.append({ op: 'del', c: name, k: key, t: Date.now() });
+    }
+
+    append(entry) {
+        try {
+            fs.appendFileSync(this.journalPath, JSON.stringify(entry) + '\n');
+            this.journalEntries++;
+        } catch (error) {
+            this.onError(error);
+            return;
+        }
+
+        if (this.journalEntries >= this.compactThreshold) {
+            this.compact();
+        }
+    }
+
+    compact() {
+        if (!this.loaded) return;
+
+        try {
+            const collections = {};
+            for (const [name, collection] of this.collections) {
+                collections[name] = Array.from(collection.entries());
+            }
+
+            const tmpPath = `${this.snapshotPath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify({ savedAt: Date.now(), collections }));
+            fs.renameSync(tmpPath, this.snapshotPath);
+            fs.writeFileSync(this.journalPath, '');
+            this.journalEntries = 0;
+        } catch (error) {
+            this.onError(error);
+        }
+    }
+}
+
+module.exports = Store;
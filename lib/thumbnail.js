@@ -0,0 +1,50 @@
+const fs = require('fs');
+const { execFile } = require('child_process');
+
+class ThumbnailRenderer {
+    constructor(options = {}, log = () => {}) {
+        this.enabled = options.enabled !== false;
+        this.pdftoppmPath = options.pdftoppmPath || 'pdftoppm';
+        this.width = options.width || 480;
+        this.timeout = options.timeout || 30000;
+        this.log = log;
+        this.unavailable = false;
+    }
+
+    // Renders one page to `${outputBase}.png`. Resolves null when rendering
+    // is disabled or poppler is not installed, so callers can skip the preview.
+    render(pdfPath, pageNumber, outputBase) {
+        if (!this.enabled || this.unavailable) {
+            return Promise.resolve(null);
+        }
+
+        return new Promise((resolve) => {
+            execFile(this.pdftoppmPath, [
+                '-png',
+                '-f', String(pageNumber),
+                '-l', String(pageNumber),
+                '-singlefile',
+                '-scale-to', String(this.width),
+                pdfPath,
+                outputBase
+            ], { timeout: this.timeout, windowsHide: true }, (error, stdout, stderr) => {
+                if (error && error.code === 'ENOENT') {
+                    this.unavailable = true;
+                    this.log('warn', 'pdftoppm not found, page previews disabled', { path: this.pdftoppmPath });
+                    resolve(null);
+                    return;
+                }
+
+                const outputPath = `${outputBase}.png`;
+                if (error || !fs.existsSync(outputPath)) {
+                    this.log('error', 'Thumbnail rendering failed', { pdfPath, pageNumber, error: (stderr || (error && error.message) || '').trim() });
+                    resolve(null);
+                    return;
+                }
+                resolve(outputPath);
+            });
+        });
+    }
+}
+
+module.exports = ThumbnailRenderer;
@@ -0,0 +1,257 @@
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const axios = require('axios');
+const mime = require('mime-types');
+
+// Error codes set on rejections from UrlDownloader.download().
+const DownloadError = {
+    INVALID_URL: 'INVALID_URL',
+    BLOCKED: 'BLOCKED_ADDRESS',
+    TOO_MANY_REDIRECTS: 'TOO_MANY_REDIRECTS',
+    HTTP_STATUS: 'HTTP_STATUS',
+    UNSUPPORTED_TYPE: 'UNSUPPORTED_TYPE',
+    NOT_SHARED: 'NOT_SHARED',
+    TOO_LARGE: 'TOO_LARGE',
+    TIMEOUT: 'DOWNLOAD_TIMEOUT',
+    FAILED: 'DOWNLOAD_FAILED'
+};
+
+// Query strings and fragments often carry share tokens or session ids, so
+// logs only get the origin and path.
+function redactUrl(input) {
+    try {
+        const url = new URL(input);
+        return url.origin + url.pathname;
+    } catch (error) {
+        return '(invalid URL)';
+    }
+}
+
+function downloadError(code, message, details = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+}
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved
+// ranges. A link must not let users reach the printers or anything else on
+// the server's own network.
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    return PRIVATE_NETWORKS.check(address, net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Share pages of Google Drive/Docs and Dropbox point at a viewer; these
+// are the URLs that return the file itself.
+function directDownloadUrl(url) {
+    const { hostname, pathname, searchParams } = url;
+
+    if (hostname === 'drive.google.com') {
+        const id = (pathname.match(/\/file\/d\/([\w-]+)/) || [])[1] || searchParams.get('id');
+        if (id) return new URL(`https://drive.google.com/uc?export=download&id=${id}`);
+    }
+    if (hostname === 'docs.google.com') {
+        const match = pathname.match(/^\/(document|spreadsheets|presentation)\/d\/([\w-]+)/);
+        if (match) {
+            return new URL(match[1] === 'presentation'
+                ? `https://docs.google.com/presentation/d/${match[2]}/export/pdf`
+                : `https://docs.google.com/${match[1]}/d/${match[2]}/export?format=pdf`);
+        }
+    }
+    if (hostname === 'dropbox.com' || hostname === 'www.dropbox.com') {
+        const direct = new URL(url);
+        direct.searchParams.set('dl', '1');
+        return direct;
+    }
+    return null;
+}
+
+function fileNameOf(headers, url) {
+    const disposition = headers['content-disposition'] || '';
+    const encoded = disposition.match(/filename\*\s*=\s*[^']*''([^;]+)/i);
+    const plain = disposition.match(/filename\s*=\s*"?([^";]+)"?/i);
+
+    try {
+        if (encoded) return path.basename(decodeURIComponent(encoded[1].trim()));
+        if (plain) return path.basename(plain[1].trim());
+        return path.basename(decodeURIComponent(url.pathname)) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Downloads documents from user-supplied links. Redirects are followed by
+// hand so every hop is checked, names are resolved through a lookup that
+// refuses private addresses (so DNS cannot be used to sneak past the check),
+// and the body is streamed and cut off at `maxSize`.
+class UrlDownloader {
+    constructor(options = {}, log = () => {}) {
+        this.log = log;
+        this.configure(options);
+    }
+
+    configure(options) {
+        this.timeout = options.timeout || 30000;
+        this.totalTimeout = options.totalTimeout || 120000;
+        this.maxRedirects = options.maxRedirects !== undefined ? options.maxRedirects : 5;
+        this.allowPrivateNetworks = Boolean(options.allowPrivateNetworks);
+
+        const lookup = (hostname, lookupOptions, callback) => {
+            dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+                if (error) return callback(error);
+                const blocked = !this.allowPrivateNetworks && addresses.find(entry => isPrivateAddress(entry.address));
+                if (blocked) {
+                    return callback(downloadError(DownloadError.BLOCKED, `${hostname} resolves to private address ${blocked.address}`));
+                }
+                if (lookupOptions.all) return callback(null, addresses);
+                callback(null, addresses[0].address, addresses[0].family);
+            });
+        };
+        this.httpAgent = new http.Agent({ lookup });
+        this.httpsAgent = new https.Agent({ lookup });
+    }
+
+    parseUrl(input) {
+        let url;
+        try {
+            url = new URL(input);
+        } catch (error) {
+            throw downloadError(DownloadError.INVALID_URL, `"${input}" is not a URL`);
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            throw downloadError(DownloadError.INVALID_URL, `${url.protocol} links are not supported`);
+        }
+
+        const host = url.hostname.replace(/^\[|\]$/g, '');
+        if (!this.allowPrivateNetworks && (host === 'localhost' || (net.isIP(host) && isPrivateAddress(host)))) {
+            throw downloadError(DownloadError.BLOCKED, `${host} is a private address`);
+        }
+        return url;
+    }
+
+    // Resolves { buffer, extension, contentType, fileName, url }. `extensions`
+    // lists the file types to accept, checked from the response headers
+    // before the body is read; `maxSize` is in bytes.
+    async download(input, { extensions = null, maxSize = Infinity } = {}) {
+        const requested = this.parseUrl(input);
+        const direct = directDownloadUrl(requested);
+        let url = direct || requested;
+        // `timeout` covers one request until its headers arrive; the deadline
+        // covers the redirects and the body as well, so a server that trickles
+        // bytes cannot hold the download open.
+        const deadline = Date.now() + this.totalTimeout;
+
+        for (let redirects = 0; ; redirects++) {
+            let response;
+            try {
+                response = await axios.get(url.href, {
+                    responseType: 'stream',
+                    maxRedirects: 0,
+                    timeout: Math.max(1, Math.min(this.timeout, deadline - Date.now())),
+                    validateStatus: () => true,
+                    httpAgent: this.httpAgent,
+                    httpsAgent: this.httpsAgent,
+                    proxy: false,
+                    headers: { 'User-Agent': 'Mozilla/5.0 (WhatsApp Print Bot)', Accept: '*/*' }
+                });
+            } catch (error) {
+                if (error.code === DownloadError.BLOCKED || (error.cause && error.cause.code === DownloadError.BLOCKED)) {
+                    throw downloadError(DownloadError.BLOCKED, (error.cause || error).message);
+                }
+                throw downloadError(DownloadError.FAILED, `${url.host}: ${error.message}`);
+            }
+
+            const { status, headers, data } = response;
+            if (status >= 300 && status < 400 && headers.location) {
+                data.destroy();
+                if (redirects >= this.maxRedirects) {
+                    throw downloadError(DownloadError.TOO_MANY_REDIRECTS, `more than ${this.maxRedirects} redirects`);
+                }
+                url = this.parseUrl(new URL(headers.location, url).href);
+                continue;
+            }
+            if (status < 200 || status >= 300) {
+                data.destroy();
+                throw downloadError(direct && [401, 403, 404].includes(status) ? DownloadError.NOT_SHARED : DownloadError.HTTP_STATUS,
+                    `${url.host} replied ${status}`, { status });
+            }
+
+            const contentType = (headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+            const fileName = fileNameOf(headers, url);
+            // Servers often send files as application/octet-stream; the name
+            // says more then.
+            const extension = (contentType && contentType !== 'application/octet-stream' && mime.extension(contentType))
+                || (fileName && mime.lookup(fileName) && mime.extension(mime.lookup(fileName)))
+                || null;
+
+            // A share link that answers with a web page is a login or
+            // "request access" page: the file is not shared publicly.
+            if (direct && extension === 'html') {
+                data.destroy();
+                throw downloadError(DownloadError.NOT_SHARED, `${requested.host} returned a web page instead of the file`);
+            }
+            if (extensions && !extensions.includes(extension)) {
+                data.destroy();
+                throw downloadError(DownloadError.UNSUPPORTED_TYPE, `unsupported content type "${contentType}"`, { contentType });
+            }
+
+            const declaredSize = parseInt(headers['content-length']);
+            if (declaredSize > maxSize) {
+                data.destroy();
+                throw downloadError(DownloadError.TOO_LARGE, `${declaredSize} bytes exceeds ${maxSize}`, { size: declaredSize });
+            }
+
+            const buffer = await this.readBody(data, maxSize, deadline - Date.now());
+            this.log('info', 'URL downloaded', { host: url.host, size: buffer.length, contentType, redirects });
+            return { buffer, extension, contentType, fileName, url: url.href };
+        }
+    }
+
+    readBody(stream, maxSize, timeLeft) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            const timer = setTimeout(() => {
+                stream.destroy();
+                reject(downloadError(DownloadError.TIMEOUT, `download took longer than ${this.totalTimeout} ms`, { size }));
+            }, Math.max(0, timeLeft));
+
+            stream.on('data', chunk => {
+                size += chunk.length;
+                if (size > maxSize) {
+                    clearTimeout(timer);
+                    stream.destroy();
+                    reject(downloadError(DownloadError.TOO_LARGE, `download exceeds ${maxSize} bytes`, { size }));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            stream.on('end', () => {
+                clearTimeout(timer);
+                resolve(Buffer.concat(chunks));
+            });
+            stream.on('error', error => {
+                clearTimeout(timer);
+                reject(downloadError(DownloadError.FAILED, error.message));
+            });
+        });
+    }
+}
+
+module.exports = { UrlDownloader, DownloadError, isPrivateAddress, directDownloadUrl, redactUrl };
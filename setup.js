@@ -1,6 +1,8 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { exec } = require('child_process');
+const { defaultConfig } = require('./lib/config');
 
 class SetupWizard {
     constructor() {
@@ -36,35 +38,23 @@ class SetupWizard {
             fs.mkdirSync(logDir, { recursive: true });
             console.log('✅ Direktori logs dibuat');
         }
+
+        const dataDir = path.join(__dirname, 'data');
+        if (!fs.existsSync(dataDir)) {
+            fs.mkdirSync(dataDir, { recursive: true });
+            console.log('✅ Direktori data dibuat');
+        }
     }
 
     async createConfig() {
         console.log('\n⚙️ Membuat file konfigurasi...');
 
-        const defaultConfig = {
-            printSettings: {
-                allowedFormats: ['.pdf', '.doc', '.docx', '.jpg', '.jpeg', '.png', '.txt'],
-                maxFileSize: 10485760, 
-                printerName: 'default',
-                defaultCopies: 1,
-                allowedUsers: [], 
-                autoCleanup: true,
-                cleanupInterval: 1800000 
-            },
-            bot: {
-                adminNumbers: [], 
-                enableLogging: true,
-                responseLanguage: 'id'
-            },
-            security: {
-                enableRateLimit: true,
-                maxRequestsPerHour: 50,
-                enableFileValidation: true,
-                quarantineEnabled: false
-            }
-        };
+        // Same shape (and version) the bot falls back to without a config.json.
+        const config = defaultConfig();
+        config.quotas.roles.member = { monthly: { pages: 100 } };
+        config.payments.webhookSecret = crypto.randomBytes(24).toString('hex');
 
-        fs.writeFileSync(this.configPath, JSON.stringify(defaultConfig, null, 2));
+        fs.writeFileSync(this.configPath, `${JSON.stringify(config, null, 2)}\n`);
         console.log('✅ File config.json dibuat');
     }
 
@@ -106,16 +96,19 @@ class SetupWizard {
         console.log('4. Bot siap digunakan!\n');
 
         console.log('⚙️ Konfigurasi penting:');
-        console.log('• Edit config.json untuk mengatur printer default');
+        console.log('• Edit daftar printers di config.json (printerName, driver, kemampuan & biaya)');
         console.log('• Tambahkan nomor admin di bot.adminNumbers');
-        console.log('• Sesuaikan allowedUsers jika perlu pembatasan akses\n');
+        console.log('• Sesuaikan allowedUsers jika perlu pembatasan akses');
+        console.log('• Perubahan config.json dimuat otomatis; admin juga bisa memakai /admin config set <path> <nilai>');
+        console.log('• Install LibreOffice untuk mencetak DOC/DOCX (isi conversion.libreOfficePath jika soffice tidak ada di PATH)\n');
 
         console.log('🚀 Untuk menjalankan bot:');
         console.log('   npm start\n');
 
         console.log('📁 File konfigurasi: config.json');
         console.log('📁 File sementara: temp/');
-        console.log('📁 Log aplikasi: logs/\n');
+        console.log('📁 Log aplikasi: logs/');
+        console.log('📁 Data job & statistik: data/\n');
 
         console.log('💡 Tips:');
         console.log('• Gunakan PM2 untuk production: npm install -g pm2 && pm2 start bot.js');